@@ -2,6 +2,7 @@
  * Client side interface to a single SPDZ Proxy to bootstrap a SPDZ process.
  */
 import Io from 'socket.io-client'
+import { abortable } from '../utility/abortable'
 import logger from '../utility/logging'
 
 let clientSocket
@@ -11,6 +12,7 @@ let clientSocket
  * 
  * @param {String} url - URL of the SPDZ Proxy.
  * @param {Object} userOptions socket.io config options to override defaults. 
+ * @param {AbortSignal} [signal] - optional, to cancel the connection attempt, the promise rejects with an AbortError and the socket is closed.
  * 
  * @returns {Promise} which resolves with no params if connected OK or rejects with reason.
  * 
@@ -27,7 +29,7 @@ let clientSocket
  * })
  * @access public
  */
-const bootstrapConnectSetup = (url, userOptions = {}) => {
+const bootstrapConnectSetup = (url, userOptions = {}, signal = undefined) => {
   const connectOptions = Object.assign(
     {},
     {
@@ -51,7 +53,7 @@ const bootstrapConnectSetup = (url, userOptions = {}) => {
   if (clientSocket !== undefined) {
     return Promise.resolve()
   } else {
-    return new Promise((resolve, reject) => {
+    return abortable(signal, 'Bootstrap connection', (resolve, reject) => {
       const socket = Io(url + namespace, connectOptions)
 
       socket.on('connect', () => {
@@ -82,6 +84,11 @@ const bootstrapConnectSetup = (url, userOptions = {}) => {
         logger.debug('SPDZ proxy bootstrap disconnect.')
         clientSocket = undefined
       })
+
+      return () => {
+        clientSocket = undefined
+        socket.close()
+      }
     })
   }
 }
@@ -92,6 +99,7 @@ const bootstrapConnectSetup = (url, userOptions = {}) => {
  * 
  * @param {String} spdzProgram The SPDZ program to start.
  * @param {boolean} forceStart If already running then force stop the process.
+ * @param {AbortSignal} [signal] - optional, to stop waiting for the start result, the promise rejects with an AbortError.
  * 
  * @returns {Promise} resolves with no params if runs program or rejects with a reason.
  * 
@@ -108,17 +116,17 @@ const bootstrapConnectSetup = (url, userOptions = {}) => {
  * })
  * @access public
  */
-const runSpdzProgram = (spdzProgram, forceStart) => {
+const runSpdzProgram = (spdzProgram, forceStart, signal = undefined) => {
   if (clientSocket === undefined) {
     return Promise.reject(
       new Error('Unable to run SPDZ program, not connected to SPDZ Proxy.')
     )
   }
 
-  return new Promise((resolve, reject) => {
-    clientSocket.emit('startSpdz', spdzProgram, forceStart)
-
-    clientSocket.on('startSpdz_result', response => {
+  return abortable(signal, 'Run SPDZ program', (resolve, reject) => {
+    const socket = clientSocket
+    const onResult = response => {
+      socket.off('startSpdz_result', onResult)
       if (response.status === 0) {
         resolve()
       } else {
@@ -128,7 +136,12 @@ const runSpdzProgram = (spdzProgram, forceStart) => {
           )
         )
       }
-    })
+    }
+
+    socket.emit('startSpdz', spdzProgram, forceStart)
+    socket.on('startSpdz_result', onResult)
+
+    return () => socket.off('startSpdz_result', onResult)
   })
 }
 
@@ -0,0 +1,103 @@
+/**
+ * Record of the nonces of SPDZ messages already decrypted, to reject replayed messages.
+ * Keep one tracker per SPDZ engine connection (encryption key) for the life of a session.
+ */
+import sodium from 'libsodium-wrappers'
+
+import ReplayError from './ReplayError'
+
+/**
+ * @description How the SPDZ engine chooses the nonce for each encrypted message:
+ *   RANDOM - random nonces, the most recent nonces are remembered and a repeat is rejected.
+ *   COUNTER - nonces are a little endian counter which increases with each message, any nonce not
+ *             greater than the last one is rejected. Uses constant memory and catches all replays.
+ *
+ * Set with the nonceMode key of each spdzProxyList entry, for both the socket and REST interfaces.
+ *
+ * @access public
+ */
+const NONCE_MODE = {
+  RANDOM: 'random',
+  COUNTER: 'counter'
+}
+
+/**
+ * Upper limit on random nonces remembered, the oldest are forgotten first.
+ */
+const MAX_TRACKED_NONCES = 10000
+
+const validModes = Object.keys(NONCE_MODE).map(key => NONCE_MODE[key])
+
+/**
+ * Compare 2 nonces as little endian unsigned integers, returns < 0, 0 or > 0.
+ */
+const compareLittleEndian = (a, b) => {
+  for (let i = a.length - 1; i >= 0; i--) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i]
+    }
+  }
+  return 0
+}
+
+class NonceTracker {
+  /**
+   * @param {String} [mode=NONCE_MODE.RANDOM] how the SPDZ engine generates nonces.
+   * @param {Number} [maxNonces=MAX_TRACKED_NONCES] number of random nonces to remember.
+   */
+  constructor(mode = NONCE_MODE.RANDOM, maxNonces = MAX_TRACKED_NONCES) {
+    if (validModes.indexOf(mode) === -1) {
+      throw new Error(
+        `Unknown nonce mode ${mode}, expected one of ${validModes}.`
+      )
+    }
+    this.mode = mode
+    this.maxNonces = maxNonces
+    this.clear()
+  }
+
+  /**
+   * Record the nonce of a message, throws a ReplayError if the message has been seen before.
+   * Only call once the message has been authenticated, so forged messages can not fill the record.
+   * @param {Uint8Array} nonce message nonce.
+   */
+  check(nonce) {
+    const nonceHex = sodium.to_hex(nonce)
+    if (this.mode === NONCE_MODE.COUNTER) {
+      if (
+        this.lastCounter !== undefined &&
+        compareLittleEndian(nonce, this.lastCounter) <= 0
+      ) {
+        throw new ReplayError(
+          `Replayed SPDZ message, nonce ${nonceHex} is not greater than the last nonce received.`,
+          nonceHex
+        )
+      }
+      this.lastCounter = new Uint8Array(nonce)
+      return
+    }
+
+    if (this.seen[nonceHex]) {
+      throw new ReplayError(
+        `Replayed SPDZ message, nonce ${nonceHex} has already been received.`,
+        nonceHex
+      )
+    }
+    this.seen[nonceHex] = true
+    this.order.push(nonceHex)
+    if (this.order.length > this.maxNonces) {
+      delete this.seen[this.order.shift()]
+    }
+  }
+
+  /**
+   * Forget all nonces, e.g. at the start of a new session.
+   */
+  clear() {
+    this.seen = Object.create(null)
+    this.order = []
+    this.lastCounter = undefined
+  }
+}
+
+export { NONCE_MODE, NonceTracker }
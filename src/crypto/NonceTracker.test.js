@@ -0,0 +1,55 @@
+import { NONCE_MODE, NonceTracker } from './NonceTracker'
+import ReplayError from './ReplayError'
+
+const nonceOf = (...bytes) => {
+  const nonce = new Uint8Array(24)
+  nonce.set(bytes)
+  return nonce
+}
+
+describe('Track nonces of decrypted SPDZ messages', () => {
+  it('rejects a repeated random nonce with a ReplayError', () => {
+    const nonceTracker = new NonceTracker()
+    nonceTracker.check(nonceOf(1))
+    nonceTracker.check(nonceOf(2))
+
+    expect(() => nonceTracker.check(nonceOf(1))).toThrowError(ReplayError)
+    expect(() => nonceTracker.check(nonceOf(2))).toThrowError(
+      `Replayed SPDZ message, nonce 02${'00'.repeat(
+        23
+      )} has already been received.`
+    )
+  })
+
+  it('only remembers the most recent random nonces', () => {
+    const nonceTracker = new NonceTracker(NONCE_MODE.RANDOM, 2)
+    nonceTracker.check(nonceOf(1))
+    nonceTracker.check(nonceOf(2))
+    nonceTracker.check(nonceOf(3))
+
+    expect(nonceTracker.order.length).toEqual(2)
+    expect(() => nonceTracker.check(nonceOf(3))).toThrowError(ReplayError)
+    expect(() => nonceTracker.check(nonceOf(1))).not.toThrow()
+  })
+
+  it('requires increasing little endian nonces in counter mode', () => {
+    const nonceTracker = new NonceTracker(NONCE_MODE.COUNTER)
+    nonceTracker.check(nonceOf(255))
+    nonceTracker.check(nonceOf(0, 1))
+
+    expect(() => nonceTracker.check(nonceOf(0, 1))).toThrowError(
+      /is not greater than the last nonce received\.$/
+    )
+    expect(() => nonceTracker.check(nonceOf(254))).toThrowError(ReplayError)
+    expect(() => nonceTracker.check(nonceOf(1, 1))).not.toThrow()
+
+    nonceTracker.clear()
+    expect(() => nonceTracker.check(nonceOf(1))).not.toThrow()
+  })
+
+  it('rejects an unknown nonce mode', () => {
+    expect(() => new NonceTracker('sometimes')).toThrowError(
+      'Unknown nonce mode sometimes, expected one of random,counter.'
+    )
+  })
+})
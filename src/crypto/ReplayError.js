@@ -0,0 +1,21 @@
+/**
+ * @description Error to represent a SPDZ message which has been received before, detected by its nonce.
+ * A replayed message decrypts correctly, so without this check it would be accepted as new output or shares.
+ * 
+ * @param {String} message text
+ * @param {String} [nonce] - nonce of the replayed message as a hex string.
+ * 
+ * @returns {function} extended from Error.prototype
+ * 
+ * @access public
+ */
+function ReplayError(message, nonce) {
+  this.name = 'ReplayError'
+  this.message = message || 'SPDZ message has already been received.'
+  this.nonce = nonce
+  this.stack = new Error().stack
+}
+ReplayError.prototype = Object.create(Error.prototype)
+ReplayError.prototype.constructor = ReplayError
+
+export default ReplayError
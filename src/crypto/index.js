@@ -164,6 +164,7 @@ const encrypt = (encryptionKey, clearMessage) => {
  * 
  * @param {String} encryptionKey Previously generated session key between this client and the SPDZ Engine. See createEncryptionKey.
  * @param {Uint8Array} cipherMessage Message comprises, 16 byte mac + cipher text + 24 bytes nonce. Supports Uint8Array or hex string.
+ * @param {NonceTracker} [nonceTracker] optional, nonces already received from this SPDZ Engine. If set a replayed message throws a ReplayError.
  * 
  * @returns {Uint8Array} clearMessage (or throws). 
  * 
@@ -174,7 +175,7 @@ const encrypt = (encryptionKey, clearMessage) => {
  * const clearBuffer = crypto.decrypt(encryption_key, cipher_msg)
  * @access public
  */
-const decrypt = (encryptionKey, cipherMessage) => {
+const decrypt = (encryptionKey, cipherMessage, nonceTracker = undefined) => {
   let message = cipherMessage
   if (typeof cipherMessage === 'string') {
     message = sodium.from_hex(cipherMessage)
@@ -189,15 +190,23 @@ const decrypt = (encryptionKey, cipherMessage) => {
 
   const nonceStart = message.length - sodium.crypto_box_NONCEBYTES
 
+  const nonce = message.slice(nonceStart)
+  let clearMessage
   try {
-    return sodium.crypto_secretbox_open_easy(
+    clearMessage = sodium.crypto_secretbox_open_easy(
       message.slice(0, nonceStart),
-      message.slice(nonceStart),
+      nonce,
       encryptionKey
     )
   } catch (err) {
     throw new Error('Authentication/decryption failed.')
   }
+
+  // Checked after authentication so that forged messages are not recorded.
+  if (nonceTracker !== undefined) {
+    nonceTracker.check(nonce)
+  }
+  return clearMessage
 }
 
 export {
@@ -7,6 +7,8 @@ import {
   encrypt,
   decrypt
 } from './'
+import { NonceTracker } from './NonceTracker'
+import ReplayError from './ReplayError'
 
 describe('Check that crypto functions behaving as expected', () => {
   it('Generates a client public key on first use', () => {
@@ -73,6 +75,30 @@ describe('Check that crypto functions behaving as expected', () => {
     expect(wrongKeyThrow).toThrowError('Authentication/decryption failed.')
   })
 
+  it('Will reject a replayed message once its nonce has been recorded', () => {
+    const encryptionKey = createEncryptionKey(
+      'a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8'
+    )
+    const otherKey = createEncryptionKey(
+      'a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b9'
+    )
+    const nonceTracker = new NonceTracker()
+    const cipherText = encrypt(encryptionKey, 'a1b2')
+
+    // A message which fails authentication is not recorded.
+    expect(() => decrypt(otherKey, cipherText, nonceTracker)).toThrowError(
+      'Authentication/decryption failed.'
+    )
+    expect(
+      sodium.to_hex(decrypt(encryptionKey, cipherText, nonceTracker))
+    ).toEqual('a1b2')
+    expect(() => decrypt(encryptionKey, cipherText, nonceTracker)).toThrowError(
+      ReplayError
+    )
+    // Without a tracker there is no replay check.
+    expect(sodium.to_hex(decrypt(encryptionKey, cipherText))).toEqual('a1b2')
+  })
+
   it('Will return a new DH key pair and allow the key pair to be set', () => {
     const dhKeyPair = createDHKeyPair()
     expect(dhKeyPair.clientPublicKey.length).toEqual(64)
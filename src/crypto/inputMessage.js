@@ -0,0 +1,34 @@
+/**
+ * Build encrypted input messages from the client to a SPDZ engine.
+ * The proxy only forwards the cipher text, so it can neither read nor alter the inputs.
+ */
+import { encrypt } from './index'
+import { inputsToBinary } from '../type_mapping/arrayToBinary'
+import { binaryToBase64 } from '../utility/binary'
+
+const ENCRYPTED_SUFFIX = '_encrypted'
+
+/**
+ * Encrypt all inputs of a send as a single message, so that values can not be dropped or reordered.
+ *
+ * @param {Uint8Array} encryptionKey session key agreed between the client and the SPDZ engine.
+ * @param {String} dataType 'modp' or 'int32'.
+ * @param {Array<Gfp|Number|String>} valueList inputs to send.
+ * @returns {Object} {dataType: e.g. 'modp_encrypted', dataArray: [base64 cipher text]}
+ *                   where the cipher text is 16 byte mac + encrypted little endian inputs + 24 byte nonce.
+ */
+const encryptInputMessage = (encryptionKey, dataType, valueList) => {
+  if (encryptionKey === undefined) {
+    throw new Error('Encrypting inputs requires an encryptionKey.')
+  }
+  const cipherBytes = encrypt(
+    encryptionKey,
+    inputsToBinary(dataType, valueList)
+  )
+  return {
+    dataType: dataType + ENCRYPTED_SUFFIX,
+    dataArray: [binaryToBase64(cipherBytes)]
+  }
+}
+
+export { encryptInputMessage, ENCRYPTED_SUFFIX }
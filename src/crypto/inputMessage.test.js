@@ -0,0 +1,29 @@
+import { Buffer } from 'buffer/'
+import { createEncryptionKey, decrypt } from './'
+import { encryptInputMessage } from './inputMessage'
+import { inputsToBinary } from '../type_mapping/arrayToBinary'
+
+describe('Encrypt input messages for a SPDZ engine', () => {
+  it('encrypts all inputs as one message which the engine key decrypts', () => {
+    const encryptionKey = createEncryptionKey(
+      'a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8'
+    )
+
+    const message = encryptInputMessage(encryptionKey, 'int32', [5, 6, -7])
+
+    expect(message.dataType).toEqual('int32_encrypted')
+    expect(message.dataArray.length).toEqual(1)
+    const cipherBytes = Uint8Array.from(
+      Buffer.from(message.dataArray[0], 'base64')
+    )
+    expect(decrypt(encryptionKey, cipherBytes)).toEqual(
+      inputsToBinary('int32', [5, 6, -7])
+    )
+  })
+
+  it('requires an encryption key', () => {
+    expect(() => encryptInputMessage(undefined, 'modp', [1])).toThrowError(
+      'Encrypting inputs requires an encryptionKey.'
+    )
+  })
+})
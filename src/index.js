@@ -12,11 +12,20 @@ import {
   checkProxies,
   connectToSPDZ,
   consumeDataFromProxies,
+  createHttpClient,
   disconnectFromSPDZ,
   NoContentError,
+  pollDataFromProxies,
   ProxyStatusCodes,
+  recordRestTraffic,
+  replayRestTraffic,
+  RESULT_TYPE,
   retrieveRegIntsAsHexString,
-  sendInputsWithShares
+  retrieveResults,
+  sendClearInputs,
+  sendInputsWithShares,
+  setRequestPolicy,
+  TimeoutError
 } from './rest_api'
 
 import {
@@ -27,40 +36,106 @@ import {
   setDHKeyPair
 } from './crypto'
 import { binaryToIntArray } from './type_mapping/binaryToArray'
+import ConsensusError from './type_mapping/ConsensusError'
+import { ConsensusPolicy } from './type_mapping/resultConsensus'
+import { OUTPUT_MODE } from './type_mapping/outputMode'
+import AbortError from './utility/AbortError'
+import { NONCE_MODE } from './crypto/NonceTracker'
+import ReplayError from './crypto/ReplayError'
+import { parseTrafficLog, TrafficRecorder } from './utility/TrafficRecorder'
 import {
+  awaitResultsPromise,
   connectToSpdzPartyPromise,
   connectToSpdzProxyPromise,
   disconnectFromSpdzPartyPromise,
   sendClearInputsPromise,
   sendSecretInputsPromise
 } from './socket_api/promisify'
+import { closeProxyConnections } from './socket_api/socketApi'
+import SpdzSocketSession from './socket_api/SpdzSocketSession'
+import { QUEUE_STATE } from './socket_api/OutboundQueue'
+import {
+  memoryQueueStore,
+  webStorageQueueStore
+} from './socket_api/queueStores'
+import {
+  CONNECTION_SUMMARY,
+  SEQUENCE_GAP_POLICY,
+  EVENT_TYPE,
+  MESSAGE_TYPE,
+  RECOVERY_STATUS
+} from './socket_api/transform'
+import {
+  registerMessageType,
+  unregisterMessageType
+} from './type_mapping/messageTypeRegistry'
+import { toObservable } from './socket_api/observable'
+import socketIoTransport from './socket_api/socketIoTransport'
+import webSocketTransport from './socket_api/webSocketTransport'
+import { inMemoryTransport } from './socket_api/inMemoryTransport'
+import replayTransport from './socket_api/replayTransport'
 import { initFixedPointParams } from './math/Gfp'
 import { bootstrapConnectSetup, runSpdzProgram } from './bootstrap_api'
 import { logger } from './utility'
 
 export {
+  AbortError,
   allProxiesConnected,
+  awaitResultsPromise,
   binaryToIntArray,
   bootstrapConnectSetup,
   checkProxies,
+  closeProxyConnections,
   connectToSPDZ,
   connectToSpdzPartyPromise,
   connectToSpdzProxyPromise,
+  CONNECTION_SUMMARY,
+  SEQUENCE_GAP_POLICY,
+  ConsensusError,
+  ConsensusPolicy,
   consumeDataFromProxies,
   createClientPublicKey,
   createDHKeyPair,
   createEncryptionKey,
+  createHttpClient,
   decrypt,
   disconnectFromSPDZ,
   disconnectFromSpdzPartyPromise,
+  EVENT_TYPE,
+  inMemoryTransport,
   initFixedPointParams,
   logger,
+  MESSAGE_TYPE,
+  memoryQueueStore,
   NoContentError,
+  NONCE_MODE,
+  OUTPUT_MODE,
+  parseTrafficLog,
+  pollDataFromProxies,
   ProxyStatusCodes,
+  QUEUE_STATE,
+  RECOVERY_STATUS,
+  recordRestTraffic,
+  registerMessageType,
+  ReplayError,
+  replayRestTraffic,
+  replayTransport,
+  RESULT_TYPE,
   retrieveRegIntsAsHexString,
+  retrieveResults,
   runSpdzProgram,
+  sendClearInputs,
   sendClearInputsPromise,
   sendSecretInputsPromise,
   sendInputsWithShares,
-  setDHKeyPair
+  setDHKeyPair,
+  setRequestPolicy,
+  socketIoTransport,
+  SpdzSocketSession,
+  TimeoutError,
+  toObservable,
+  TrafficRecorder,
+  unregisterMessageType,
+  webSocketTransport,
+  webStorageQueueStore
 }
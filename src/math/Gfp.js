@@ -2,7 +2,10 @@
  * Represent a big integer in a finite field (mod P) in montgomery format.
  */
 import BigInt from 'big-integer'
-import { shiftedIntegerToJSFixed } from './numericConversions'
+import {
+  shiftedIntegerToJSFixed,
+  shiftedBigIntegerToDecimalString
+} from './numericConversions'
 
 /**
  * Hard code prime for gfp, montgomery conversion primatives.
@@ -171,6 +174,11 @@ class Gfp {
     }
   }
 
+  /** Signed big-integer representation of GFP integer, never overflows. */
+  toBigInteger() {
+    return fromGfpMapping(fromMontgomery(this.val))
+  }
+
   /** Javascript Number as fixed point from GFP integer representing fixed point. */
   toJSFixedPoint() {
     return shiftedIntegerToJSFixed(
@@ -180,6 +188,14 @@ class Gfp {
     )
   }
 
+  /** Exact decimal string as fixed point from GFP integer representing fixed point. */
+  toFixedPointString() {
+    return shiftedBigIntegerToDecimalString(
+      this.toBigInteger(),
+      fix_decimal_bitlength
+    )
+  }
+
   equals(other) {
     if (!(other instanceof Gfp)) {
       return false
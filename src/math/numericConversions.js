@@ -2,6 +2,7 @@
  * Manage integer to fixed point conversions. Normally access via Gfp methods.
  */
 import assert from 'assert'
+import BigInt from 'big-integer'
 
 /**
  * Convert a bit shifted integer representing a SPDZ fixed point number into a JS number 
@@ -17,6 +18,35 @@ const shiftedIntegerToJSFixed = (shiftedInteger, fixedPointDecBitLength) => {
   return significand + decimal
 }
 
+/**
+ * Convert a bit shifted big integer representing a SPDZ fixed point number into an exact decimal string.
+ * Every binary fraction has a finite decimal expansion, so no rounding takes place.
+ * @param {BigInt} shiftedBigInt big-integer value
+ * @param {integer} fixedPointDecBitLength (see Gfp.fixedPointDecBitLength())
+ * @returns {String} decimal number, without trailing zeros in the decimal part.
+ */
+const shiftedBigIntegerToDecimalString = (
+  shiftedBigInt,
+  fixedPointDecBitLength
+) => {
+  const magnitude = shiftedBigInt.abs()
+  const { quotient, remainder } = magnitude.divmod(
+    BigInt(2).pow(fixedPointDecBitLength)
+  )
+  // remainder / 2^f == remainder * 5^f / 10^f
+  let decimal = remainder
+    .multiply(BigInt(5).pow(fixedPointDecBitLength))
+    .toString()
+  while (decimal.length < fixedPointDecBitLength) {
+    decimal = '0' + decimal
+  }
+  decimal = decimal.replace(/0+$/, '')
+  const sign = shiftedBigInt.isNegative() ? '-' : ''
+  return decimal.length > 0
+    ? `${sign}${quotient.toString()}.${decimal}`
+    : `${sign}${quotient.toString()}`
+}
+
 /**
  * Round a number to fixed number of places, using fixed point bit length to determine precision.
  * @param {Number} number 
@@ -52,4 +82,9 @@ const jsNumberToShiftedInteger = (
   return shifted
 }
 
-export { shiftedIntegerToJSFixed, roundFixed, jsNumberToShiftedInteger }
+export {
+  shiftedIntegerToJSFixed,
+  shiftedBigIntegerToDecimalString,
+  roundFixed,
+  jsNumberToShiftedInteger
+}
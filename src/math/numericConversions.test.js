@@ -1,9 +1,11 @@
 import {
   shiftedIntegerToJSFixed,
+  shiftedBigIntegerToDecimalString,
   roundFixed,
   jsNumberToShiftedInteger
 } from './numericConversions'
 import { Gfp, initFixedPointParams } from './Gfp'
+import BigInt from 'big-integer'
 
 // Override default fixed point params
 initFixedPointParams(10, 41)
@@ -11,6 +13,30 @@ initFixedPointParams(10, 41)
 const f = Gfp.fixedPointDecBitLength()
 const k = Gfp.fixedPointWholeBitLength()
 
+describe('Convert SPDZ fixed point integer to an exact decimal string', () => {
+  it('converts positive, negative and whole numbers without rounding', () => {
+    expect(shiftedBigIntegerToDecimalString(BigInt(505513), f)).toEqual(
+      '493.6650390625'
+    )
+    expect(shiftedBigIntegerToDecimalString(BigInt(-505513), f)).toEqual(
+      '-493.6650390625'
+    )
+    expect(shiftedBigIntegerToDecimalString(BigInt(-1), f)).toEqual(
+      '-0.0009765625'
+    )
+    expect(shiftedBigIntegerToDecimalString(BigInt(100 << f), f)).toEqual('100')
+  })
+
+  it('converts values too large for a JS Number', () => {
+    const shifted = BigInt('123456789012345678901')
+      .shiftLeft(f)
+      .add(512)
+    expect(shiftedBigIntegerToDecimalString(shifted, f)).toEqual(
+      '123456789012345678901.5'
+    )
+  })
+})
+
 describe('Convert SPDZ fixed point integer to JS Number', () => {
   it('converts a shifted integer as expected', () => {
     const input = 100 << f
@@ -0,0 +1,81 @@
+/**
+ * HTTP client used by the REST API to call the SPDZ proxies.
+ * Wraps a fetch compatible function with request options and a middleware chain,
+ * so that callers can add headers, sign requests or rewrite urls without a global fetch polyfill.
+ */
+
+/* global fetch */
+import { trafficFetch } from './RestTraffic'
+
+// Options applied to every request unless the client overrides them.
+const DEFAULT_REQUEST_INIT = { mode: 'cors' }
+
+// Look up the global fetch when called, so a polyfill loaded later is used.
+const globalFetch = (resource, init) => fetch(resource, init)
+
+/**
+ * Merge the client request options into a request, combining the headers.
+ */
+const mergeInit = (requestInit, init) =>
+  Object.assign({}, requestInit, init, {
+    headers: Object.assign({}, requestInit.headers, init.headers)
+  })
+
+/**
+ * @description Create an HTTP client for the REST calls to a SPDZ proxy.
+ * Give it to a proxy with the httpClient key of the spdzProxyList entry.
+ * Proxies without one use the global fetch with mode 'cors'.
+ *
+ * Each middleware is a function (request, next) given the request {url, init}.
+ * It returns the promise of a response, usually by calling next with the same or a changed request.
+ * Middleware runs in list order, the last calls fetch. Recording and replay with recordRestTraffic and
+ * replayRestTraffic see the request after all middleware.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - fetch compatible function (resource, init) to make requests with,
+ *                   e.g. node-fetch. Defaults to the global fetch.
+ * @param {Function[]} [options.middleware=[]] - functions (request, next) to run on each request.
+ * @param {Object} [options.requestInit={mode: 'cors'}] - fetch options added to each request, e.g. credentials or agent.
+ *                 Headers are merged with the request headers, which take precedence.
+ *
+ * @returns {Object} client with a fetch function (resource, init) which runs the middleware.
+ *
+ * @example Add a gateway token and send cookies:
+ *
+ * import { createHttpClient, connectToSPDZ } from 'spdz-client-lib/dist/rest_api'
+ *
+ * const httpClient = createHttpClient({
+ *   requestInit: { mode: 'cors', credentials: 'include' },
+ *   middleware: [
+ *     (request, next) => {
+ *       request.init.headers['x-gateway-token'] = gatewayToken
+ *       return next(request)
+ *     }
+ *   ]
+ * })
+ * const spdzProxyList = proxyUrlList.map(url => ({ url: url, httpClient: httpClient }))
+ * connectToSPDZ(spdzProxyList, '/spdzapi')
+ *
+ * @access public
+ */
+const createHttpClient = (options = {}) => {
+  const baseFetch = options.fetch || globalFetch
+  const middleware = options.middleware || []
+  const requestInit = options.requestInit || DEFAULT_REQUEST_INIT
+
+  const runFrom = position => request =>
+    position < middleware.length
+      ? Promise.resolve().then(() =>
+          middleware[position](request, runFrom(position + 1))
+        )
+      : trafficFetch(request.url, request.init, baseFetch)
+
+  return {
+    fetch: (resource, init) =>
+      runFrom(0)({ url: resource, init: mergeInit(requestInit, init) })
+  }
+}
+
+const defaultHttpClient = createHttpClient()
+
+export { createHttpClient, defaultHttpClient }
@@ -0,0 +1,175 @@
+/* global window, Headers */
+import HttpStatus from 'http-status-codes'
+
+import { createHttpClient } from './HttpClient'
+import { connectProxyToEngine, sendDataToProxy } from './SpdzApi'
+import mockResponse from './test_support/MockResponse'
+
+// Only the Response and Headers classes come from node-fetch, requests go to the injected fetch.
+import nodeFetch from 'node-fetch'
+window.Response = nodeFetch.Response
+window.Headers = nodeFetch.Headers
+
+describe('Make SPDZ proxy requests with an injected http client', () => {
+  const okResponse = () => Promise.resolve(mockResponse(HttpStatus.OK, ''))
+
+  beforeEach(() => {
+    window.fetch = jest.fn()
+  })
+
+  it('Uses the injected fetch instead of the global fetch', done => {
+    const fakeFetch = jest
+      .fn()
+      .mockImplementation(() =>
+        Promise.resolve(
+          mockResponse(
+            HttpStatus.CREATED,
+            '',
+            new Headers({
+              Location: 'http://spdzProxy/spdzapi/123/spdz-connection'
+            })
+          )
+        )
+      )
+    const httpClient = createHttpClient({ fetch: fakeFetch })
+
+    connectProxyToEngine(
+      'http://spdzProxy',
+      '/spdzapi',
+      '123',
+      undefined,
+      undefined,
+      undefined,
+      httpClient
+    )
+      .then(clientId => {
+        expect(clientId).toEqual('123')
+        expect(
+          fakeFetch
+        ).toBeCalledWith('http://spdzProxy/spdzapi/connect-to-spdz', {
+          body: '{"clientId":"123"}',
+          headers: { 'content-type': 'application/json; charset=utf-8' },
+          method: 'POST',
+          mode: 'cors'
+        })
+        expect(window.fetch).not.toHaveBeenCalled()
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Adds the client request options, merging the headers', done => {
+    const fakeFetch = jest.fn().mockImplementation(okResponse)
+    const httpClient = createHttpClient({
+      fetch: fakeFetch,
+      requestInit: {
+        credentials: 'include',
+        headers: { 'x-gateway': 'abc', 'content-type': 'text/plain' }
+      }
+    })
+
+    sendDataToProxy(
+      'http://spdzProxy',
+      '/spdzapi',
+      '123',
+      '["AQ=="]',
+      undefined,
+      undefined,
+      httpClient
+    )
+      .then(() => {
+        expect(fakeFetch.mock.calls[0][1]).toEqual({
+          body: '["AQ=="]',
+          credentials: 'include',
+          headers: {
+            'x-gateway': 'abc',
+            'content-type': 'application/json; charset=utf-8'
+          },
+          method: 'POST'
+        })
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Runs the middleware in order before fetch', done => {
+    const fakeFetch = jest.fn().mockImplementation(okResponse)
+    const calls = []
+    const httpClient = createHttpClient({
+      fetch: fakeFetch,
+      middleware: [
+        (request, next) => {
+          calls.push(`log ${request.init.method} ${request.url}`)
+          return next(request).then(response => {
+            calls.push(`log ${response.status}`)
+            return response
+          })
+        },
+        (request, next) => {
+          calls.push('sign')
+          return next({
+            url: request.url.replace('http://spdzProxy', 'https://gateway'),
+            init: Object.assign({}, request.init, {
+              headers: Object.assign({}, request.init.headers, {
+                authorization: 'Signed abc'
+              })
+            })
+          })
+        }
+      ]
+    })
+
+    sendDataToProxy(
+      'http://spdzProxy',
+      '/spdzapi',
+      '123',
+      '["AQ=="]',
+      undefined,
+      undefined,
+      httpClient
+    )
+      .then(() => {
+        expect(calls).toEqual([
+          'log POST http://spdzProxy/spdzapi/123/send-data',
+          'sign',
+          'log 200'
+        ])
+        expect(fakeFetch.mock.calls[0][0]).toEqual(
+          'https://gateway/spdzapi/123/send-data'
+        )
+        expect(fakeFetch.mock.calls[0][1].headers.authorization).toEqual(
+          'Signed abc'
+        )
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Rejects the request if a middleware throws', done => {
+    const fakeFetch = jest.fn()
+    const httpClient = createHttpClient({
+      fetch: fakeFetch,
+      middleware: [
+        () => {
+          throw new Error('No signing key.')
+        }
+      ]
+    })
+
+    sendDataToProxy(
+      'http://spdzProxy',
+      '/spdzapi',
+      '123',
+      '["AQ=="]',
+      undefined,
+      undefined,
+      httpClient
+    )
+      .then(() => done.fail('Expected the send to fail.'))
+      .catch(err => {
+        expect(err.message).toEqual('No signing key.')
+        expect(fakeFetch).not.toHaveBeenCalled()
+        done()
+      })
+  })
+})
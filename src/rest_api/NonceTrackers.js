@@ -0,0 +1,19 @@
+/**
+ * URL to nonce tracker lookup for current round of REST transactions.
+ * Key is URL of proxy connecting to, value is the NonceTracker for its SPDZ engine.
+ * Reset alongside the client ids, so replay detection lasts from connectToSPDZ to disconnectFromSPDZ.
+ */
+import { NonceTracker } from '../crypto/NonceTracker'
+
+let nonceTrackers = {}
+
+const resetNonceTrackers = () => (nonceTrackers = {})
+const removeNonceTracker = url => delete nonceTrackers[url]
+const getNonceTracker = (url, nonceMode) => {
+  if (!nonceTrackers.hasOwnProperty(url)) {
+    nonceTrackers[url] = new NonceTracker(nonceMode)
+  }
+  return nonceTrackers[url]
+}
+
+export { getNonceTracker, removeNonceTracker, resetNonceTrackers }
@@ -0,0 +1,75 @@
+/**
+ * Timeout and retry policy for the REST calls to the SPDZ proxies.
+ * Holds the global policy, which each call can override.
+ */
+
+/**
+ * Default policy, a timeout for every request and retries for idempotent requests only.
+ */
+const DEFAULT_REQUEST_POLICY = {
+  timeoutMs: 30000,
+  retry: {
+    maxAttempts: 3,
+    retryDelayMs: 200,
+    retryOnStatus: [502, 503, 504]
+  }
+}
+
+// Repeating these requests has the same effect as making them once, so they can be retried.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE']
+
+const mergePolicy = (policy, override = {}) =>
+  Object.assign({}, policy, override, {
+    retry: Object.assign({}, policy.retry, override.retry)
+  })
+
+let globalPolicy = mergePolicy(DEFAULT_REQUEST_POLICY)
+
+/**
+ * @description Set the timeout and retry policy for all REST calls to the SPDZ Proxies.
+ * Settings not given keep their current value. A request which times out rejects with a TimeoutError.
+ *
+ * Only idempotent requests, such as the checkProxies GET and the disconnectFromSPDZ DELETE, are retried.
+ * They are retried after network errors and timeouts, but after HTTP errors only for the statuses in retryOnStatus.
+ *
+ * @param {Object} policy - settings to change.
+ * @param {Number} [policy.timeoutMs=30000] - time to wait for each request, 0 for no limit.
+ *                 Consuming data waits for the proxy waitTimeoutMs in addition.
+ * @param {Object} [policy.retry] - how to retry idempotent requests.
+ * @param {Number} [policy.retry.maxAttempts=3] - number of attempts, 1 for no retries.
+ * @param {Number} [policy.retry.retryDelayMs=200] - time to wait between attempts.
+ * @param {Number[]} [policy.retry.retryOnStatus=[502, 503, 504]] - HTTP statuses to retry.
+ *
+ * @example Give up on unresponsive proxies after 5 seconds:
+ *
+ * import { setRequestPolicy } from 'spdz-client-lib/dist/rest_api'
+ *
+ * setRequestPolicy({ timeoutMs: 5000, retry: { maxAttempts: 2 } })
+ *
+ * @access public
+ */
+const setRequestPolicy = policy => {
+  globalPolicy = mergePolicy(globalPolicy, policy)
+}
+
+/**
+ * Restore the default policy.
+ */
+const resetRequestPolicy = () => {
+  globalPolicy = mergePolicy(DEFAULT_REQUEST_POLICY)
+}
+
+/**
+ * @param {String} method HTTP method of the request.
+ * @param {Object} [callPolicy] overrides for a single call.
+ * @returns {Object} policy {timeoutMs, retry} for the request, with no retries unless the method is idempotent.
+ */
+const requestPolicyFor = (method, callPolicy = undefined) => {
+  const policy = mergePolicy(globalPolicy, callPolicy)
+  if (IDEMPOTENT_METHODS.indexOf(method) === -1) {
+    policy.retry.maxAttempts = 1
+  }
+  return policy
+}
+
+export { requestPolicyFor, resetRequestPolicy, setRequestPolicy }
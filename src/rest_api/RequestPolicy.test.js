@@ -0,0 +1,285 @@
+/* global window, Headers */
+import HttpStatus from 'http-status-codes'
+
+import {
+  checkEngineConnection,
+  consumeDataFromProxy,
+  disconnectProxyFromEngine,
+  sendDataToProxy
+} from './SpdzApi'
+import { consumeDataFromProxies } from './SpdzApiAggregate'
+import { retrieveResults, RESULT_TYPE } from './SpdzApiHelper'
+import { resetClientIds, storeClientId } from './ClientIds'
+import { resetRequestPolicy, setRequestPolicy } from './RequestPolicy'
+import TimeoutError from './TimeoutError'
+import AbortError from '../utility/AbortError'
+import mockAbortController from '../utility/test_support/MockAbortController'
+import mockResponse from './test_support/MockResponse'
+
+//Setup fetch for testing using mixture of node-fetch functions and mocks
+// Note window is same as global in node
+import nodeFetch from 'node-fetch'
+window.Response = nodeFetch.Response
+window.Headers = nodeFetch.Headers
+window.Request = nodeFetch.Request
+
+const okResponse = () =>
+  Promise.resolve(
+    mockResponse(
+      HttpStatus.OK,
+      '{}',
+      new Headers({ 'Content-Type': 'application/json' })
+    )
+  )
+
+const neverResponds = () => new Promise(() => {})
+
+describe('Apply the timeout and retry policy to SPDZ proxy requests', () => {
+  beforeEach(() => {
+    setRequestPolicy({ timeoutMs: 50, retry: { retryDelayMs: 1 } })
+  })
+
+  afterEach(() => {
+    resetRequestPolicy()
+  })
+
+  it('Rejects with a TimeoutError naming the proxy and operation', done => {
+    setRequestPolicy({ retry: { maxAttempts: 1 } })
+    window.fetch = jest.fn().mockImplementation(neverResponds)
+
+    checkEngineConnection('http://spdzProxy', '/spdzapi', '123')
+      .then(() => done.fail('Expected the check to time out.'))
+      .catch(err => {
+        expect(err).toBeInstanceOf(TimeoutError)
+        expect(err.url).toEqual('http://spdzProxy')
+        expect(err.operation).toEqual('checkEngineConnection')
+        expect(err.message).toEqual(
+          'Request checkEngineConnection to SPDZ proxy http://spdzProxy timed out after 50 ms.'
+        )
+        done()
+      })
+  })
+
+  it('Retries an idempotent request after a network error or timeout', done => {
+    window.fetch = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('ECONNRESET')))
+      .mockImplementationOnce(neverResponds)
+      .mockImplementationOnce(okResponse)
+
+    disconnectProxyFromEngine('http://spdzProxy', '/spdzapi', '123')
+      .then(() => {
+        expect(window.fetch).toHaveBeenCalledTimes(3)
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Retries an HTTP error only if its status is retryable', done => {
+    window.fetch = jest
+      .fn()
+      .mockImplementationOnce(() =>
+        Promise.resolve(mockResponse(HttpStatus.SERVICE_UNAVAILABLE, ''))
+      )
+      .mockImplementationOnce(() =>
+        Promise.resolve(mockResponse(HttpStatus.NOT_FOUND, ''))
+      )
+
+    checkEngineConnection('http://spdzProxy', '/spdzapi', '123')
+      .then(() => done.fail('Expected the check to fail.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'SPDZ proxy not connected to SPDZ engine. Status: 404. Reason: No SPDZ API reason message.'
+        )
+        expect(window.fetch).toHaveBeenCalledTimes(2)
+        done()
+      })
+  })
+
+  it('Gives up after the maximum number of attempts', done => {
+    window.fetch = jest
+      .fn()
+      .mockImplementation(() => Promise.reject(new Error('ECONNREFUSED')))
+
+    checkEngineConnection('http://spdzProxy', '/spdzapi', '123')
+      .then(() => done.fail('Expected the check to fail.'))
+      .catch(err => {
+        expect(err.message).toEqual('ECONNREFUSED')
+        expect(window.fetch).toHaveBeenCalledTimes(3)
+        done()
+      })
+  })
+
+  it('Does not retry a request which is not idempotent', done => {
+    window.fetch = jest
+      .fn()
+      .mockImplementation(() => Promise.reject(new Error('ECONNRESET')))
+
+    sendDataToProxy('http://spdzProxy', '/spdzapi', '123', '["AQ=="]')
+      .then(() => done.fail('Expected the send to fail.'))
+      .catch(err => {
+        expect(err.message).toEqual('ECONNRESET')
+        expect(window.fetch).toHaveBeenCalledTimes(1)
+        done()
+      })
+  })
+
+  it('Lets a call override the global policy', done => {
+    window.fetch = jest.fn().mockImplementation(neverResponds)
+
+    sendDataToProxy(
+      'http://spdzProxy',
+      '/spdzapi',
+      '123',
+      '["AQ=="]',
+      undefined,
+      { timeoutMs: 10 }
+    )
+      .then(() => done.fail('Expected the send to time out.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Request sendDataToProxy to SPDZ proxy http://spdzProxy timed out after 10 ms.'
+        )
+        done()
+      })
+  })
+
+  it('Extends the consume timeout by the proxy wait time', done => {
+    window.fetch = jest.fn().mockImplementation(neverResponds)
+
+    consumeDataFromProxy('http://spdzProxy', '/spdzapi', '123', 20)
+      .then(() => done.fail('Expected the consume to time out.'))
+      .catch(err => {
+        expect(err.operation).toEqual('consumeDataFromProxy')
+        expect(err.message).toEqual(
+          'Request consumeDataFromProxy to SPDZ proxy http://spdzProxy timed out after 70 ms.'
+        )
+        done()
+      })
+  })
+
+  describe('Per call policy given to the public functions', () => {
+    const spdzProxyList = [{ url: 'http://spdzProxy' }]
+
+    beforeEach(() => {
+      storeClientId('http://spdzProxy', '123')
+      window.fetch = jest.fn().mockImplementation(neverResponds)
+    })
+
+    afterEach(() => {
+      resetClientIds()
+    })
+
+    it('Applies the policy given to consumeDataFromProxies', done => {
+      consumeDataFromProxies(spdzProxyList, '/spdzapi', false, 0, {
+        requestPolicy: { timeoutMs: 15 }
+      })
+        .then(() => done.fail('Expected the consume to time out.'))
+        .catch(err => {
+          expect(err).toBeInstanceOf(TimeoutError)
+          expect(err.message).toEqual(
+            'Request consumeDataFromProxy to SPDZ proxy http://spdzProxy timed out after 15 ms.'
+          )
+          done()
+        })
+    })
+
+    it('Applies the policy given to retrieveResults', done => {
+      retrieveResults(spdzProxyList, '/spdzapi', {
+        type: RESULT_TYPE.INT_32,
+        requestPolicy: { timeoutMs: 25 }
+      })
+        .then(() => done.fail('Expected the retrieve to time out.'))
+        .catch(err => {
+          expect(err.message).toEqual(
+            'Request consumeDataFromProxy to SPDZ proxy http://spdzProxy timed out after 25 ms.'
+          )
+          done()
+        })
+    })
+  })
+
+  describe('Cancel each attempt which times out', () => {
+    // The jest environment has no AbortController, use the test one.
+    beforeEach(() => {
+      window.AbortController = function() {
+        return mockAbortController()
+      }
+    })
+
+    afterEach(() => {
+      delete window.AbortController
+    })
+
+    it('Aborts a timed out request before retrying it', done => {
+      window.fetch = jest
+        .fn()
+        .mockImplementationOnce(neverResponds)
+        .mockImplementationOnce(okResponse)
+
+      disconnectProxyFromEngine('http://spdzProxy', '/spdzapi', '123')
+        .then(() => {
+          const firstSignal = window.fetch.mock.calls[0][1].signal
+          const secondSignal = window.fetch.mock.calls[1][1].signal
+          expect(firstSignal.aborted).toEqual(true)
+          expect(secondSignal).not.toBe(firstSignal)
+          expect(secondSignal.aborted).toEqual(false)
+          done()
+        })
+        .catch(err => done.fail(err))
+    })
+
+    it('Aborts a request which is not retried when it times out', done => {
+      window.fetch = jest.fn().mockImplementation(neverResponds)
+
+      sendDataToProxy('http://spdzProxy', '/spdzapi', '123', '["AQ=="]')
+        .then(() => done.fail('Expected the send to time out.'))
+        .catch(err => {
+          expect(err).toBeInstanceOf(TimeoutError)
+          expect(window.fetch).toHaveBeenCalledTimes(1)
+          expect(window.fetch.mock.calls[0][1].signal.aborted).toEqual(true)
+          done()
+        })
+    })
+
+    it('Aborts the current attempt when the caller aborts', done => {
+      const controller = mockAbortController()
+      window.fetch = jest.fn().mockImplementation(neverResponds)
+
+      checkEngineConnection(
+        'http://spdzProxy',
+        '/spdzapi',
+        '123',
+        controller.signal
+      )
+        .then(() => done.fail('Expected the check to be aborted.'))
+        .catch(err => {
+          expect(err).toBeInstanceOf(AbortError)
+          expect(window.fetch).toHaveBeenCalledTimes(1)
+          expect(window.fetch.mock.calls[0][1].signal.aborted).toEqual(true)
+          expect(controller.signal.listenerCount()).toEqual(0)
+          done()
+        })
+
+      controller.abort()
+    })
+
+    it('Stops following the caller signal once the response is read', done => {
+      const controller = mockAbortController()
+      window.fetch = jest.fn().mockImplementation(okResponse)
+
+      checkEngineConnection(
+        'http://spdzProxy',
+        '/spdzapi',
+        '123',
+        controller.signal
+      )
+        .then(() => {
+          expect(window.fetch.mock.calls[0][1].signal.aborted).toEqual(false)
+          expect(controller.signal.listenerCount()).toEqual(0)
+          done()
+        })
+        .catch(err => done.fail(err))
+    })
+  })
+})
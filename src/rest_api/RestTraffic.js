@@ -0,0 +1,161 @@
+/**
+ * Record or replay the fetch calls made to the SPDZ proxies by the REST API, see TrafficRecorder.
+ * Holds the current recorder or replay log, which apply to all REST calls until cleared.
+ */
+
+import { Buffer } from 'buffer/'
+
+import {
+  parseTrafficLog,
+  TRAFFIC_CHANNEL,
+  TRAFFIC_DIRECTION
+} from '../utility/TrafficRecorder'
+
+let recorder = undefined
+let replayList = undefined
+
+// Only the response headers the REST API reads are recorded.
+const RECORDED_HEADERS = ['content-type', 'location']
+
+/**
+ * @description Record all REST calls to the SPDZ proxies, with the response status, headers and body.
+ * Call with no recorder to stop recording.
+ *
+ * @param {TrafficRecorder} [trafficRecorder] - where to record the calls.
+ *
+ * @example Record a REST computation:
+ *
+ * const recorder = new TrafficRecorder()
+ * recordRestTraffic(recorder)
+ * connectToSPDZ(proxyUrlList, '/spdzapi')
+ * .then(...)
+ * .then(() => fs.writeFileSync('traffic.jsonl', recorder.toJsonLines()))
+ *
+ * @access public
+ */
+const recordRestTraffic = (trafficRecorder = undefined) => {
+  recorder = trafficRecorder
+}
+
+/**
+ * @description Answer REST calls from recorded traffic instead of the SPDZ proxies, so a computation can be rerun offline.
+ * Each call gets the next recorded response for the same url and method, or is rejected if there is none.
+ * Call with no log to stop replaying.
+ *
+ * @param {String|Array|TrafficRecorder} [log] - recorded traffic, see parseTrafficLog.
+ *
+ * @access public
+ */
+const replayRestTraffic = (log = undefined) => {
+  replayList =
+    log === undefined
+      ? undefined
+      : parseTrafficLog(log).filter(
+          entry =>
+            entry.channel === TRAFFIC_CHANNEL.REST &&
+            entry.direction === TRAFFIC_DIRECTION.RECEIVED
+        )
+}
+
+/**
+ * Build a fetch like response from recorded data, enough for the REST API to read.
+ */
+const recordedResponse = (status, headers, body) => {
+  const text = () => Buffer.from(body).toString('utf8')
+  return {
+    status: status,
+    headers: {
+      has: name => headers.hasOwnProperty(name.toLowerCase()),
+      get: name =>
+        headers.hasOwnProperty(name.toLowerCase())
+          ? headers[name.toLowerCase()]
+          : null
+    },
+    json: () => Promise.resolve().then(() => JSON.parse(text())),
+    arrayBuffer: () => Promise.resolve(body.slice().buffer)
+  }
+}
+
+// Request bodies are JSON, parsed so that key fields can be redacted.
+const parseBody = body => {
+  try {
+    return body === undefined ? undefined : JSON.parse(body)
+  } catch (err) {
+    return body
+  }
+}
+
+const readBody = response =>
+  response.arrayBuffer ? response.arrayBuffer() : response.buffer()
+
+const recordedFetch = (resource, init, baseFetch) => {
+  const entry = direction => ({
+    channel: TRAFFIC_CHANNEL.REST,
+    direction: direction,
+    url: resource,
+    event: init.method
+  })
+  recorder.record(
+    Object.assign(entry(TRAFFIC_DIRECTION.SENT), {
+      body: parseBody(init.body)
+    })
+  )
+
+  return baseFetch(resource, init).then(
+    response =>
+      readBody(response).then(buffer => {
+        const body = new Uint8Array(buffer)
+        const headers = {}
+        RECORDED_HEADERS.forEach(name => {
+          if (response.headers.has(name)) {
+            headers[name] = response.headers.get(name)
+          }
+        })
+        recorder.record(
+          Object.assign(entry(TRAFFIC_DIRECTION.RECEIVED), {
+            status: response.status,
+            headers: headers,
+            body: body
+          })
+        )
+        return recordedResponse(response.status, headers, body)
+      }),
+    err => {
+      recorder.record(
+        Object.assign(entry(TRAFFIC_DIRECTION.RECEIVED), {
+          error: err.message
+        })
+      )
+      return Promise.reject(err)
+    }
+  )
+}
+
+const replayedFetch = (resource, init) => {
+  const index = replayList.findIndex(
+    entry => entry.url === resource && entry.event === init.method
+  )
+  if (index === -1) {
+    return Promise.reject(
+      new Error(`No recorded response for ${init.method} ${resource}.`)
+    )
+  }
+  const entry = replayList.splice(index, 1)[0]
+  return entry.error !== undefined
+    ? Promise.reject(new Error(entry.error))
+    : Promise.resolve(recordedResponse(entry.status, entry.headers, entry.body))
+}
+
+/**
+ * Run the fetch function, recording or replaying if set.
+ */
+const trafficFetch = (resource, init, baseFetch) => {
+  if (replayList !== undefined) {
+    return replayedFetch(resource, init)
+  } else if (recorder !== undefined) {
+    return recordedFetch(resource, init, baseFetch)
+  }
+  return baseFetch(resource, init)
+}
+
+export { recordRestTraffic, replayRestTraffic, trafficFetch }
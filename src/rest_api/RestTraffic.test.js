@@ -0,0 +1,132 @@
+/* global window, Headers */
+import HttpStatus from 'http-status-codes'
+
+import {
+  connectProxyToEngine,
+  consumeDataFromProxy,
+  sendDataToProxy
+} from './SpdzApi'
+import { recordRestTraffic, replayRestTraffic } from './RestTraffic'
+import mockResponse from './test_support/MockResponse'
+import { TrafficRecorder } from '../utility/TrafficRecorder'
+
+//Setup fetch for testing using mixture of node-fetch functions and mocks
+// Note window is same as global in node
+import nodeFetch from 'node-fetch'
+window.Response = nodeFetch.Response
+window.Headers = nodeFetch.Headers
+window.Request = nodeFetch.Request
+
+describe('Record and replay REST calls to the SPDZ proxies', () => {
+  const publicKey =
+    'b979d4508acd90156353dee3f7de36608432eeba7b37bd363ca9427d4b684748'
+
+  const mockProxy = () => {
+    window.fetch = jest.fn().mockImplementation(resource => {
+      if (resource.endsWith('connect-to-spdz')) {
+        const headers = new Headers({
+          Location: 'http://spdzProxy/spdzapi/123/spdz-connection'
+        })
+        return Promise.resolve(mockResponse(HttpStatus.CREATED, '', headers))
+      } else if (resource.endsWith('send-data')) {
+        const headers = new Headers({ 'Content-Type': 'application/json' })
+        return Promise.resolve(
+          mockResponse(
+            HttpStatus.BAD_REQUEST,
+            '{"status": 400, "message": "Not connected."}',
+            headers
+          )
+        )
+      }
+      const headers = new Headers({
+        'Content-Type': 'application/octet-stream'
+      })
+      return Promise.resolve(
+        mockResponse(HttpStatus.OK, Buffer.from([1, 2, 3]), headers)
+      )
+    })
+  }
+
+  // Run the same client calls, returning a promise of the outcomes.
+  const runCalls = () => {
+    const outcomes = []
+    return connectProxyToEngine(
+      'http://spdzProxy',
+      '/spdzapi',
+      undefined,
+      publicKey
+    )
+      .then(clientId => outcomes.push(clientId))
+      .then(() => consumeDataFromProxy('http://spdzProxy', '/spdzapi', '123'))
+      .then(data => outcomes.push(data))
+      .then(() =>
+        sendDataToProxy('http://spdzProxy', '/spdzapi', '123', '["AQ=="]')
+      )
+      .catch(err => outcomes.push(err.message))
+      .then(() => outcomes)
+  }
+
+  afterEach(() => {
+    recordRestTraffic()
+    replayRestTraffic()
+  })
+
+  it('replays recorded responses without calling fetch', done => {
+    const recorder = new TrafficRecorder()
+    mockProxy()
+    recordRestTraffic(recorder)
+
+    runCalls()
+      .then(recorded => {
+        expect(recorded).toEqual([
+          '123',
+          Uint8Array.of(1, 2, 3),
+          'Unable to send data to SPDZ proxy. Status: 400. Reason: Not connected.'
+        ])
+        expect(window.fetch).toHaveBeenCalledTimes(3)
+
+        recordRestTraffic()
+        replayRestTraffic(recorder.toJsonLines())
+        window.fetch = jest.fn()
+        return runCalls().then(replayed => {
+          expect(replayed).toEqual(recorded)
+          expect(window.fetch).not.toHaveBeenCalled()
+          done()
+        })
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('redacts the client public key from the recorded request', done => {
+    const recorder = new TrafficRecorder()
+    mockProxy()
+    recordRestTraffic(recorder)
+
+    runCalls()
+      .then(() => {
+        expect(recorder.entries[0]).toMatchObject({
+          channel: 'rest',
+          direction: 'sent',
+          url: 'http://spdzProxy/spdzapi/connect-to-spdz',
+          event: 'POST',
+          body: { clientPublicKey: '[redacted]' }
+        })
+        expect(recorder.toJsonLines()).not.toContain(publicKey)
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('rejects a replayed call with no recorded response', done => {
+    replayRestTraffic([])
+
+    consumeDataFromProxy('http://spdzProxy', '/spdzapi', '123')
+      .then(() => done.fail('Expected the call to be rejected.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'No recorded response for POST http://spdzProxy/spdzapi/123/consume-data?waitMs=0.'
+        )
+        done()
+      })
+  })
+})
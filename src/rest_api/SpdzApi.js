@@ -1,13 +1,18 @@
 /**
  * Calls to the SPDZ Proxy REST API.
- * A fetch polyfill is expected to have been included, see README.
+ * A fetch polyfill is expected to have been included, see README, unless every call is given an httpClient.
  */
 
-/* Supress eslint warnings with following: */
-
-/* global fetch */
 import HttpStatus from 'http-status-codes'
 import NoContentError from './NoContentError'
+import { requestPolicyFor } from './RequestPolicy'
+import { defaultHttpClient } from './HttpClient'
+import TimeoutError from './TimeoutError'
+import {
+  abortableDelay,
+  abortablePromise,
+  linkedAbortController
+} from '../utility/abortable'
 
 const isJson = headers => {
   return (
@@ -37,11 +42,166 @@ const parseIfJson = response => {
   }
 }
 
+/**
+ * Read the body of a consume response, binary data if OK otherwise any JSON error.
+ * Browsers have arrayBuffer, the node polyfill has buffer.
+ */
+const readConsumedData = response =>
+  parseIfJson(response).then(result => {
+    if (result.response.status !== HttpStatus.OK) {
+      return result
+    }
+    const bufferPromise = response.arrayBuffer
+      ? response.arrayBuffer()
+      : response.buffer()
+    return bufferPromise.then(buffer =>
+      Object.assign({}, result, { buffer: buffer })
+    )
+  })
+
 const safeReasonMsg = result =>
   result.jsonData !== undefined
     ? result.jsonData.message
     : 'No SPDZ API reason message.'
 
+/**
+ * Run fetch with the http client, cancelling the request and rejecting with an AbortError if the optional signal is aborted.
+ * Fetch polyfills which do not support a signal still reject, but the request runs to completion.
+ */
+const fetchWithSignal = (description, resource, init, signal, httpClient) => {
+  const requestInit =
+    signal === undefined ? init : Object.assign({}, init, { signal: signal })
+  return abortablePromise(
+    signal,
+    description,
+    httpClient.fetch(resource, requestInit)
+  )
+}
+
+/**
+ * Reject with a TimeoutError if the request has not settled in time, a timeout of 0 waits forever.
+ * onTimeout is called after rejecting, to cancel the request.
+ */
+const withTimeout = (operation, url, timeoutMs, promise, onTimeout) => {
+  if (timeoutMs <= 0) {
+    return promise
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(
+        new TimeoutError(
+          `Request ${operation} to SPDZ proxy ${url} timed out after ${timeoutMs} ms.`,
+          url,
+          operation
+        )
+      )
+      onTimeout()
+    }, timeoutMs)
+    promise.then(
+      value => {
+        clearTimeout(timer)
+        resolve(value)
+      },
+      err => {
+        clearTimeout(timer)
+        reject(err)
+      }
+    )
+  })
+}
+
+/**
+ * Run fetchWithSignal under the request policy, see setRequestPolicy, and read the response body.
+ * Network errors and timeouts are retried, HTTP errors only if their status is in retryOnStatus.
+ * An aborted request is never retried. The timeout covers reading the body.
+ * Each attempt has its own AbortController, following the signal, which is aborted when the attempt times out
+ * so that no request is left open. Without an AbortController the timed out request runs to completion.
+ * Once the attempt settles the controller stops following the signal.
+ *
+ * @param {String} operation name of the calling function, carried by a TimeoutError.
+ * @param {String} url of the proxy.
+ * @param {String} description of the request, used in the AbortError message.
+ * @param {String} resource request url.
+ * @param {Object} init fetch options, the method decides if the request can be retried.
+ * @param {Function} readBody reads the response, returning a promise.
+ * @param {AbortSignal} signal optional, to cancel the request.
+ * @param {Object} callPolicy optional, overrides the global request policy.
+ * @param {Object} httpClient to make the request with, see createHttpClient.
+ * @param {Number} extraTimeoutMs time the proxy is expected to hold the request, added to the timeout.
+ * @returns Promise resolve(result of readBody), or reject(err).
+ */
+const fetchWithPolicy = (
+  operation,
+  url,
+  description,
+  resource,
+  init,
+  readBody,
+  signal,
+  callPolicy,
+  httpClient,
+  extraTimeoutMs = 0
+) => {
+  const policy = requestPolicyFor(init.method, callPolicy)
+  const timeoutMs = policy.timeoutMs > 0 ? policy.timeoutMs + extraTimeoutMs : 0
+
+  const attempt = attemptNumber => {
+    const canRetry = attemptNumber < policy.retry.maxAttempts
+    const controller = linkedAbortController(signal)
+    const attemptSignal = controller === undefined ? signal : controller.signal
+    const release = () => {
+      if (controller !== undefined) {
+        controller.release()
+      }
+    }
+    const retry = () => {
+      release()
+      return abortableDelay(
+        signal,
+        description,
+        policy.retry.retryDelayMs
+      ).then(() => attempt(attemptNumber + 1))
+    }
+
+    const request = fetchWithSignal(
+      description,
+      resource,
+      init,
+      attemptSignal,
+      httpClient
+    ).then(
+      response =>
+        canRetry && policy.retry.retryOnStatus.indexOf(response.status) !== -1
+          ? Promise.reject(
+              new Error(
+                `Request ${operation} to SPDZ proxy ${url} returned status ${response.status}.`
+              )
+            )
+          : readBody(response)
+    )
+
+    return withTimeout(operation, url, timeoutMs, request, () => {
+      if (controller !== undefined) {
+        controller.abort()
+      }
+    }).then(
+      result => {
+        release()
+        return result
+      },
+      err => {
+        if (canRetry && err.name !== 'AbortError') {
+          return retry()
+        }
+        release()
+        return Promise.reject(err)
+      }
+    )
+  }
+
+  return attempt(1)
+}
+
 /**
  * Connect to a running SPDZ process via the SPDZ Proxy.
  * The clientId is generated by the Proxy if not supplied.
@@ -49,13 +209,19 @@ const safeReasonMsg = result =>
  * @param {String} apiRoot Root of path e.g. /spdzapi
  * @param {String} clientId optional client Id.
  * @param {String} clientPublicKey optional 64 byte hex string, if set encrypt traffic.
+ * @param {AbortSignal} signal optional, to cancel the request.
+ * @param {Object} requestPolicy optional, overrides the timeout and retry policy for this call.
+ * @param {Object} httpClient optional, to make the request with, see createHttpClient.
  * @returns Promise resolve(clientId), or reject(err).
  */
 const connectProxyToEngine = (
   url,
   apiRoot,
   clientId = undefined,
-  clientPublicKey = undefined
+  clientPublicKey = undefined,
+  signal = undefined,
+  requestPolicy = undefined,
+  httpClient = defaultHttpClient
 ) => {
   const bodyData = {}
   if (clientId !== undefined) {
@@ -65,115 +231,167 @@ const connectProxyToEngine = (
     bodyData.clientPublicKey = clientPublicKey
   }
 
-  return fetch(`${url}${apiRoot}/connect-to-spdz`, {
-    method: 'POST',
-    headers: {
-      'content-type': 'application/json; charset=utf-8'
+  return fetchWithPolicy(
+    'connectProxyToEngine',
+    url,
+    `Connect SPDZ proxy ${url} to engine`,
+    `${url}${apiRoot}/connect-to-spdz`,
+    {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json; charset=utf-8'
+      },
+      body: JSON.stringify(bodyData)
     },
-    body: JSON.stringify(bodyData),
-    mode: 'cors'
-  })
-    .then(response => parseIfJson(response))
-    .then(result => {
-      if (result.response.status === HttpStatus.CREATED) {
-        const location = result.response.headers.get('Location')
-        const matches =
-          location === null ? null : location.match(/.+\/(.+)\/spdz-connection/)
-        if (matches === null || matches.length < 2) {
-          let error = new Error(
-            `Unable to make SPDZ proxy engine connection. Status: ${result
-              .response
-              .status}. Reason: Unable to extract clientId from location header ${location}.`
-          )
-          error.reason = {}
-          return Promise.reject(error)
-        } else {
-          return Promise.resolve(matches[1])
-        }
-      } else {
+    parseIfJson,
+    signal,
+    requestPolicy,
+    httpClient
+  ).then(result => {
+    if (result.response.status === HttpStatus.CREATED) {
+      const location = result.response.headers.get('Location')
+      const matches =
+        location === null ? null : location.match(/.+\/(.+)\/spdz-connection/)
+      if (matches === null || matches.length < 2) {
         let error = new Error(
           `Unable to make SPDZ proxy engine connection. Status: ${result
-            .response.status}. Reason: ${safeReasonMsg(result)}`
+            .response
+            .status}. Reason: Unable to extract clientId from location header ${location}.`
         )
-        error.reason = result.jsonData
+        error.reason = {}
         return Promise.reject(error)
+      } else {
+        return Promise.resolve(matches[1])
       }
-    })
+    } else {
+      let error = new Error(
+        `Unable to make SPDZ proxy engine connection. Status: ${result.response
+          .status}. Reason: ${safeReasonMsg(result)}`
+      )
+      error.reason = result.jsonData
+      return Promise.reject(error)
+    }
+  })
 }
 
 /**
  * Check to see if there is a SPDZ proxy to SPDZ engine connection for this client id.
+ * Optional requestPolicy overrides the timeout and retry policy for this call.
+ * Optional httpClient makes the request, see createHttpClient.
  */
-const checkEngineConnection = (host, apiRoot, clientId) => {
-  return fetch(`${host}${apiRoot}/${clientId}/spdz-connection`, {
-    method: 'GET',
-    headers: {
-      Accept: 'application/json'
+const checkEngineConnection = (
+  host,
+  apiRoot,
+  clientId,
+  signal = undefined,
+  requestPolicy = undefined,
+  httpClient = defaultHttpClient
+) => {
+  return fetchWithPolicy(
+    'checkEngineConnection',
+    host,
+    `Check SPDZ proxy ${host} engine connection`,
+    `${host}${apiRoot}/${clientId}/spdz-connection`,
+    {
+      method: 'GET',
+      headers: {
+        Accept: 'application/json'
+      }
     },
-    mode: 'cors'
+    parseIfJson,
+    signal,
+    requestPolicy,
+    httpClient
+  ).then(result => {
+    if (result.response.status === HttpStatus.OK) {
+      return Promise.resolve()
+    } else {
+      let error = new Error(
+        `SPDZ proxy not connected to SPDZ engine. Status: ${result.response
+          .status}. Reason: ${safeReasonMsg(result)}`
+      )
+      error.reason = result.jsonData
+      return Promise.reject(error)
+    }
   })
-    .then(response => parseIfJson(response))
-    .then(result => {
-      if (result.response.status === HttpStatus.OK) {
-        return Promise.resolve()
-      } else {
-        let error = new Error(
-          `SPDZ proxy not connected to SPDZ engine. Status: ${result.response
-            .status}. Reason: ${safeReasonMsg(result)}`
-        )
-        error.reason = result.jsonData
-        return Promise.reject(error)
-      }
-    })
 }
 
 /**
  * Success here is a new connection created or already connected.
+ * Optional requestPolicy overrides the timeout and retry policy for this call.
+ * Optional httpClient makes the request, see createHttpClient.
  */
-const disconnectProxyFromEngine = (host, apiRoot, clientId) => {
-  return fetch(`${host}${apiRoot}/${clientId}/spdz-connection`, {
-    method: 'DELETE',
-    headers: {
-      Accept: 'application/json'
+const disconnectProxyFromEngine = (
+  host,
+  apiRoot,
+  clientId,
+  signal = undefined,
+  requestPolicy = undefined,
+  httpClient = defaultHttpClient
+) => {
+  return fetchWithPolicy(
+    'disconnectProxyFromEngine',
+    host,
+    `Disconnect SPDZ proxy ${host} from engine`,
+    `${host}${apiRoot}/${clientId}/spdz-connection`,
+    {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/json'
+      }
     },
-    mode: 'cors'
+    parseIfJson,
+    signal,
+    requestPolicy,
+    httpClient
+  ).then(result => {
+    if (result.response.status === HttpStatus.OK) {
+      return Promise.resolve(result)
+    } else {
+      let error = new Error(
+        `Unable to disconnect from SPDZ proxy engine. Status: ${result.response
+          .status}. Reason: ${safeReasonMsg(result)}`
+      )
+      error.reason = result.jsonData
+      return Promise.reject(error)
+    }
   })
-    .then(parseIfJson)
-    .then(result => {
-      if (result.response.status === HttpStatus.OK) {
-        return Promise.resolve(result)
-      } else {
-        let error = new Error(
-          `Unable to disconnect from SPDZ proxy engine. Status: ${result
-            .response.status}. Reason: ${safeReasonMsg(result)}`
-        )
-        error.reason = result.jsonData
-        return Promise.reject(error)
-      }
-    })
 }
 
-const consumeDataFromProxy = (host, apiRoot, clientId, waitTimeoutMs = 0) => {
-  return fetch(
+/**
+ * The request timeout is extended by waitTimeoutMs, the time the proxy holds the request open.
+ * Optional requestPolicy overrides the timeout and retry policy for this call.
+ * Optional httpClient makes the request, see createHttpClient.
+ */
+const consumeDataFromProxy = (
+  host,
+  apiRoot,
+  clientId,
+  waitTimeoutMs = 0,
+  signal = undefined,
+  requestPolicy = undefined,
+  httpClient = defaultHttpClient
+) => {
+  return fetchWithPolicy(
+    'consumeDataFromProxy',
+    host,
+    `Consume data from SPDZ proxy ${host}`,
     `${host}${apiRoot}/${clientId}/consume-data?waitMs=${waitTimeoutMs}`,
     {
       method: 'POST',
       headers: {
         Accept: 'application/octet-stream, application/json'
-      },
-      mode: 'cors'
-    }
+      }
+    },
+    readConsumedData,
+    signal,
+    requestPolicy,
+    httpClient,
+    waitTimeoutMs
   )
-    .then(parseIfJson)
     .then(result => {
       if (result.response.status === HttpStatus.OK) {
-        // Browsers have arrayBuffer, returns promise which resolves with ArrayBuffer
-        // Node polyfill has buffer.
-        if (result.response.arrayBuffer) {
-          return result.response.arrayBuffer()
-        } else {
-          return result.response.buffer()
-        }
+        return result.buffer
       } else if (result.response.status === HttpStatus.NO_CONTENT) {
         let error = new NoContentError(
           `No data is available to consume from the SPDZ proxy. Status: ${result
@@ -198,30 +416,50 @@ const consumeDataFromProxy = (host, apiRoot, clientId, waitTimeoutMs = 0) => {
  * @param {host} Hostname of spdz proxy
  * @param {apiRoot} api path
  * @param {clientId} used to distinguish which client connection to used
- * @param {payload} JSON array of base64 encoded 16 byte integers
+ * @param {payload} JSON array of base64 encoded 16 byte integers, or 4 byte little endian integers for
+ *                  SPDZ regint. The proxy forwards the decoded bytes
+ *                  to the SPDZ engine in order, so encrypted inputs are sent as an array of 1 base64 cipher text.
+ * @param {signal} optional AbortSignal to cancel the request
+ * @param {requestPolicy} optional, overrides the timeout and retry policy for this call
+ * @param {httpClient} optional, to make the request with, see createHttpClient
  */
-const sendDataToProxy = (host, apiRoot, clientId, payload) => {
-  return fetch(`${host}${apiRoot}/${clientId}/send-data`, {
-    method: 'POST',
-    headers: {
-      'content-type': 'application/json; charset=utf-8'
+const sendDataToProxy = (
+  host,
+  apiRoot,
+  clientId,
+  payload,
+  signal = undefined,
+  requestPolicy = undefined,
+  httpClient = defaultHttpClient
+) => {
+  return fetchWithPolicy(
+    'sendDataToProxy',
+    host,
+    `Send data to SPDZ proxy ${host}`,
+    `${host}${apiRoot}/${clientId}/send-data`,
+    {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json; charset=utf-8'
+      },
+      body: payload
     },
-    body: payload,
-    mode: 'cors'
+    parseIfJson,
+    signal,
+    requestPolicy,
+    httpClient
+  ).then(result => {
+    if (result.response.status === HttpStatus.OK) {
+      return Promise.resolve()
+    } else {
+      let error = new Error(
+        `Unable to send data to SPDZ proxy. Status: ${result.response
+          .status}. Reason: ${safeReasonMsg(result)}`
+      )
+      error.reason = result.jsonData
+      return Promise.reject(error)
+    }
   })
-    .then(parseIfJson)
-    .then(result => {
-      if (result.response.status === HttpStatus.OK) {
-        return Promise.resolve()
-      } else {
-        let error = new Error(
-          `Unable to send data to SPDZ proxy. Status: ${result.response
-            .status}. Reason: ${safeReasonMsg(result)}`
-        )
-        error.reason = result.jsonData
-        return Promise.reject(error)
-      }
-    })
 }
 
 export {
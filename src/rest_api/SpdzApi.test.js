@@ -1,7 +1,9 @@
-/* global window, Headers */
+/* global window, Headers, Buffer */
 import HttpStatus from 'http-status-codes'
 
 import NoContentError from './NoContentError'
+import AbortError from '../utility/AbortError'
+import mockAbortController from '../utility/test_support/MockAbortController'
 import {
   connectProxyToEngine,
   checkEngineConnection,
@@ -10,6 +12,11 @@ import {
   sendDataToProxy
 } from './SpdzApi'
 import mockResponse from './test_support/MockResponse'
+import { sendInputsToProxies } from './SpdzApiAggregate'
+import { resetClientIds, storeClientId } from './ClientIds'
+import { createEncryptionKey, decrypt } from '../crypto'
+import { Gfp } from '../math/Gfp'
+import { inputsToBinary } from '../type_mapping/arrayToBinary'
 
 //Setup fetch for testing using mixture of node-fetch functions and mocks
 // Note window is same as global in node
@@ -285,3 +292,74 @@ describe('Sends array of base64 encoded integers to the Spdz Proxy', () => {
       })
   })
 })
+
+describe('Sends encrypted inputs to the Spdz Proxy', () => {
+  const encryptionKey = createEncryptionKey(
+    'a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8'
+  )
+
+  afterEach(() => {
+    resetClientIds()
+  })
+
+  it('Sends the encrypted message as an array of 1 base64 value', done => {
+    storeClientId('http://spdzProxy', '123')
+    window.fetch = jest
+      .fn()
+      .mockImplementation(() => Promise.resolve(mockResponse(HttpStatus.OK)))
+    const inputList = [Gfp.fromUserInput('5'), Gfp.fromUserInput('6')]
+
+    sendInputsToProxies(
+      [{ url: 'http://spdzProxy', encryptionKey: encryptionKey }],
+      '/spdzapi',
+      inputList,
+      { encryptInputs: true }
+    )
+      .then(() => {
+        const [url, init] = window.fetch.mock.calls[0]
+        expect(url).toEqual('http://spdzProxy/spdzapi/123/send-data')
+        const payload = JSON.parse(init.body)
+        expect(payload.length).toEqual(1)
+        const cipherBytes = Uint8Array.from(Buffer.from(payload[0], 'base64'))
+        expect(decrypt(encryptionKey, cipherBytes)).toEqual(
+          inputsToBinary('modp', inputList)
+        )
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+})
+
+describe('Cancel a request to the Spdz Proxy', () => {
+  afterEach(() => {
+    window.fetch.mockClear()
+  })
+
+  it('Passes the signal to fetch and rejects with an AbortError when aborted', done => {
+    window.fetch = jest.fn().mockImplementation(() => new Promise(() => {}))
+    const controller = mockAbortController()
+
+    consumeDataFromProxy(
+      'http://spdzProxy',
+      '/spdzapi',
+      '123',
+      0,
+      controller.signal
+    )
+      .then(() => {
+        done.fail('Expected consumeDataFromProxy to reject.')
+      })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(err.message).toEqual(
+          'Consume data from SPDZ proxy http://spdzProxy aborted.'
+        )
+        expect(window.fetch.mock.calls[0][1].signal).toBe(controller.signal)
+        done()
+      })
+
+    controller.abort()
+  })
+})
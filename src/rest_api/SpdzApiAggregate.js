@@ -11,8 +11,14 @@ import {
   sendDataToProxy
 } from './SpdzApi'
 import { decrypt } from '../crypto'
+import { encryptInputMessage } from '../crypto/inputMessage'
+import { Gfp } from '../math/Gfp'
+import NoContentError from './NoContentError'
 import ProxyStatusCodes from './ProxyStatusCodes'
-import { base64Encode } from '../utility/binary'
+import AbortError from '../utility/AbortError'
+import { abortableDelay, linkedAbortController } from '../utility/abortable'
+import { intArrayToBinary } from '../type_mapping/arrayToBinary'
+import { base64Encode, binaryToBase64 } from '../utility/binary'
 import logger from '../utility/logging'
 import verifyRequiredKeys from '../utility/verifyRequiredKeys'
 import {
@@ -22,16 +28,54 @@ import {
   resetClientIds,
   storeClientId
 } from './ClientIds'
+import {
+  getNonceTracker,
+  removeNonceTracker,
+  resetNonceTrackers
+} from './NonceTrackers'
+
+// The proxy takes a JSON array of base64 values, see sendDataToProxy. Each regint is a 4 byte little endian integer.
+const int32Payload = valueList => {
+  const byteBuffer = intArrayToBinary(valueList)
+  return valueList.map((value, index) =>
+    binaryToBase64(byteBuffer.slice(index * 4, (index + 1) * 4))
+  )
+}
+
+// Encrypted inputs are sent to the proxy as a payload of 1 base64 value holding the whole message, see sendDataToProxy.
+const encryptedPayload = (encryptionKey, dataType, valueList) =>
+  encryptInputMessage(encryptionKey, dataType, valueList).dataArray
+
+// Url lists may hold proxy objects as well as urls, so that one spdzProxyList can be used for every call.
+const proxyUrl = proxy => (typeof proxy === 'string' ? proxy : proxy.url)
+const proxyHttpClient = proxy =>
+  typeof proxy === 'string' ? undefined : proxy.httpClient
+
+/**
+ * Default policy to poll the SPDZ proxies until data is available, see pollDataFromProxies.
+ */
+const DEFAULT_POLL_POLICY = {
+  initialDelayMs: 100,
+  maxDelayMs: 2000,
+  backoffFactor: 2,
+  jitter: 0.2,
+  deadlineMs: 30000,
+  maxAttempts: 20,
+  waitTimeoutMs: 0
+}
 
 /**
  * @description Run the connection setup to establish the TCP connection between the SPDZ Proxy and the SPDZ Engine for all SPDZ proxy servers.
  * Returns the results for all connections in an array. Use allProxiesConnected to check result. Note that this is a stateful request as the clientId is stored and used to identify which TCP connection to use for subsequent requests. Calling again will replace the clientId.
  * See SPDZ instructions listen, acceptclientconnection and regint.read_client_public_key.
  * 
- * @param {String[]} spdzProxyUrlList - array of urls, one per SPDZ proxy
+ * @param {String[]|Object[]} spdzProxyUrlList - array of urls, one per SPDZ proxy, or of spdzProxyList entries {url, httpClient}
  * @param {String} spdzApiRoot - api path e.g. /spdzapi
  * @param {String} [clientId] - optional client id, assumes same id used for all proxies. If not supplied a client id will be generated per proxy.
  * @param {String} [clientPublicKey] - optional 64 byte hex string representing the client public key and used to encrypt traffic if set.
+ * @param {Object} [requestOptions] - optional settings for the requests.
+ * @param {AbortSignal} [requestOptions.signal] - optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {Object} [requestOptions.requestPolicy] - optional, timeout and retry policy for these requests, overriding setRequestPolicy.
  * 
  * @returns {Object[]} result[] - a promise which resolves to a list of objects once all connection setup requests are finished.
  * @returns {String} result.id - position in spdzProxyUrlList
@@ -59,11 +103,22 @@ const connectToSPDZ = (
   spdzProxyUrlList,
   spdzApiRoot,
   clientId = undefined,
-  clientPublicKey = undefined
+  clientPublicKey = undefined,
+  { signal = undefined, requestPolicy = undefined } = {}
 ) => {
   resetClientIds()
-  const connectList = spdzProxyUrlList.map((url, index) => {
-    return connectProxyToEngine(url, spdzApiRoot, clientId, clientPublicKey)
+  resetNonceTrackers()
+  const connectList = spdzProxyUrlList.map((proxy, index) => {
+    const url = proxyUrl(proxy)
+    return connectProxyToEngine(
+      url,
+      spdzApiRoot,
+      clientId,
+      clientPublicKey,
+      signal,
+      requestPolicy,
+      proxyHttpClient(proxy)
+    )
       .then(generatedClientId => {
         storeClientId(url, generatedClientId)
         return {
@@ -73,6 +128,9 @@ const connectToSPDZ = (
         }
       })
       .catch(ex => {
+        if (ex instanceof AbortError) {
+          return Promise.reject(ex)
+        }
         logger.debug(
           'Unable to successfully run connection setup.',
           ex.reason ? ex.reason.message : ex.message
@@ -87,8 +145,11 @@ const connectToSPDZ = (
 /**
  * @description Run check on status of connections for all spdz proxy servers for this client.
  * 
- * @param {String[]} spdzProxyUrlList - array of urls, one per SPDZ proxy
+ * @param {String[]|Object[]} spdzProxyUrlList - array of urls, one per SPDZ proxy, or of spdzProxyList entries {url, httpClient}
  * @param {String} spdzApiRoot - api path e.g. /spdzapi
+ * @param {Object} [requestOptions] - optional settings for the requests.
+ * @param {AbortSignal} [requestOptions.signal] - optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {Object} [requestOptions.requestPolicy] - optional, timeout and retry policy for these requests, overriding setRequestPolicy.
  * 
  * @returns {Object[]} result[] - a promise which resolves to a list of objects once all status check requests are finished.
  * @returns {String} result.id - position in spdzProxyUrlList
@@ -104,8 +165,13 @@ const connectToSPDZ = (
  * })
  * @access public
  */
-const checkProxies = (spdzProxyUrlList, spdzApiRoot) => {
-  const checkList = spdzProxyUrlList.map((url, index) => {
+const checkProxies = (
+  spdzProxyUrlList,
+  spdzApiRoot,
+  { signal = undefined, requestPolicy = undefined } = {}
+) => {
+  const checkList = spdzProxyUrlList.map((proxy, index) => {
+    const url = proxyUrl(proxy)
     if (!clientIdExists(url)) {
       return Promise.resolve({
         id: index,
@@ -113,11 +179,21 @@ const checkProxies = (spdzProxyUrlList, spdzApiRoot) => {
       })
     }
 
-    return checkEngineConnection(url, spdzApiRoot, getClientId(url))
+    return checkEngineConnection(
+      url,
+      spdzApiRoot,
+      getClientId(url),
+      signal,
+      requestPolicy,
+      proxyHttpClient(proxy)
+    )
       .then(() => {
         return { id: index, status: ProxyStatusCodes.Connected }
       })
-      .catch(() => {
+      .catch(ex => {
+        if (ex instanceof AbortError) {
+          return Promise.reject(ex)
+        }
         return { id: index, status: ProxyStatusCodes.Disconnected }
       })
   })
@@ -130,7 +206,11 @@ const checkProxies = (spdzProxyUrlList, spdzApiRoot) => {
  * 
  * @param {Object[]} spdzProxyList - Array of objects, one per SPDZ Proxy
  * @param {String} spdzProxyList.url - URL of proxy
+ * @param {Object} [spdzProxyList.httpClient] - optional client to make the requests with, see createHttpClient.
  * @param {String} spdzApiRoot path for spdz api
+ * @param {Object} [requestOptions] - optional settings for the requests.
+ * @param {AbortSignal} [requestOptions.signal] - optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {Object} [requestOptions.requestPolicy] - optional, timeout and retry policy for these requests, overriding setRequestPolicy.
  * 
  * @returns {Object[]} result[] - a promise which resolves to a list of objects once all disconnection requests are finished.
  * @returns {String} result.id - position in spdzProxyList
@@ -147,7 +227,11 @@ const checkProxies = (spdzProxyUrlList, spdzApiRoot) => {
  * 
  * @access public
  */
-const disconnectFromSPDZ = (spdzProxyList, spdzApiRoot) => {
+const disconnectFromSPDZ = (
+  spdzProxyList,
+  spdzApiRoot,
+  { signal = undefined, requestPolicy = undefined } = {}
+) => {
   if (!verifyRequiredKeys(spdzProxyList, 'url')) {
     return Promise.reject(
       new Error('Each spdzProxyList entry must contain keys: url.')
@@ -164,14 +248,22 @@ const disconnectFromSPDZ = (spdzProxyList, spdzApiRoot) => {
     return disconnectProxyFromEngine(
       proxy.url,
       spdzApiRoot,
-      getClientId(proxy.url)
+      getClientId(proxy.url),
+      signal,
+      requestPolicy,
+      proxy.httpClient
     )
       .then(() => {
         removeClientId(proxy.url)
+        removeNonceTracker(proxy.url)
         return { id: index, status: ProxyStatusCodes.Disconnected }
       })
-      .catch(() => {
+      .catch(ex => {
+        if (ex instanceof AbortError) {
+          return Promise.reject(ex)
+        }
         removeClientId(proxy.url)
+        removeNonceTracker(proxy.url)
         return { id: index, status: ProxyStatusCodes.Disconnected }
       })
   })
@@ -179,17 +271,59 @@ const disconnectFromSPDZ = (spdzProxyList, spdzApiRoot) => {
   return Promise.all(disconnectList)
 }
 
+/**
+ * Consume data from a single proxy, decrypting if needed.
+ */
+const consumeFromProxy = (
+  proxy,
+  spdzApiRoot,
+  encrypted,
+  waitTimeoutMs,
+  signal,
+  requestPolicy
+) => {
+  if (!clientIdExists(proxy.url)) {
+    return Promise.reject(
+      new Error(`Not connected to SPDZ for proxy ${proxy.url}.`)
+    )
+  }
+
+  return consumeDataFromProxy(
+    proxy.url,
+    spdzApiRoot,
+    getClientId(proxy.url),
+    waitTimeoutMs,
+    signal,
+    requestPolicy,
+    proxy.httpClient
+  ).then(binaryPayload => {
+    return encrypted
+      ? decrypt(
+          proxy.encryptionKey,
+          binaryPayload,
+          getNonceTracker(proxy.url, proxy.nonceMode)
+        )
+      : binaryPayload
+  })
+}
+
 /**
  * @description Consume binary data sent by SPDZ engines to the SPDZ proxy buffers. This is a low level function which does not parse the SPDZ binary data. See higher level functions, for example retrieveRegIntsAsHexString or sendInputsWithShares.
  * 
  * @param {Object[]} spdzProxyList - Array of objects, one per SPDZ Proxy
  * @param {String} spdzProxyList.url - URL of proxy
+ * @param {Object} [spdzProxyList.httpClient] - optional client to make the requests with, see createHttpClient.
  * @param {String} [spdzProxyList.encryptionKey] - optional precomputed encryption key, to decrypt SPDZ message.
+ * @param {String} [spdzProxyList.nonceMode=NONCE_MODE.RANDOM] - how the SPDZ engine generates nonces. Nonces are remembered
+ *                 from connectToSPDZ until disconnectFromSPDZ, a replayed message rejects with a ReplayError.
  * @param {String} spdzApiRoot path for spdz api
  * @param {boolean} encrypted if true decrypt payload with encryptionKey
  * @param {Integer} [waitTimeoutMs=0] time to wait in ms for data to become available.
+ * @param {Object} [requestOptions] optional settings for the requests.
+ * @param {AbortSignal} [requestOptions.signal] optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {Object} [requestOptions.requestPolicy] optional, timeout and retry policy for these requests, overriding setRequestPolicy.
  * 
- * @returns {Uint8Array[]} Promise which is thenable and resolves to a list of Uint8Array buffers containing decrypted SPDZ output. Array follows the order of spdzProxyUrlList. Rejects with a NoContentError if no data is available to consume, this can be used to detect not ready yet and retry.
+ * @returns {Uint8Array[]} Promise which is thenable and resolves to a list of Uint8Array buffers containing decrypted SPDZ output. Array follows the order of spdzProxyUrlList. Rejects with a NoContentError if no data is available to consume, this can be used to detect not ready yet and retry, see pollDataFromProxies. Rejects with a ReplayError if a message has been received before.
  * 
  * @example Consume data:
  * 
@@ -215,7 +349,8 @@ const consumeDataFromProxies = (
   spdzProxyList,
   spdzApiRoot,
   encrypted,
-  waitTimeoutMs = 0
+  waitTimeoutMs = 0,
+  { signal = undefined, requestPolicy = undefined } = {}
 ) => {
   if (!verifyRequiredKeys(spdzProxyList, 'url')) {
     return Promise.reject(
@@ -223,26 +358,164 @@ const consumeDataFromProxies = (
     )
   }
 
-  const consumeList = spdzProxyList.map(proxy => {
-    if (!clientIdExists(proxy.url)) {
-      return Promise.reject(
-        new Error(`Not connected to SPDZ for proxy ${proxy.url}.`)
+  const consumeList = spdzProxyList.map(proxy =>
+    consumeFromProxy(
+      proxy,
+      spdzApiRoot,
+      encrypted,
+      waitTimeoutMs,
+      signal,
+      requestPolicy
+    )
+  )
+
+  return Promise.all(consumeList)
+}
+
+/**
+ * Time to wait before the next poll, growing exponentially up to maxDelayMs and
+ * spread by +/- jitter so that many clients do not poll in step.
+ */
+const pollDelayMs = (policy, attempt) => {
+  const delayMs = Math.min(
+    policy.maxDelayMs,
+    policy.initialDelayMs * Math.pow(policy.backoffFactor, attempt - 1)
+  )
+  return Math.round(delayMs * (1 + policy.jitter * (2 * Math.random() - 1)))
+}
+
+/**
+ * @description Poll the SPDZ proxies until every SPDZ engine has sent data, retrying with exponential backoff.
+ * Each proxy is only asked until it answers, so engines which are ready at different times are handled.
+ * Used by retrieveRegIntsAsHexString and sendInputsWithShares when given a poll policy.
+ *
+ * @param {Object[]} spdzProxyList - Array of objects, one per SPDZ Proxy, see consumeDataFromProxies.
+ * @param {String} spdzApiRoot path for spdz api
+ * @param {boolean} encrypted if true decrypt payload with encryptionKey
+ * @param {Object} [requestOptions] - optional settings for polling.
+ * @param {Object} [requestOptions.pollPolicy] - how to poll, any settings given override the defaults.
+ * @param {Number} [requestOptions.pollPolicy.initialDelayMs=100] - time to wait after the first attempt.
+ * @param {Number} [requestOptions.pollPolicy.maxDelayMs=2000] - longest time to wait between attempts.
+ * @param {Number} [requestOptions.pollPolicy.backoffFactor=2] - multiplies the wait after each attempt.
+ * @param {Number} [requestOptions.pollPolicy.jitter=0.2] - fraction the wait is randomly varied by, 0 for none.
+ * @param {Number} [requestOptions.pollPolicy.deadlineMs=30000] - overall time to keep polling.
+ * @param {Number} [requestOptions.pollPolicy.maxAttempts=20] - number of attempts before giving up.
+ * @param {Number} [requestOptions.pollPolicy.waitTimeoutMs=0] - time each request waits at the proxy for data to become available.
+ * @param {AbortSignal} [requestOptions.signal] - optional, to cancel polling, the promise rejects with an AbortError.
+ * @param {Object} [requestOptions.requestPolicy] - optional, timeout and retry policy for each request, overriding setRequestPolicy.
+ *
+ * @returns {Uint8Array[]} Promise which resolves to a list of buffers in the order of spdzProxyList, see consumeDataFromProxies.
+ * Rejects with a NoContentError if a proxy has no data within the deadline or maximum attempts, or with the first other error.
+ * Requests still in flight at the deadline are aborted. The error has a partialResults list, in the order of spdzProxyList,
+ * with the buffers already consumed and undefined for the proxies which had not sent data.
+ *
+ * @example Wait up to 10 seconds for results:
+ *
+ * import { pollDataFromProxies } from 'spdz-client-lib/dist/rest_api'
+ *
+ * pollDataFromProxies(spdzProxyList, '/spdzapi', true, {
+ *   pollPolicy: { deadlineMs: 10000 }
+ * })
+ * .then(buffers => {
+ *   // process buffers, extract out values and compare or combine across proxies.
+ * })
+ *
+ * @access public
+ */
+const pollDataFromProxies = (
+  spdzProxyList,
+  spdzApiRoot,
+  encrypted,
+  { pollPolicy = {}, signal = undefined, requestPolicy = undefined } = {}
+) => {
+  if (!verifyRequiredKeys(spdzProxyList, 'url')) {
+    return Promise.reject(
+      new Error('Each spdzProxyList entry must contain keys: url.')
+    )
+  }
+
+  const policy = Object.assign({}, DEFAULT_POLL_POLICY, pollPolicy)
+  const deadline = Date.now() + policy.deadlineMs
+  // Data from each proxy, kept between attempts.
+  const resultList = spdzProxyList.map(() => undefined)
+  const waitingList = () =>
+    spdzProxyList.filter((proxy, index) => resultList[index] === undefined)
+  const waitingUrls = () =>
+    waitingList()
+      .map(proxy => proxy.url)
+      .join(', ')
+  // Aborted at the deadline to cancel requests still in flight.
+  const poll = linkedAbortController(signal)
+  const pollSignal = poll === undefined ? signal : poll.signal
+
+  const pollAttempt = attempt => {
+    // Let every request in the attempt settle so that data already consumed is kept.
+    const errorList = spdzProxyList.map((proxy, index) => {
+      if (resultList[index] !== undefined) {
+        return Promise.resolve()
+      }
+      return consumeFromProxy(
+        proxy,
+        spdzApiRoot,
+        encrypted,
+        policy.waitTimeoutMs,
+        pollSignal,
+        requestPolicy
+      ).then(data => {
+        resultList[index] = data
+      }, err => (err instanceof NoContentError ? undefined : err))
+    })
+
+    return Promise.all(errorList).then(errors => {
+      const firstError = errors.find(err => err !== undefined)
+      if (firstError !== undefined) {
+        return Promise.reject(firstError)
+      }
+      if (waitingList().length === 0) {
+        return resultList
+      }
+      const delayMs = Math.min(
+        pollDelayMs(policy, attempt),
+        deadline - Date.now()
       )
+      if (attempt >= policy.maxAttempts || delayMs <= 0) {
+        return Promise.reject(
+          new NoContentError(
+            `No data available to consume from SPDZ proxies ${waitingUrls()} after ${attempt} attempt(s).`
+          )
+        )
+      }
+      return abortableDelay(pollSignal, 'Poll SPDZ proxies', delayMs).then(() =>
+        pollAttempt(attempt + 1)
+      )
+    })
+  }
+
+  return new Promise((resolve, reject) => {
+    const finish = settle => value => {
+      clearTimeout(deadlineTimer)
+      if (poll !== undefined) {
+        poll.release()
+      }
+      settle(value)
+    }
+    const rejectWithResults = err => {
+      err.partialResults = resultList.slice()
+      finish(reject)(err)
     }
+    const deadlineTimer = setTimeout(() => {
+      rejectWithResults(
+        new NoContentError(
+          `No data available to consume from SPDZ proxies ${waitingUrls()} within ${policy.deadlineMs} ms.`
+        )
+      )
+      if (poll !== undefined) {
+        poll.abort()
+      }
+    }, policy.deadlineMs)
 
-    return consumeDataFromProxy(
-      proxy.url,
-      spdzApiRoot,
-      getClientId(proxy.url),
-      waitTimeoutMs
-    ).then(binaryPayload => {
-      return encrypted
-        ? decrypt(proxy.encryptionKey, binaryPayload)
-        : binaryPayload
-    })
+    pollAttempt(1).then(finish(resolve), rejectWithResults)
   })
-
-  return Promise.all(consumeList)
 }
 
 /**
@@ -254,18 +527,39 @@ const consumeDataFromProxies = (
  * 
  * @param {spdzProxyList} List of objects containing keys for url, one per SPDZ proxy.
  * @param {inputList} List of Gfp types, input plus all shares.
+ * @param {requestOptions} optional {signal, encryptInputs, requestPolicy}:
+ *                         signal, an AbortSignal to cancel the pending requests.
+ *                         encryptInputs, if true encrypt the inputs for each SPDZ engine with the proxy encryptionKey.
+ *                         The payload is then a single base64 cipher text, see encryptInputMessage.
+ *                         requestPolicy, timeout and retry policy for the requests, see setRequestPolicy.
  * @returns Promise with empty return if all OK or rejects with error
  */
-const sendInputsToProxies = (spdzProxyList, spdzApiRoot, inputList) => {
+const sendInputsToProxies = (
+  spdzProxyList,
+  spdzApiRoot,
+  inputList,
+  { signal = undefined, encryptInputs = false, requestPolicy = undefined } = {}
+) => {
   if (!verifyRequiredKeys(spdzProxyList, 'url')) {
     return Promise.reject(
       new Error('Each spdzProxyList entry must contain keys: url.')
     )
   }
+  if (encryptInputs && !verifyRequiredKeys(spdzProxyList, 'encryptionKey')) {
+    return Promise.reject(
+      new Error(
+        'Each spdzProxyList entry must contain keys: encryptionKey, to encrypt inputs.'
+      )
+    )
+  }
 
   const payload = inputList.map(gfpInput =>
     base64Encode(gfpInput.toNativeHexString())
   )
+  const payloadFor = proxy =>
+    encryptInputs
+      ? encryptedPayload(proxy.encryptionKey, 'modp', inputList)
+      : payload
 
   const sendInputsList = spdzProxyList.map(proxy => {
     if (!clientIdExists(proxy.url)) {
@@ -278,13 +572,100 @@ const sendInputsToProxies = (spdzProxyList, spdzApiRoot, inputList) => {
       proxy.url,
       spdzApiRoot,
       getClientId(proxy.url),
-      JSON.stringify(payload)
+      JSON.stringify(payloadFor(proxy)),
+      signal,
+      requestPolicy,
+      proxy.httpClient
     )
   })
 
   return Promise.all(sendInputsList)
 }
 
+/**
+ * Send clear inputs to each SPDZ proxy, reporting the result per proxy rather than rejecting on the first failure.
+ *
+ * @param {spdzProxyList} List of objects containing keys for url, one per SPDZ proxy.
+ * @param {spdzApiRoot} api path
+ * @param {dataType} 'int32' (SPDZ regint) or 'modp' (SPDZ cint or cfix).
+ * @param {valueList} integers to send, already converted from user input, see convertUserInput.
+ * @param {requestOptions} optional {signal, encryptInputs, requestPolicy}, see sendInputsToProxies.
+ * @returns Promise resolves to a list of {id, status, msg}, where id is the position in spdzProxyList,
+ *          status is ProxyStatusCodes.Connected if sent, otherwise Disconnected or Failure with the reason in msg.
+ *          Rejects if an int32 value is not an integer in the int32 range.
+ */
+const sendClearInputsToProxies = (
+  spdzProxyList,
+  spdzApiRoot,
+  dataType,
+  valueList,
+  { signal = undefined, encryptInputs = false, requestPolicy = undefined } = {}
+) => {
+  if (!verifyRequiredKeys(spdzProxyList, 'url')) {
+    return Promise.reject(
+      new Error('Each spdzProxyList entry must contain keys: url.')
+    )
+  }
+  if (encryptInputs && !verifyRequiredKeys(spdzProxyList, 'encryptionKey')) {
+    return Promise.reject(
+      new Error(
+        'Each spdzProxyList entry must contain keys: encryptionKey, to encrypt inputs.'
+      )
+    )
+  }
+
+  let payload
+  try {
+    payload =
+      dataType === 'modp'
+        ? valueList.map(value =>
+            base64Encode(Gfp.fromUserInput(value).toNativeHexString())
+          )
+        : int32Payload(valueList)
+  } catch (err) {
+    return Promise.reject(err)
+  }
+  const payloadFor = proxy =>
+    encryptInputs
+      ? encryptedPayload(proxy.encryptionKey, dataType, valueList)
+      : payload
+
+  const sendList = spdzProxyList.map((proxy, index) => {
+    if (!clientIdExists(proxy.url)) {
+      return Promise.resolve({
+        id: index,
+        status: ProxyStatusCodes.Disconnected,
+        msg: `Not connected to SPDZ for proxy ${proxy.url}.`
+      })
+    }
+
+    return Promise.resolve()
+      .then(() =>
+        sendDataToProxy(
+          proxy.url,
+          spdzApiRoot,
+          getClientId(proxy.url),
+          JSON.stringify(payloadFor(proxy)),
+          signal,
+          requestPolicy,
+          proxy.httpClient
+        )
+      )
+      .then(() => {
+        return { id: index, status: ProxyStatusCodes.Connected }
+      })
+      .catch(ex => {
+        if (ex instanceof AbortError) {
+          return Promise.reject(ex)
+        }
+        logger.debug(`Unable to send clear inputs to ${proxy.url}.`, ex.message)
+        return { id: index, status: ProxyStatusCodes.Failure, msg: ex.message }
+      })
+  })
+
+  return Promise.all(sendList)
+}
+
 /**
  * @description Convenience function to extract overall connection status from list of SPDZ Proxy connected status.
  * 
@@ -318,6 +699,8 @@ export {
   checkProxies,
   disconnectFromSPDZ,
   consumeDataFromProxies,
+  pollDataFromProxies,
   sendInputsToProxies,
+  sendClearInputsToProxies,
   allProxiesConnected
 }
@@ -1,12 +1,18 @@
+/* global window */
 import { Gfp } from '../math/Gfp'
 import {
   connectToSPDZ,
   checkProxies,
   consumeDataFromProxies,
+  pollDataFromProxies,
+  sendClearInputsToProxies,
   sendInputsToProxies,
   allProxiesConnected
 } from './SpdzApiAggregate'
+import NoContentError from './NoContentError'
 import ProxyStatusCodes from './ProxyStatusCodes'
+import AbortError from '../utility/AbortError'
+import mockAbortController from '../utility/test_support/MockAbortController'
 import logger from '../utility/logging'
 logger.level = 'info'
 
@@ -19,7 +25,10 @@ import {
 } from './SpdzApi'
 
 jest.mock('../crypto')
-import { decrypt } from '../crypto'
+import { decrypt, encrypt } from '../crypto'
+
+import { NONCE_MODE, NonceTracker } from '../crypto/NonceTracker'
+import { resetNonceTrackers } from './NonceTrackers'
 
 jest.mock('./ClientIds')
 import { clientIdExists, getClientId, storeClientId } from './ClientIds'
@@ -174,6 +183,37 @@ describe('Check the status of the proxies', () => {
         done.fail(err)
       })
   })
+
+  it('Accepts proxy objects, making the requests with their http client', done => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '123')
+    checkEngineConnection.mockImplementation(() => Promise.resolve())
+    const httpClient = { fetch: jest.fn() }
+
+    checkProxies(
+      spdzProxyList.map(proxy => Object.assign({ httpClient }, proxy)),
+      '/apiroot'
+    )
+      .then(values => {
+        expect(values).toEqual([
+          { id: 0, status: 2 },
+          { id: 1, status: 2 },
+          { id: 2, status: 2 }
+        ])
+        expect(checkEngineConnection.mock.calls[0]).toEqual([
+          'http://spdzProxy.one:4000',
+          '/apiroot',
+          '123',
+          undefined,
+          undefined,
+          httpClient
+        ])
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
 })
 
 describe('Client requesting data from multiple Spdz proxies', () => {
@@ -255,6 +295,40 @@ describe('Client requesting data from multiple Spdz proxies', () => {
       })
   })
 
+  it('Checks each proxy message against the nonces seen by that proxy', done => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '123')
+    consumeDataFromProxy.mockImplementation(() =>
+      Promise.resolve(Uint8Array.of(56, 67, 77))
+    )
+    decrypt.mockClear()
+    decrypt.mockImplementation(() => Uint8Array.of(1, 2, 3))
+
+    const counterProxyList = spdzProxyList.map(proxy =>
+      Object.assign({ nonceMode: NONCE_MODE.COUNTER }, proxy)
+    )
+    const trackerFor = call => call[2]
+    // Trackers last for the session, as started by connectToSPDZ.
+    resetNonceTrackers()
+
+    consumeDataFromProxies(counterProxyList, '/apiroot', true)
+      .then(() => consumeDataFromProxies(counterProxyList, '/apiroot', true))
+      .then(() => {
+        const calls = decrypt.mock.calls
+        expect(calls.length).toEqual(6)
+        expect(trackerFor(calls[0])).toBeInstanceOf(NonceTracker)
+        expect(trackerFor(calls[0]).mode).toEqual(NONCE_MODE.COUNTER)
+        expect(trackerFor(calls[0])).not.toBe(trackerFor(calls[1]))
+        expect(trackerFor(calls[3])).toBe(trackerFor(calls[0]))
+        decrypt.mockReset()
+        done()
+      })
+      .catch(err => {
+        decrypt.mockReset()
+        done.fail(err)
+      })
+  })
+
   it('Handles missing data from one of the proxies', done => {
     clientIdExists.mockImplementation(() => true)
     getClientId.mockImplementation(() => '123')
@@ -281,6 +355,193 @@ describe('Client requesting data from multiple Spdz proxies', () => {
   })
 })
 
+describe('Client polling multiple Spdz proxies for data', () => {
+  const fastPolicy = { initialDelayMs: 1, jitter: 0 }
+  const noContent = () => Promise.reject(new NoContentError('No data.'))
+
+  beforeEach(() => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '123')
+  })
+
+  afterEach(() => {
+    consumeDataFromProxy.mockReset()
+    clientIdExists.mockClear()
+    getClientId.mockClear()
+  })
+
+  it('Only asks again the proxies which had no data', done => {
+    let twoAttempts = 0
+    consumeDataFromProxy.mockImplementation(url => {
+      if (url === 'http://spdzProxy.two:4000' && twoAttempts++ < 2) {
+        return noContent()
+      }
+      return Promise.resolve(Uint8Array.of(url.length))
+    })
+
+    pollDataFromProxies(spdzProxyList, '/apiroot', false, {
+      pollPolicy: fastPolicy
+    })
+      .then(values => {
+        expect(values).toEqual(
+          spdzProxyList.map(proxy => Uint8Array.of(proxy.url.length))
+        )
+        expect(consumeDataFromProxy).toHaveBeenCalledTimes(5)
+        expect(
+          consumeDataFromProxy.mock.calls.slice(3).map(call => call[0])
+        ).toEqual(['http://spdzProxy.two:4000', 'http://spdzProxy.two:4000'])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Gives up with a NoContentError after the maximum attempts', done => {
+    consumeDataFromProxy.mockImplementation(
+      url =>
+        url === 'http://spdzProxy.three:4000'
+          ? noContent()
+          : Promise.resolve(Uint8Array.of(1))
+    )
+
+    pollDataFromProxies(spdzProxyList, '/apiroot', false, {
+      pollPolicy: Object.assign({ maxAttempts: 3 }, fastPolicy)
+    })
+      .then(() => done.fail('Expected polling to reject.'))
+      .catch(err => {
+        expect(err).toBeInstanceOf(NoContentError)
+        expect(err.message).toEqual(
+          'No data available to consume from SPDZ proxies http://spdzProxy.three:4000 after 3 attempt(s).'
+        )
+        expect(consumeDataFromProxy).toHaveBeenCalledTimes(5)
+        done()
+      })
+  })
+
+  it('Gives up once the deadline has passed', done => {
+    // The clock is past the deadline when the first attempt finishes.
+    const now = jest.spyOn(Date, 'now')
+    now.mockReturnValueOnce(1000).mockReturnValue(1050)
+    consumeDataFromProxy.mockImplementation(noContent)
+
+    pollDataFromProxies(spdzProxyList, '/apiroot', false, {
+      pollPolicy: { initialDelayMs: 5, jitter: 0, deadlineMs: 50 }
+    })
+      .then(() => done.fail('Expected polling to reject.'))
+      .catch(err => {
+        now.mockRestore()
+        expect(err).toBeInstanceOf(NoContentError)
+        expect(err.message).toEqual(
+          'No data available to consume from SPDZ proxies http://spdzProxy.one:4000, http://spdzProxy.two:4000, http://spdzProxy.three:4000 after 1 attempt(s).'
+        )
+        expect(consumeDataFromProxy).toHaveBeenCalledTimes(3)
+        done()
+      })
+  })
+
+  describe('Abort requests in flight at the deadline', () => {
+    // The jest environment has no AbortController, use the test one.
+    beforeEach(() => {
+      window.AbortController = function() {
+        return mockAbortController()
+      }
+    })
+
+    afterEach(() => {
+      delete window.AbortController
+    })
+
+    it('Rejects with the data already consumed', done => {
+      consumeDataFromProxy.mockImplementation(
+        url =>
+          url === 'http://spdzProxy.two:4000'
+            ? new Promise(() => {})
+            : Promise.resolve(Uint8Array.of(url.length))
+      )
+
+      pollDataFromProxies(spdzProxyList, '/apiroot', false, {
+        pollPolicy: { deadlineMs: 20 }
+      })
+        .then(() => done.fail('Expected polling to reject.'))
+        .catch(err => {
+          expect(err).toBeInstanceOf(NoContentError)
+          expect(err.message).toEqual(
+            'No data available to consume from SPDZ proxies http://spdzProxy.two:4000 within 20 ms.'
+          )
+          expect(err.partialResults).toEqual([
+            Uint8Array.of(25),
+            undefined,
+            Uint8Array.of(27)
+          ])
+          consumeDataFromProxy.mock.calls.forEach(call =>
+            expect(call[4].aborted).toEqual(true)
+          )
+          done()
+        })
+    })
+  })
+
+  it('Rejects straight away on other errors', done => {
+    consumeDataFromProxy
+      .mockImplementationOnce(noContent)
+      .mockImplementationOnce(() =>
+        Promise.reject(new Error('Forced in testing'))
+      )
+      .mockImplementation(noContent)
+
+    pollDataFromProxies(spdzProxyList, '/apiroot', false, {
+      pollPolicy: fastPolicy
+    })
+      .then(() => done.fail('Expected polling to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual('Forced in testing')
+        expect(consumeDataFromProxy).toHaveBeenCalledTimes(3)
+        done()
+      })
+  })
+
+  it('Keeps the data consumed from the other proxies on an error', done => {
+    consumeDataFromProxy.mockImplementation(
+      url =>
+        url === 'http://spdzProxy.one:4000'
+          ? Promise.reject(new Error('Forced in testing'))
+          : Promise.resolve(Uint8Array.of(url.length))
+    )
+
+    pollDataFromProxies(spdzProxyList, '/apiroot', false, {
+      pollPolicy: fastPolicy
+    })
+      .then(() => done.fail('Expected polling to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual('Forced in testing')
+        expect(err.partialResults).toEqual([
+          undefined,
+          Uint8Array.of(25),
+          Uint8Array.of(27)
+        ])
+        done()
+      })
+  })
+
+  it('Stops polling when aborted', done => {
+    const controller = mockAbortController()
+    consumeDataFromProxy.mockImplementation(noContent)
+
+    pollDataFromProxies(spdzProxyList, '/apiroot', false, {
+      pollPolicy: { initialDelayMs: 10000 },
+      signal: controller.signal
+    })
+      .then(() => done.fail('Expected polling to reject.'))
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(err.message).toEqual('Poll SPDZ proxies aborted.')
+        expect(consumeDataFromProxy).toHaveBeenCalledTimes(3)
+        done()
+      })
+
+    setTimeout(() => controller.abort(), 10)
+  })
+})
+
 describe('Client sends inputs to multiple Spdz proxies', () => {
   afterEach(() => {
     sendDataToProxy.mockClear()
@@ -304,6 +565,49 @@ describe('Client sends inputs to multiple Spdz proxies', () => {
       })
   })
 
+  it('Encrypts the inputs for each SPDZ engine when requested', done => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '111')
+    sendDataToProxy.mockImplementation(() => Promise.resolve())
+    encrypt.mockImplementation(() => Uint8Array.of(1, 2, 3))
+
+    const keyedProxyList = spdzProxyList.map((proxy, i) =>
+      Object.assign({ encryptionKey: `key${i}` }, proxy)
+    )
+    const inputList = [Gfp.fromUserInput('5'), Gfp.fromUserInput('6')]
+
+    sendInputsToProxies(keyedProxyList, '/apiroot', inputList, {
+      encryptInputs: true
+    })
+      .then(() => {
+        expect(encrypt.mock.calls.length).toEqual(3)
+        expect(encrypt.mock.calls[2][0]).toEqual('key2')
+        expect(encrypt.mock.calls[2][1].length).toEqual(32)
+        expect(sendDataToProxy.mock.calls[0][3]).toEqual('["AQID"]')
+        encrypt.mockReset()
+        getClientId.mockReset()
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('Rejects encrypted sends if a proxy has no encryption key', done => {
+    sendInputsToProxies(spdzProxyList, '/apiroot', [], {
+      encryptInputs: true
+    })
+      .then(() => {
+        done.fail()
+      })
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Each spdzProxyList entry must contain keys: encryptionKey, to encrypt inputs.'
+        )
+        done()
+      })
+  })
+
   it('Succesfully sends', done => {
     clientIdExists.mockImplementation(() => true)
     getClientId
@@ -321,19 +625,28 @@ describe('Client sends inputs to multiple Spdz proxies', () => {
           'http://spdzProxy.one:4000',
           '/apiroot',
           '111',
-          '["cy0tESpGctdO0TOE6ST/9w==","cFOo3Bc5qM5D4z73x57/9Q=="]'
+          '["cy0tESpGctdO0TOE6ST/9w==","cFOo3Bc5qM5D4z73x57/9Q=="]',
+          undefined,
+          undefined,
+          undefined
         ])
         expect(sendDataToProxy.mock.calls[1]).toEqual([
           'http://spdzProxy.two:4000',
           '/apiroot',
           '222',
-          '["cy0tESpGctdO0TOE6ST/9w==","cFOo3Bc5qM5D4z73x57/9Q=="]'
+          '["cy0tESpGctdO0TOE6ST/9w==","cFOo3Bc5qM5D4z73x57/9Q=="]',
+          undefined,
+          undefined,
+          undefined
         ])
         expect(sendDataToProxy.mock.calls[2]).toEqual([
           'http://spdzProxy.three:4000',
           '/apiroot',
           '333',
-          '["cy0tESpGctdO0TOE6ST/9w==","cFOo3Bc5qM5D4z73x57/9Q=="]'
+          '["cy0tESpGctdO0TOE6ST/9w==","cFOo3Bc5qM5D4z73x57/9Q=="]',
+          undefined,
+          undefined,
+          undefined
         ])
         done()
       })
@@ -360,3 +673,138 @@ describe('Client sends inputs to multiple Spdz proxies', () => {
     ).toBeTruthy()
   })
 })
+
+describe('Client sends clear inputs to multiple Spdz proxies', () => {
+  afterEach(() => {
+    sendDataToProxy.mockReset()
+    clientIdExists.mockReset()
+    getClientId.mockReset()
+  })
+
+  it('Sends int32 inputs as base64 4 byte integers', done => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '111')
+    sendDataToProxy.mockImplementation(() => Promise.resolve())
+
+    sendClearInputsToProxies(spdzProxyList, '/apiroot', 'int32', [5, -6])
+      .then(results => {
+        expect(results).toEqual([
+          { id: 0, status: ProxyStatusCodes.Connected },
+          { id: 1, status: ProxyStatusCodes.Connected },
+          { id: 2, status: ProxyStatusCodes.Connected }
+        ])
+        expect(sendDataToProxy.mock.calls[0]).toEqual([
+          'http://spdzProxy.one:4000',
+          '/apiroot',
+          '111',
+          '["BQAAAA==","+v///w=="]',
+          undefined,
+          undefined,
+          undefined
+        ])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Rejects int32 inputs which are not integers in the int32 range', done => {
+    clientIdExists.mockImplementation(() => true)
+
+    sendClearInputsToProxies(spdzProxyList, '/apiroot', 'int32', [
+      1,
+      Math.pow(2, 31)
+    ])
+      .then(() => done.fail('Expected the send to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Input 1 (2147483648) must be an integer in the int32 range.'
+        )
+        expect(sendDataToProxy).not.toHaveBeenCalled()
+        done()
+      })
+  })
+
+  it('Sends modp inputs as base64 Gfp integers', done => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '111')
+    sendDataToProxy.mockImplementation(() => Promise.resolve())
+
+    sendClearInputsToProxies(spdzProxyList, '/apiroot', 'modp', [5, '6'])
+      .then(() => {
+        expect(sendDataToProxy.mock.calls[2][3]).toEqual(
+          '["cy0tESpGctdO0TOE6ST/9w==","cFOo3Bc5qM5D4z73x57/9Q=="]'
+        )
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Reports the result for each proxy', done => {
+    clientIdExists.mockImplementation(
+      url => url !== 'http://spdzProxy.three:4000'
+    )
+    getClientId.mockImplementation(() => '111')
+    sendDataToProxy
+      .mockImplementationOnce(() => Promise.resolve())
+      .mockImplementationOnce(() =>
+        Promise.reject(new Error('Forced in testing'))
+      )
+
+    sendClearInputsToProxies(spdzProxyList, '/apiroot', 'int32', [1])
+      .then(results => {
+        expect(results).toEqual([
+          { id: 0, status: ProxyStatusCodes.Connected },
+          { id: 1, status: ProxyStatusCodes.Failure, msg: 'Forced in testing' },
+          {
+            id: 2,
+            status: ProxyStatusCodes.Disconnected,
+            msg: 'Not connected to SPDZ for proxy http://spdzProxy.three:4000.'
+          }
+        ])
+        expect(allProxiesConnected(results)).toBeFalsy()
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Rejects if the send is aborted', done => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '111')
+    sendDataToProxy.mockImplementation(() =>
+      Promise.reject(new AbortError('Send aborted.'))
+    )
+
+    sendClearInputsToProxies(spdzProxyList, '/apiroot', 'int32', [1])
+      .then(() => done.fail('Expected the send to reject.'))
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        done()
+      })
+  })
+
+  it('Encrypts the inputs for each SPDZ engine when requested', done => {
+    clientIdExists.mockImplementation(() => true)
+    getClientId.mockImplementation(() => '111')
+    sendDataToProxy.mockImplementation(() => Promise.resolve())
+    encrypt.mockImplementation(() => Uint8Array.of(1, 2, 3))
+
+    const keyedProxyList = spdzProxyList.map((proxy, i) =>
+      Object.assign({ encryptionKey: `key${i}` }, proxy)
+    )
+
+    sendClearInputsToProxies(keyedProxyList, '/apiroot', 'int32', [7, 8], {
+      encryptInputs: true
+    })
+      .then(() => {
+        expect(encrypt.mock.calls[1][0]).toEqual('key1')
+        expect(encrypt.mock.calls[1][1].length).toEqual(8)
+        expect(sendDataToProxy.mock.calls[1][3]).toEqual('["AQID"]')
+        encrypt.mockReset()
+        done()
+      })
+      .catch(err => {
+        encrypt.mockReset()
+        done.fail(err)
+      })
+  })
+})
@@ -0,0 +1,197 @@
+import { Gfp } from '../math/Gfp'
+import { retrieveResults, RESULT_TYPE } from './SpdzApiHelper'
+import { twoProxiesWith2Connected } from './test_support/ProxyServerList'
+import { ConsensusPolicy } from '../type_mapping/resultConsensus'
+import { OUTPUT_MODE } from '../type_mapping/outputMode'
+
+// Decoding runs for real here, only the proxy calls are mocked.
+jest.mock('./SpdzApiAggregate')
+import { consumeDataFromProxies, pollDataFromProxies } from './SpdzApiAggregate'
+
+// SPDZ sends Gfp values as 16 byte little endian Montgomery integers.
+const gfpBytes = value =>
+  Uint8Array.from(
+    Buffer.from(
+      Gfp.fromUserInput(value)
+        .toNativeHexString()
+        .padStart(32, '0'),
+      'hex'
+    )
+  ).reverse()
+
+const concatBytes = byteArrayList => {
+  const bytes = new Uint8Array(
+    byteArrayList.reduce((length, byteArray) => length + byteArray.length, 0)
+  )
+  byteArrayList.reduce((offset, byteArray) => {
+    bytes.set(byteArray, offset)
+    return offset + byteArray.length
+  }, 0)
+  return bytes
+}
+
+const header = messageType => Uint8Array.of(messageType, 0, 0, 0)
+
+describe('Retrieve typed results from 2 SPDZ proxies', () => {
+  afterEach(() => {
+    consumeDataFromProxies.mockReset()
+    pollDataFromProxies.mockReset()
+  })
+
+  const bothProxiesSend = bytes =>
+    consumeDataFromProxies.mockImplementationOnce(() =>
+      Promise.resolve([bytes, bytes.slice()])
+    )
+
+  it('Returns int32 results', done => {
+    bothProxiesSend(Uint8Array.of(1, 0, 0, 0, 2, 0, 0, 0))
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.INT_32,
+      count: 2
+    })
+      .then(values => {
+        expect(values).toEqual([1, 2])
+        expect(consumeDataFromProxies.mock.calls[0]).toEqual([
+          twoProxiesWith2Connected,
+          '/apiroot',
+          false,
+          0,
+          { signal: undefined, requestPolicy: undefined }
+        ])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Returns cint results in the chosen output mode', done => {
+    bothProxiesSend(concatBytes([gfpBytes(-7), gfpBytes('123456789012345678')]))
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.CINT,
+      outputMode: OUTPUT_MODE.STRING
+    })
+      .then(values => {
+        expect(values).toEqual(['-7', '123456789012345678'])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Returns cfix results after a message type header', done => {
+    // 1.5 shifted by the default 20 decimal bits.
+    bothProxiesSend(concatBytes([header(4), gfpBytes(1572864)]))
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.CFIX,
+      count: 1,
+      messageTypeHeader: true
+    })
+      .then(values => {
+        expect(values).toEqual([1.5])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Returns unconverted Gfp results', done => {
+    bothProxiesSend(concatBytes([header(2), gfpBytes(42)]))
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.GFP,
+      messageTypeHeader: true
+    })
+      .then(values => {
+        expect(values.length).toEqual(1)
+        expect(values[0]).toBeInstanceOf(Gfp)
+        expect(values[0].toString()).toEqual('42')
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Applies the consensus policy across proxies', done => {
+    consumeDataFromProxies.mockImplementationOnce(() =>
+      Promise.resolve([Uint8Array.of(1, 0, 0, 0), Uint8Array.of(2, 0, 0, 0)])
+    )
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.INT_32,
+      consensusPolicy: ConsensusPolicy.Unanimous
+    })
+      .then(() => done.fail('Expected retrieveResults to reject.'))
+      .catch(err => {
+        expect(err.name).toEqual('ConsensusError')
+        done()
+      })
+  })
+
+  it('Polls the proxies when given a poll policy', done => {
+    pollDataFromProxies.mockImplementationOnce(() =>
+      Promise.resolve([Uint8Array.of(9, 0, 0, 0), Uint8Array.of(9, 0, 0, 0)])
+    )
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.INT_32,
+      encrypted: true,
+      pollPolicy: { maxAttempts: 3 }
+    })
+      .then(values => {
+        expect(values).toEqual([9])
+        expect(consumeDataFromProxies).not.toHaveBeenCalled()
+        expect(pollDataFromProxies.mock.calls[0][2]).toEqual(true)
+        expect(pollDataFromProxies.mock.calls[0][3].pollPolicy).toEqual({
+          waitTimeoutMs: 0,
+          maxAttempts: 3
+        })
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Rejects a message type header which does not match the type', done => {
+    bothProxiesSend(concatBytes([header(2), gfpBytes(1)]))
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.CFIX,
+      messageTypeHeader: true
+    })
+      .then(() => done.fail('Expected retrieveResults to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          `Expected message type 4 for cfix results from proxy ${twoProxiesWith2Connected[0]
+            .url}, got 2.`
+        )
+        done()
+      })
+  })
+
+  it('Rejects results with the wrong number of values', done => {
+    bothProxiesSend(Uint8Array.of(1, 0, 0, 0))
+
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', {
+      type: RESULT_TYPE.INT_32,
+      count: 2
+    })
+      .then(() => done.fail('Expected retrieveResults to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          `Expected 2 int32 value(s) from proxy ${twoProxiesWith2Connected[0]
+            .url}, got 4 bytes.`
+        )
+        done()
+      })
+  })
+
+  it('Rejects an unknown result type', done => {
+    retrieveResults(twoProxiesWith2Connected, '/apiroot', { type: 'sint' })
+      .then(() => done.fail('Expected retrieveResults to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Unknown result type sint, expected one of int32,cint,cfix,gfp.'
+        )
+        expect(consumeDataFromProxies).not.toHaveBeenCalled()
+        done()
+      })
+  })
+})
@@ -1,12 +1,100 @@
 /**
  * Higher level functions to interact with the SPDZ api.
  */
-import { consumeDataFromProxies, sendInputsToProxies } from './SpdzApiAggregate'
+import {
+  consumeDataFromProxies,
+  pollDataFromProxies,
+  sendClearInputsToProxies,
+  sendInputsToProxies
+} from './SpdzApiAggregate'
 import binaryToShare from '../type_mapping/binaryToShare'
 import { Gfp } from '../math/Gfp'
-import { regIntToHexString } from '../type_mapping/binaryToArray'
+import {
+  binaryToGfpArray,
+  binaryToIntArray,
+  regIntToHexString
+} from '../type_mapping/binaryToArray'
+import { OUTPUT_MODE } from '../type_mapping/outputMode'
+import { convertUserInput } from '../type_mapping/userInput'
+import { ConsensusPolicy } from '../type_mapping/resultConsensus'
+import {
+  decodeMessage,
+  MESSAGE_TYPE
+} from '../type_mapping/messageTypeRegistry'
 import verifyRequiredKeys from '../utility/verifyRequiredKeys'
 
+/**
+ * @description Types of result which can be retrieved with retrieveResults.
+ *   INT_32 - 32 bit integers, from regint.write_to_socket.
+ *   CINT - clear modp integers, from cint.write_to_socket, returned according to the output mode.
+ *   CFIX - clear fixed point numbers, from cfix.write_to_socket, returned according to the output mode.
+ *   GFP - clear modp values as unconverted Gfp objects, from cint or cfix.
+ *
+ * @example Result types are:
+ *
+ * { INT_32: 'int32', CINT: 'cint', CFIX: 'cfix', GFP: 'gfp' }
+ *
+ * @access public
+ */
+const RESULT_TYPE = {
+  INT_32: 'int32',
+  CINT: 'cint',
+  CFIX: 'cfix',
+  GFP: 'gfp'
+}
+
+// Bytes per value and the SPDZ message types accepted in a message type header, per result type.
+const RESULT_LAYOUT = {
+  [RESULT_TYPE.INT_32]: {
+    byteLength: 4,
+    messageTypeList: [MESSAGE_TYPE.INT_32]
+  },
+  [RESULT_TYPE.CINT]: {
+    byteLength: 16,
+    messageTypeList: [MESSAGE_TYPE.CLEAR_MODP_INT]
+  },
+  [RESULT_TYPE.CFIX]: {
+    byteLength: 16,
+    messageTypeList: [MESSAGE_TYPE.CLEAR_MODP_FIX]
+  },
+  [RESULT_TYPE.GFP]: {
+    byteLength: 16,
+    messageTypeList: [MESSAGE_TYPE.CLEAR_MODP_INT, MESSAGE_TYPE.CLEAR_MODP_FIX]
+  }
+}
+
+const MESSAGE_TYPE_HEADER_LENGTH = 4
+
+/**
+ * Consume data once from each proxy, or if a poll policy is given poll until all proxies have data.
+ * The waitTimeoutMs is used for each poll unless the policy sets its own.
+ */
+const consumeOrPoll = (
+  spdzProxyList,
+  spdzApiRoot,
+  encrypted,
+  waitTimeoutMs,
+  { signal = undefined, pollPolicy = undefined, requestPolicy = undefined }
+) => {
+  if (pollPolicy === undefined || pollPolicy === false) {
+    return consumeDataFromProxies(
+      spdzProxyList,
+      spdzApiRoot,
+      encrypted,
+      waitTimeoutMs,
+      { signal, requestPolicy }
+    )
+  }
+  return pollDataFromProxies(spdzProxyList, spdzApiRoot, encrypted, {
+    pollPolicy: Object.assign(
+      { waitTimeoutMs: waitTimeoutMs },
+      pollPolicy === true ? {} : pollPolicy
+    ),
+    signal,
+    requestPolicy
+  })
+}
+
 /**
  * Retrieve shares to be used to send input to SPDZ proxies.
  * Wait for all SPDZ proxies to send shares rejecting if an error (no timeout)
@@ -17,6 +105,7 @@ import verifyRequiredKeys from '../utility/verifyRequiredKeys'
  *                        encryptionKey (optional) for each proxy 
  * @param {String} spdzApiRoot url path
  * @param {Number} waitTimeoutMs Optional wait timeout ms to wait for shares to be available.
+ * @param {Object} requestOptions Optional {signal, pollPolicy, requestPolicy}, see sendInputsWithShares.
  * @returns Promise resolved with list of shares (length inputNum) or reject with Error
  */
 const retrieveShares = (
@@ -24,7 +113,8 @@ const retrieveShares = (
   encrypted,
   spdzProxyList,
   spdzApiRoot,
-  waitTimeoutMs = 0
+  waitTimeoutMs = 0,
+  requestOptions = {}
 ) => {
   if (!verifyRequiredKeys(spdzProxyList, 'url')) {
     return Promise.reject(
@@ -32,11 +122,12 @@ const retrieveShares = (
     )
   }
 
-  return consumeDataFromProxies(
+  return consumeOrPoll(
     spdzProxyList,
     spdzApiRoot,
     encrypted,
-    waitTimeoutMs
+    waitTimeoutMs,
+    requestOptions
   ).then(values => {
     try {
       const shareList = binaryToShare(values)
@@ -61,8 +152,14 @@ const retrieveShares = (
  * @param {String} spdzApiRoot path for spdz api
  * @param {Number} regIntCount number of regint values expecting in result
  * @param {boolean} encrypted - are the correlated random triples encrypted, true or false. Dependant on connectToSPDZ setup.
+ * @param {Object} [requestOptions] - optional settings.
+ * @param {ConsensusPolicy} [requestOptions.consensusPolicy=ConsensusPolicy.Unanimous] - how to manage results which differ between SPDZ Engines.
+ * @param {AbortSignal} [requestOptions.signal] - optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {boolean|Object} [requestOptions.pollPolicy] - optional, if set poll until every SPDZ Engine has sent its result instead of
+ * rejecting with a NoContentError. Pass true for the defaults or an object to override them, see pollDataFromProxies.
+ * @param {Object} [requestOptions.requestPolicy] - optional, timeout and retry policy for the requests, overriding setRequestPolicy.
  * 
- * @returns {String} Promise resolves to a single result as a hex string.
+ * @returns {String} Promise resolves to a single result as a hex string. For ConsensusPolicy.All resolves to an object {consensus, values, results}.
  * 
  * @example Retrieve integers as hex string:
  * 
@@ -84,7 +181,13 @@ const retrieveRegIntsAsHexString = (
   spdzProxyList,
   spdzApiRoot,
   regIntCount,
-  encrypted = false
+  encrypted = false,
+  {
+    consensusPolicy = ConsensusPolicy.Unanimous,
+    signal = undefined,
+    pollPolicy = undefined,
+    requestPolicy = undefined
+  } = {}
 ) => {
   if (!verifyRequiredKeys(spdzProxyList, 'url')) {
     return Promise.reject(
@@ -92,11 +195,11 @@ const retrieveRegIntsAsHexString = (
     )
   }
 
-  return consumeDataFromProxies(
-    spdzProxyList,
-    spdzApiRoot,
-    encrypted
-  ).then(values => {
+  return consumeOrPoll(spdzProxyList, spdzApiRoot, encrypted, 0, {
+    signal,
+    pollPolicy,
+    requestPolicy
+  }).then(values => {
     if (spdzProxyList.length !== values.length) {
       return Promise.reject(
         new Error(
@@ -105,7 +208,12 @@ const retrieveRegIntsAsHexString = (
       )
     }
     try {
-      return Promise.resolve(regIntToHexString(values, regIntCount))
+      return Promise.resolve(
+        regIntToHexString(values, regIntCount, {
+          policy: consensusPolicy,
+          urlList: spdzProxyList.map(proxy => proxy.url)
+        })
+      )
     } catch (err) {
       return Promise.reject(err)
     }
@@ -115,13 +223,22 @@ const retrieveRegIntsAsHexString = (
 /**
  * @description Send an array of integers to all SPDZ Proxies in secret shared form (SPDZ sint). This first retrieves the expected number of correlated random triples from the SPDZ Engines.
  * See SPDZ instruction sint.receive_from_client.
- * @param {Integer[]} inputList - an Array of integer values to be secret shared.
+ * @param {Array<Number|Object>} inputList - an Array of integer values to be secret shared. Typed input
+ * descriptors {type: 'sint'|'sfix', value} allow integers (number, decimal string or BigInt) and fixed point
+ * values to be mixed, each is converted and range checked on its own.
  * @param {boolean} encrypted - are the correlated random triples encrypted, true or false. Dependant on connectToSPDZ setup.
  * @param {Object[]} spdzProxyList - Array of objects, one per SPDZ Proxy
  * @param {String} spdzProxyList.url - URL of proxy
  * @param {String} [spdzProxyList.encryptionKey] - optional precomputed encryption key, to decrypt SPDZ message.
  * @param {String} spdzApiRoot path for spdz api
  * @param {Integer} [waitTimeoutMs=0] time to wait in ms for data sent by SPDZ to become available.
+ * @param {Object} [requestOptions] - optional settings.
+ * @param {AbortSignal} [requestOptions.signal] - optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {boolean} [requestOptions.encryptInputs=false] - encrypt the inputs for each SPDZ Engine with the proxy encryptionKey,
+ * so the proxies can not read or alter them. Requires an encryptionKey for every proxy.
+ * @param {boolean|Object} [requestOptions.pollPolicy] - optional, if set poll until every SPDZ Engine has sent its shares,
+ * using waitTimeoutMs for each poll. Pass true for the defaults or an object to override them, see pollDataFromProxies.
+ * @param {Object} [requestOptions.requestPolicy] - optional, timeout and retry policy for the requests, overriding setRequestPolicy.
  * 
  * @return {Promise} which resolves to an empty function.
  * 
@@ -147,7 +264,13 @@ const sendInputsWithShares = (
   encrypted,
   spdzProxyList,
   spdzApiRoot,
-  waitTimeoutMs = 0
+  waitTimeoutMs = 0,
+  {
+    signal = undefined,
+    encryptInputs = false,
+    pollPolicy = undefined,
+    requestPolicy = undefined
+  } = {}
 ) => {
   if (!verifyRequiredKeys(spdzProxyList, 'url')) {
     return Promise.reject(
@@ -155,21 +278,259 @@ const sendInputsWithShares = (
     )
   }
 
+  let convertedList
+  try {
+    convertedList = convertUserInput(inputList)
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
   return retrieveShares(
-    inputList.length,
+    convertedList.length,
     encrypted,
     spdzProxyList,
     spdzApiRoot,
-    waitTimeoutMs
+    waitTimeoutMs,
+    { signal, pollPolicy, requestPolicy }
   )
     .then(shareList => {
-      return inputList.map((input, i) => {
+      return convertedList.map((input, i) => {
         return shareList[i].add(Gfp.fromUserInput(input))
       })
     })
     .then(sharedInputList => {
-      return sendInputsToProxies(spdzProxyList, spdzApiRoot, sharedInputList)
+      return sendInputsToProxies(spdzProxyList, spdzApiRoot, sharedInputList, {
+        signal,
+        encryptInputs,
+        requestPolicy
+      })
     })
 }
 
-export { retrieveShares, retrieveRegIntsAsHexString, sendInputsWithShares }
+/**
+ * SPDZ regint only holds integers, so int32 inputs are range checked as sint and never converted to fixed point.
+ */
+const int32Descriptor = (input, index) => {
+  const value = typeof input === 'number' ? input : input.value
+  const isInteger =
+    typeof input === 'number'
+      ? Number.isInteger(input)
+      : input !== null && typeof input === 'object' && input.type === 'sint'
+  if (!isInteger) {
+    throw new Error(
+      `Input ${index} (${value}) must be an integer for int32, send fixed point values as modp.`
+    )
+  }
+  return typeof input === 'number' ? { type: 'sint', value: input } : input
+}
+
+/**
+ * @description Send an array of numbers to all SPDZ Proxies as clear (public) inputs, no secret sharing.
+ * See SPDZ instructions regint.read_from_socket and cint.read_from_socket.
+ * @param {Array<Number|Object>} inputList - all integers or all fixed point numbers. For modp, if any number is not
+ * an integer all are converted to the SPDZ cfix format. Typed input descriptors {type: 'sint'|'sfix', value} are
+ * also accepted, see sendInputsWithShares. For int32 every input must be an integer in the int32 range.
+ * @param {Object[]} spdzProxyList - Array of objects, one per SPDZ Proxy
+ * @param {String} spdzProxyList.url - URL of proxy
+ * @param {String} [spdzProxyList.encryptionKey] - precomputed encryption key, needed if encryptInputs is set.
+ * @param {String} spdzApiRoot path for spdz api
+ * @param {String} [spdzType=int32] - 'int32' (SPDZ regint, integers only) or 'modp' (SPDZ cint or cfix).
+ * @param {Object} [requestOptions] - optional settings.
+ * @param {AbortSignal} [requestOptions.signal] - optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {boolean} [requestOptions.encryptInputs=false] - encrypt the inputs for each SPDZ Engine with the proxy encryptionKey,
+ * so the proxies can not read or alter them. Requires an encryptionKey for every proxy.
+ * @param {Object} [requestOptions.requestPolicy] - optional, timeout and retry policy for the requests, overriding setRequestPolicy.
+ *
+ * @returns {Object[]} result[] - a promise which resolves to a list of objects once all sends are finished.
+ * Rejects if the inputs can not be converted.
+ * @returns {String} result.id - position in spdzProxyList
+ * @returns {ProxyStatusCode} result.status - Connected if the inputs were sent, otherwise Disconnected or Failure.
+ * @returns {String} result.msg - reason the inputs were not sent.
+ *
+ * @example Send fixed point parameters:
+ *
+ * import { sendClearInputs, allProxiesConnected } from 'spdz-client-lib/dist/rest_api'
+ *
+ * sendClearInputs([0.5, 12.25], [{url: http://spdzproxy0}, {url: http://spdzproxy1}], '/spdzapi', 'modp')
+ * .then(values => {
+ *   if (!allProxiesConnected(values)) {
+ *     console.log('Unable to send inputs to all SPDZ proxies', values)
+ *   }
+ * })
+ *
+ * @access public
+ */
+const sendClearInputs = (
+  inputList,
+  spdzProxyList,
+  spdzApiRoot,
+  spdzType = 'int32',
+  { signal = undefined, encryptInputs = false, requestPolicy = undefined } = {}
+) => {
+  if (['int32', 'modp'].indexOf(spdzType) === -1) {
+    return Promise.reject(
+      new Error(`Unknown SPDZ type ${spdzType}, expected int32 or modp.`)
+    )
+  }
+
+  let convertedList
+  try {
+    convertedList =
+      spdzType === 'int32'
+        ? convertUserInput(inputList.map(int32Descriptor), spdzType)
+        : convertUserInput(inputList, spdzType)
+  } catch (err) {
+    return Promise.reject(err)
+  }
+
+  return sendClearInputsToProxies(
+    spdzProxyList,
+    spdzApiRoot,
+    spdzType,
+    convertedList,
+    { signal, encryptInputs, requestPolicy }
+  )
+}
+
+/**
+ * Remove and check the message type header sent by the SPDZ program, then check the number of values.
+ * @returns {Uint8Array} data without the header.
+ */
+const validateResultBuffer = (
+  byteBuffer,
+  url,
+  type,
+  count,
+  messageTypeHeader
+) => {
+  const layout = RESULT_LAYOUT[type]
+  let data = byteBuffer
+  if (messageTypeHeader) {
+    if (byteBuffer.length < MESSAGE_TYPE_HEADER_LENGTH) {
+      throw new Error(`Missing message type header from proxy ${url}.`)
+    }
+    const messageType = binaryToIntArray([
+      byteBuffer.slice(0, MESSAGE_TYPE_HEADER_LENGTH)
+    ])[0]
+    if (layout.messageTypeList.indexOf(messageType) === -1) {
+      throw new Error(
+        `Expected message type ${layout.messageTypeList.join(
+          ' or '
+        )} for ${type} results from proxy ${url}, got ${messageType}.`
+      )
+    }
+    data = byteBuffer.slice(MESSAGE_TYPE_HEADER_LENGTH)
+  }
+  if (count !== undefined && data.length !== count * layout.byteLength) {
+    throw new Error(
+      `Expected ${count} ${type} value(s) from proxy ${url}, got ${data.length} bytes.`
+    )
+  }
+  return data
+}
+
+/**
+ * @description Retrieve results sent by the SPDZ Engines, decoded by type. Results from all SPDZ Engines
+ * are compared and combined according to the consensus policy.
+ * See SPDZ instructions regint.write_to_socket, cint.write_to_socket and cfix.write_to_socket.
+ *
+ * @param {Object[]} spdzProxyList - Array of objects, one per SPDZ Proxy
+ * @param {String} spdzProxyList.url - URL of proxy
+ * @param {String} [spdzProxyList.encryptionKey] - optional precomputed encryption key, to decrypt SPDZ message.
+ * @param {String} spdzApiRoot path for spdz api
+ * @param {Object} resultOptions - what to retrieve.
+ * @param {String} resultOptions.type - RESULT_TYPE of the values.
+ * @param {Number} [resultOptions.count] - number of values expected from each SPDZ Engine, checked if given.
+ * @param {boolean} [resultOptions.encrypted=false] - is the SPDZ output encrypted. Dependant on connectToSPDZ setup.
+ * @param {boolean} [resultOptions.messageTypeHeader=false] - set if the SPDZ program sends the message type before
+ * the values, e.g. with cint.write_to_socket(socket_id, values, message_type). The header must match the type.
+ * @param {ConsensusPolicy} [resultOptions.consensusPolicy=ConsensusPolicy.Unanimous] - how to manage results which differ between SPDZ Engines.
+ * @param {String} [resultOptions.outputMode=OUTPUT_MODE.NUMBER] - how to return cint and cfix values, see OUTPUT_MODE.
+ * @param {boolean|Object} [resultOptions.pollPolicy] - optional, poll until every SPDZ Engine has sent its results, see pollDataFromProxies.
+ * @param {AbortSignal} [resultOptions.signal] - optional, to cancel the pending requests, the promise rejects with an AbortError.
+ * @param {Object} [resultOptions.requestPolicy] - optional, timeout and retry policy for the requests, overriding setRequestPolicy.
+ *
+ * @returns {Array} Promise resolves to the list of values. For ConsensusPolicy.All resolves to an object {consensus, values, results}.
+ *
+ * @example Retrieve 2 fixed point results:
+ *
+ * import { retrieveResults, RESULT_TYPE } from 'spdz-client-lib/dist/rest_api'
+ *
+ * retrieveResults([{url: http://spdzproxy0, encryptionKey: 'abc'},
+ *                  {url: http://spdzproxy1, encryptionKey: 'def'}],
+ *                 '/spdzapi', { type: RESULT_TYPE.CFIX, count: 2, encrypted: true })
+ * .then(values => {
+ *   console.log(`Received results ${values}.`)
+ *  })
+ *
+ * @access public
+ */
+const retrieveResults = (
+  spdzProxyList,
+  spdzApiRoot,
+  {
+    type,
+    count = undefined,
+    encrypted = false,
+    messageTypeHeader = false,
+    consensusPolicy = ConsensusPolicy.Unanimous,
+    outputMode = OUTPUT_MODE.NUMBER,
+    pollPolicy = undefined,
+    signal = undefined,
+    requestPolicy = undefined
+  } = {}
+) => {
+  if (!verifyRequiredKeys(spdzProxyList, 'url')) {
+    return Promise.reject(
+      new Error('Each spdzProxyList entry must contain keys: url.')
+    )
+  }
+  if (!RESULT_LAYOUT.hasOwnProperty(type)) {
+    const validTypes = Object.keys(RESULT_TYPE).map(key => RESULT_TYPE[key])
+    return Promise.reject(
+      new Error(`Unknown result type ${type}, expected one of ${validTypes}.`)
+    )
+  }
+
+  return consumeOrPoll(spdzProxyList, spdzApiRoot, encrypted, 0, {
+    signal,
+    pollPolicy,
+    requestPolicy
+  }).then(values => {
+    try {
+      const byteBufferList = values.map((byteBuffer, index) =>
+        validateResultBuffer(
+          byteBuffer,
+          spdzProxyList[index].url,
+          type,
+          count,
+          messageTypeHeader
+        )
+      )
+      const consensusOptions = {
+        policy: consensusPolicy,
+        urlList: spdzProxyList.map(proxy => proxy.url)
+      }
+      if (type === RESULT_TYPE.GFP) {
+        return binaryToGfpArray(byteBufferList, consensusOptions)
+      }
+      return decodeMessage(
+        RESULT_LAYOUT[type].messageTypeList[0],
+        byteBufferList,
+        consensusOptions,
+        outputMode
+      )
+    } catch (err) {
+      return Promise.reject(err)
+    }
+  })
+}
+
+export {
+  RESULT_TYPE,
+  retrieveResults,
+  retrieveShares,
+  retrieveRegIntsAsHexString,
+  sendClearInputs,
+  sendInputsWithShares
+}
@@ -1,13 +1,20 @@
 import { Gfp } from '../math/Gfp'
 import {
   retrieveShares,
+  sendClearInputs,
   sendInputsWithShares,
   retrieveRegIntsAsHexString
 } from './SpdzApiHelper'
 import { twoProxiesWith2Connected } from './test_support/ProxyServerList'
+import { ConsensusPolicy } from '../type_mapping/resultConsensus'
 
 jest.mock('./SpdzApiAggregate')
-import { consumeDataFromProxies, sendInputsToProxies } from './SpdzApiAggregate'
+import {
+  consumeDataFromProxies,
+  pollDataFromProxies,
+  sendClearInputsToProxies,
+  sendInputsToProxies
+} from './SpdzApiAggregate'
 
 jest.mock('../type_mapping/binaryToArray')
 import { regIntToHexString } from '../type_mapping/binaryToArray'
@@ -65,6 +72,38 @@ describe('Client sending an input to 2 proxies', () => {
       })
   })
 
+  it('Polls for shares when given a poll policy', done => {
+    pollDataFromProxies.mockImplementationOnce(() =>
+      Promise.resolve([byteBuffer1, byteBuffer2])
+    )
+
+    const expectedShare = Gfp.fromUserInput('8')
+    binaryToShare.mockImplementationOnce(() => [expectedShare])
+
+    retrieveShares(1, false, twoProxiesWith2Connected, '/apiroot', 500, {
+      pollPolicy: { maxAttempts: 5 }
+    })
+      .then(shareList => {
+        expect(shareList).toEqual([expectedShare])
+        expect(consumeDataFromProxies).not.toHaveBeenCalled()
+        expect(pollDataFromProxies.mock.calls[0]).toEqual([
+          twoProxiesWith2Connected,
+          '/apiroot',
+          false,
+          {
+            pollPolicy: { waitTimeoutMs: 500, maxAttempts: 5 },
+            signal: undefined,
+            requestPolicy: undefined
+          }
+        ])
+        pollDataFromProxies.mockClear()
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
   it('Rejects if number of shares doesnt match expected', done => {
     consumeDataFromProxies.mockImplementationOnce(() =>
       Promise.resolve([byteBuffer1, byteBuffer2])
@@ -107,7 +146,8 @@ describe('Client sending an input to 2 proxies', () => {
         expect(sendInputsToProxies.mock.calls[0]).toEqual([
           twoProxiesWith2Connected,
           '/apiroot',
-          [inputToSend]
+          [inputToSend],
+          { signal: undefined, encryptInputs: false, requestPolicy: undefined }
         ])
         done()
       })
@@ -116,6 +156,48 @@ describe('Client sending an input to 2 proxies', () => {
       })
   })
 
+  it('Rejects inputs which fail conversion before retrieving shares', done => {
+    sendInputsWithShares(
+      [{ type: 'sint', value: 1 }, { type: 'sfix', value: 'abc' }],
+      false,
+      twoProxiesWith2Connected,
+      '/apiroot',
+      0
+    )
+      .then(() => done.fail('Expected sendInputsWithShares to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Input 1 (abc) must be a number for type sfix.'
+        )
+        expect(consumeDataFromProxies.mock.calls.length).toEqual(0)
+        done()
+      })
+  })
+
+  it('Polls for regints with the default poll policy', done => {
+    // prettier-ignore
+    const clientId1 = Uint8Array.of(1,0,0,0,2,0,0,0,3,0,0,0,4,0,0,0,5,0,0,0,6,0,0,0,7,0,0,0,8,0,0,0)
+    pollDataFromProxies.mockImplementationOnce(() =>
+      Promise.resolve([clientId1, clientId1])
+    )
+    regIntToHexString.mockImplementationOnce(() => 'abc')
+
+    retrieveRegIntsAsHexString(twoProxiesWith2Connected, '/apiroot', 8, false, {
+      pollPolicy: true
+    })
+      .then(result => {
+        expect(result).toEqual('abc')
+        expect(pollDataFromProxies.mock.calls[0][3].pollPolicy).toEqual({
+          waitTimeoutMs: 0
+        })
+        pollDataFromProxies.mockClear()
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
   it('Returns the winner client id as a hex string of 8 regints from 2 SPDZ proxies', done => {
     // prettier-ignore
     const clientId1 = Uint8Array.of(1,0,0,0,2,0,0,0,3,0,0,0,4,0,0,0,5,0,0,0,6,0,0,0,7,0,0,0,8,0,0,0)
@@ -139,6 +221,34 @@ describe('Client sending an input to 2 proxies', () => {
       })
   })
 
+  it('Passes the consensus policy and proxy urls when retrieving regints', done => {
+    // prettier-ignore
+    const clientId1 = Uint8Array.of(1,0,0,0,2,0,0,0,3,0,0,0,4,0,0,0,5,0,0,0,6,0,0,0,7,0,0,0,8,0,0,0)
+    consumeDataFromProxies.mockImplementationOnce(() =>
+      Promise.resolve([clientId1, clientId1])
+    )
+    regIntToHexString.mockImplementationOnce(() => 'a1a2')
+
+    retrieveRegIntsAsHexString(twoProxiesWith2Connected, '/apiroot', 8, false, {
+      consensusPolicy: ConsensusPolicy.Majority
+    })
+      .then(result => {
+        expect(result).toEqual('a1a2')
+        expect(regIntToHexString).toHaveBeenCalledWith(
+          [clientId1, clientId1],
+          8,
+          {
+            policy: 'majority',
+            urlList: ['http://spdzProxy.one:4000', 'http://spdzProxy.two:4000']
+          }
+        )
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
   it('Rejects if the number of return values does not match the number of proxies', done => {
     // prettier-ignore
     const clientId1 = Uint8Array.of(1,0,0,0,2,0,0,0,3,0,0,0,4,0,0,0,5,0,0,0,6,0,0,0,7,0,0,0,8,0,0,0)
@@ -181,3 +291,84 @@ describe('Client sending an input to 2 proxies', () => {
       })
   })
 })
+
+describe('Client sending clear inputs to 2 proxies', () => {
+  afterEach(() => {
+    sendClearInputsToProxies.mockReset()
+  })
+
+  it('Converts fixed point inputs before sending as modp', done => {
+    const results = [{ id: 0, status: 2 }, { id: 1, status: 2 }]
+    sendClearInputsToProxies.mockImplementationOnce(() =>
+      Promise.resolve(results)
+    )
+
+    sendClearInputs([1, 0.5], twoProxiesWith2Connected, '/apiroot', 'modp')
+      .then(values => {
+        expect(values).toEqual(results)
+        expect(sendClearInputsToProxies.mock.calls[0]).toEqual([
+          twoProxiesWith2Connected,
+          '/apiroot',
+          'modp',
+          [1048576, 524288],
+          { signal: undefined, encryptInputs: false, requestPolicy: undefined }
+        ])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('Rejects int32 inputs out of range before sending', done => {
+    sendClearInputs(
+      [{ type: 'sint', value: Math.pow(2, 31) }],
+      twoProxiesWith2Connected,
+      '/apiroot'
+    )
+      .then(() => done.fail('Expected sendClearInputs to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Input 0 (2147483648) exceeds the int32 range.'
+        )
+        expect(sendClearInputsToProxies).not.toHaveBeenCalled()
+        done()
+      })
+  })
+
+  it('Rejects int32 inputs which are not integers', done => {
+    sendClearInputs([1, 0.5], twoProxiesWith2Connected, '/apiroot', 'int32')
+      .then(() => done.fail('Expected sendClearInputs to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Input 1 (0.5) must be an integer for int32, send fixed point values as modp.'
+        )
+        expect(sendClearInputsToProxies).not.toHaveBeenCalled()
+        done()
+      })
+  })
+
+  it('Rejects plain int32 inputs out of range', done => {
+    sendClearInputs(
+      [-Math.pow(2, 31) - 1],
+      twoProxiesWith2Connected,
+      '/apiroot'
+    )
+      .then(() => done.fail('Expected sendClearInputs to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Input 0 (-2147483649) exceeds the int32 range.'
+        )
+        done()
+      })
+  })
+
+  it('Rejects an unknown SPDZ type', done => {
+    sendClearInputs([1], twoProxiesWith2Connected, '/apiroot', 'int64')
+      .then(() => done.fail('Expected sendClearInputs to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Unknown SPDZ type int64, expected int32 or modp.'
+        )
+        done()
+      })
+  })
+})
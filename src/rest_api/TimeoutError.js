@@ -0,0 +1,22 @@
+/**
+ * @description Error to represent a REST request to a SPDZ Proxy which did not respond in time, see setRequestPolicy.
+ * 
+ * @param {String} message text
+ * @param {String} [url] - url of the SPDZ Proxy.
+ * @param {String} [operation] - name of the request, e.g. checkEngineConnection.
+ * 
+ * @returns {function} extended from Error.prototype
+ * 
+ * @access public
+ */
+function TimeoutError(message, url, operation) {
+  this.name = 'TimeoutError'
+  this.message = message || 'The request to the SPDZ proxy timed out.'
+  this.url = url
+  this.operation = operation
+  this.stack = new Error().stack
+}
+TimeoutError.prototype = Object.create(Error.prototype)
+TimeoutError.prototype.constructor = TimeoutError
+
+export default TimeoutError
@@ -8,23 +8,53 @@ import {
   checkProxies,
   disconnectFromSPDZ,
   allProxiesConnected,
-  consumeDataFromProxies
+  consumeDataFromProxies,
+  pollDataFromProxies
 } from './SpdzApiAggregate'
 import {
+  RESULT_TYPE,
   retrieveRegIntsAsHexString,
+  retrieveResults,
+  sendClearInputs,
   sendInputsWithShares
 } from './SpdzApiHelper'
+import { createHttpClient } from './HttpClient'
 import NoContentError from './NoContentError'
 import ProxyStatusCodes from './ProxyStatusCodes'
+import { setRequestPolicy } from './RequestPolicy'
+import TimeoutError from './TimeoutError'
+import ConsensusError from '../type_mapping/ConsensusError'
+import { ConsensusPolicy } from '../type_mapping/resultConsensus'
+import AbortError from '../utility/AbortError'
+import { NONCE_MODE } from '../crypto/NonceTracker'
+import ReplayError from '../crypto/ReplayError'
+import { recordRestTraffic, replayRestTraffic } from './RestTraffic'
+import { parseTrafficLog, TrafficRecorder } from '../utility/TrafficRecorder'
 
 export {
+  AbortError,
   allProxiesConnected,
   checkProxies,
   connectToSPDZ,
+  ConsensusError,
+  ConsensusPolicy,
   consumeDataFromProxies,
+  createHttpClient,
   disconnectFromSPDZ,
   NoContentError,
+  NONCE_MODE,
+  parseTrafficLog,
+  pollDataFromProxies,
   ProxyStatusCodes,
+  recordRestTraffic,
+  ReplayError,
+  replayRestTraffic,
+  RESULT_TYPE,
   retrieveRegIntsAsHexString,
-  sendInputsWithShares
+  retrieveResults,
+  sendClearInputs,
+  sendInputsWithShares,
+  setRequestPolicy,
+  TimeoutError,
+  TrafficRecorder
 }
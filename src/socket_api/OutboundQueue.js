@@ -0,0 +1,214 @@
+/**
+ * Queue of input sends made while the session is not connected to all SPDZ proxies and engines.
+ * Entries are kept in order and sent once the engines connect, unless they expire first.
+ * Entries with a record are saved to the queue store, so they can be restored by a new session,
+ * see queueStores.
+ */
+import Bacon from 'baconjs'
+
+import { memoryQueueStore } from './queueStores'
+import logger from '../utility/logging'
+
+/**
+ * @description State of each entry in the SpdzSocketSession outbound queue, see the outboundQueue session option.
+ *   PENDING - waiting for the SPDZ engines to connect.
+ *   SENT - sent to the SPDZ proxies, the send promise then settles on the proxy responses.
+ *   EXPIRED - not sent within the expiry time, the send promise rejects.
+ *   CANCELLED - removed by an AbortSignal or by closing the session.
+ *
+ * @example Queue states are:
+ *
+ * { PENDING: 'pending', SENT: 'sent', EXPIRED: 'expired', CANCELLED: 'cancelled' }
+ *
+ * @access public
+ */
+const QUEUE_STATE = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+}
+
+class OutboundQueue {
+  /**
+   * @param {Number} expiryMs time in millisecs a send may wait for the SPDZ engines to connect.
+   * @param {Object} [store] saves the entry records, see queueStores, defaults to memory only.
+   */
+  constructor(expiryMs, store = memoryQueueStore()) {
+    this.expiryMs = expiryMs
+    this.store = store
+    this.entryList = []
+    // Entry state events {id, state, inputCount, queuedAt, expiresAt, msg}
+    this.stateBus = new Bacon.Bus()
+    this.stateStream = this.stateBus.toEventStream()
+  }
+
+  /**
+   * Add a send to the end of the queue.
+   * @param {Number} id request id of the send.
+   * @param {Number} inputCount number of inputs, for reporting.
+   * @param {Function} send runs the send, may throw.
+   * @param {Function} fail called with an Error if the send throws, expires or is cancelled.
+   * @param {Object} [record] {kind, inputList, spdzType} to save in the store, so the send can be restored.
+   */
+  add(id, inputCount, send, fail, record = undefined) {
+    const queuedAt = Date.now()
+    this.enqueue({
+      id: id,
+      inputCount: inputCount,
+      queuedAt: queuedAt,
+      expiresAt: queuedAt + this.expiryMs,
+      send: send,
+      fail: fail,
+      record: record
+    })
+    this.save()
+  }
+
+  /**
+   * Queue again the records saved in the store, e.g. by a session before a page reload.
+   * Restored entries have no send promise, their state is only reported on the stateStream.
+   * @param {Function} nextId returns the request id for each restored send.
+   * @param {Function} sendFor given (record, id) runs the send, may throw.
+   */
+  restore(nextId, sendFor) {
+    this.store.load().forEach(savedRecord => {
+      const record = {
+        kind: savedRecord.kind,
+        inputList: savedRecord.inputList,
+        spdzType: savedRecord.spdzType
+      }
+      const id = nextId()
+      const entry = {
+        id: id,
+        inputCount: record.inputList.length,
+        queuedAt: savedRecord.queuedAt,
+        expiresAt: savedRecord.expiresAt,
+        send: () => sendFor(record, id),
+        fail: err => logger.debug(`Restored inputs not sent. ${err.message}`),
+        record: record
+      }
+      if (Date.now() >= entry.expiresAt) {
+        this.emitState(entry, QUEUE_STATE.EXPIRED, this.expiredMessage())
+      } else {
+        this.enqueue(entry)
+      }
+    })
+    this.save()
+  }
+
+  /**
+   * Send all pending entries in the order they were queued.
+   */
+  flush() {
+    const sendList = this.entryList
+    this.entryList = []
+    this.save()
+    sendList.forEach(entry => {
+      clearTimeout(entry.timer)
+      if (Date.now() >= entry.expiresAt) {
+        this.emitState(entry, QUEUE_STATE.EXPIRED, this.expiredMessage())
+        entry.fail(new Error(this.expiredMessage()))
+        return
+      }
+      try {
+        entry.send()
+        this.emitState(entry, QUEUE_STATE.SENT)
+      } catch (err) {
+        this.emitState(entry, QUEUE_STATE.CANCELLED, err.message)
+        entry.fail(err)
+      }
+    })
+  }
+
+  /**
+   * Cancel a pending entry, e.g. when the send is aborted. Ignored if already sent.
+   * The entry fail function is not called, the caller settles the send.
+   * @param {Number} id request id of the send.
+   * @param {String} msg reason, for reporting.
+   */
+  cancel(id, msg) {
+    const entry = this.entryList.find(entry => entry.id === id)
+    if (entry !== undefined) {
+      this.remove(entry, QUEUE_STATE.CANCELLED, msg, false)
+    }
+  }
+
+  /**
+   * Cancel all pending entries.
+   * @param {String} msg reason, the entry fail functions are called with this message.
+   */
+  cancelAll(msg) {
+    this.entryList
+      .slice()
+      .forEach(entry => this.remove(entry, QUEUE_STATE.CANCELLED, msg))
+  }
+
+  /**
+   * @returns {Object[]} pending entries in send order, as {id, state, inputCount, queuedAt, expiresAt}.
+   */
+  pending() {
+    return this.entryList.map(entry =>
+      this.describe(entry, QUEUE_STATE.PENDING)
+    )
+  }
+
+  enqueue(entry) {
+    entry.timer = setTimeout(
+      () => this.remove(entry, QUEUE_STATE.EXPIRED, this.expiredMessage()),
+      entry.expiresAt - Date.now()
+    )
+    this.entryList.push(entry)
+    this.emitState(entry, QUEUE_STATE.PENDING)
+  }
+
+  save() {
+    this.store.save(
+      this.entryList.filter(entry => entry.record !== undefined).map(entry =>
+        Object.assign({}, entry.record, {
+          queuedAt: entry.queuedAt,
+          expiresAt: entry.expiresAt
+        })
+      )
+    )
+  }
+
+  expiredMessage() {
+    return `Inputs not sent, SPDZ engines not connected within ${this
+      .expiryMs} ms.`
+  }
+
+  remove(entry, state, msg, notify = true) {
+    const index = this.entryList.indexOf(entry)
+    if (index === -1) {
+      return
+    }
+    this.entryList.splice(index, 1)
+    clearTimeout(entry.timer)
+    this.save()
+    this.emitState(entry, state, msg)
+    if (notify) {
+      entry.fail(new Error(msg))
+    }
+  }
+
+  describe(entry, state, msg) {
+    const description = {
+      id: entry.id,
+      state: state,
+      inputCount: entry.inputCount,
+      queuedAt: entry.queuedAt,
+      expiresAt: entry.expiresAt
+    }
+    if (msg !== undefined) {
+      description.msg = msg
+    }
+    return description
+  }
+
+  emitState(entry, state, msg) {
+    this.stateBus.push(this.describe(entry, state, msg))
+  }
+}
+
+export { OutboundQueue, QUEUE_STATE }
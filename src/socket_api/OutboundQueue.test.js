@@ -0,0 +1,152 @@
+import { OutboundQueue, QUEUE_STATE } from './OutboundQueue'
+import { memoryQueueStore } from './queueStores'
+
+describe('Queue input sends until the SPDZ engines connect', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('sends pending entries in order and reports each state', () => {
+    const queue = new OutboundQueue(1000)
+    const states = []
+    queue.stateStream.onValue(event => states.push([event.id, event.state]))
+    const sent = []
+    const fail = jest.fn()
+
+    queue.add(1, 2, () => sent.push(1), fail)
+    queue.add(2, 1, () => sent.push(2), fail)
+    expect(queue.pending().map(entry => entry.id)).toEqual([1, 2])
+    expect(queue.pending()[0].expiresAt - queue.pending()[0].queuedAt).toEqual(
+      1000
+    )
+
+    queue.flush()
+
+    expect(sent).toEqual([1, 2])
+    expect(queue.pending()).toEqual([])
+    expect(fail).not.toHaveBeenCalled()
+    expect(states).toEqual([
+      [1, QUEUE_STATE.PENDING],
+      [2, QUEUE_STATE.PENDING],
+      [1, QUEUE_STATE.SENT],
+      [2, QUEUE_STATE.SENT]
+    ])
+  })
+
+  it('expires entries which are not sent in time', () => {
+    const queue = new OutboundQueue(1000)
+    const states = []
+    queue.stateStream.onValue(event => states.push(event))
+    const send = jest.fn()
+    const fail = jest.fn()
+
+    queue.add(1, 1, send, fail)
+    jest.runTimersToTime(1000)
+    queue.flush()
+
+    expect(send).not.toHaveBeenCalled()
+    expect(fail.mock.calls[0][0].message).toEqual(
+      'Inputs not sent, SPDZ engines not connected within 1000 ms.'
+    )
+    expect(states[1].state).toEqual(QUEUE_STATE.EXPIRED)
+    expect(states[1].msg).toEqual(
+      'Inputs not sent, SPDZ engines not connected within 1000 ms.'
+    )
+  })
+
+  it('cancels entries, only calling fail when cancelling all', () => {
+    const queue = new OutboundQueue(1000)
+    const states = []
+    queue.stateStream.onValue(event => states.push([event.id, event.state]))
+    const fail = jest.fn()
+
+    queue.add(1, 1, jest.fn(), fail)
+    queue.add(2, 1, jest.fn(), fail)
+    queue.cancel(1, 'Aborted.')
+    expect(fail).not.toHaveBeenCalled()
+
+    queue.cancelAll('Closed.')
+    expect(fail.mock.calls.map(call => call[0].message)).toEqual(['Closed.'])
+    expect(states.slice(2)).toEqual([
+      [1, QUEUE_STATE.CANCELLED],
+      [2, QUEUE_STATE.CANCELLED]
+    ])
+
+    // Timers are cleared so nothing expires later.
+    jest.runAllTimers()
+    expect(fail).toHaveBeenCalledTimes(1)
+  })
+
+  it('fails an entry whose send throws and carries on with the rest', () => {
+    const queue = new OutboundQueue(1000)
+    const sent = []
+    const fail = jest.fn()
+
+    queue.add(
+      1,
+      1,
+      () => {
+        throw new Error('Bad input.')
+      },
+      fail
+    )
+    queue.add(2, 1, () => sent.push(2), fail)
+    queue.flush()
+
+    expect(fail.mock.calls[0][0].message).toEqual('Bad input.')
+    expect(sent).toEqual([2])
+  })
+
+  it('saves entries with a record to the store and restores them', () => {
+    const store = memoryQueueStore()
+    const queue = new OutboundQueue(1000, store)
+    const record = { kind: 'clear', inputList: [1, 2], spdzType: 'int32' }
+
+    queue.add(1, 2, jest.fn(), jest.fn(), record)
+    queue.add(2, 1, jest.fn(), jest.fn())
+    expect(store.load()).toEqual([
+      Object.assign({}, record, {
+        queuedAt: queue.pending()[0].queuedAt,
+        expiresAt: queue.pending()[0].expiresAt
+      })
+    ])
+
+    // A new queue, e.g. after a page reload, sends the saved entry.
+    const restored = new OutboundQueue(1000, store)
+    const states = []
+    restored.stateStream.onValue(event => states.push([event.id, event.state]))
+    const sendFor = jest.fn()
+    restored.restore(() => 7, sendFor)
+    expect(restored.pending().map(entry => entry.id)).toEqual([7])
+
+    restored.flush()
+    expect(sendFor).toBeCalledWith(record, 7)
+    expect(store.load()).toEqual([])
+    expect(states).toEqual([[7, QUEUE_STATE.PENDING], [7, QUEUE_STATE.SENT]])
+  })
+
+  it('reports restored entries which have expired', () => {
+    const store = memoryQueueStore()
+    store.save([
+      {
+        kind: 'secret',
+        inputList: [1],
+        queuedAt: Date.now() - 2000,
+        expiresAt: Date.now() - 1000
+      }
+    ])
+    const queue = new OutboundQueue(1000, store)
+    const states = []
+    queue.stateStream.onValue(event => states.push([event.id, event.state]))
+
+    queue.restore(() => 1, jest.fn())
+
+    expect(queue.pending()).toEqual([])
+    expect(store.load()).toEqual([])
+    expect(states).toEqual([[1, QUEUE_STATE.EXPIRED]])
+  })
+})
@@ -0,0 +1,121 @@
+/**
+ * Live connection status of each SPDZ proxy in a session, keyed by proxy url.
+ * Built from the per proxy connection events, before they are combined, so that callers
+ * can see which party is down without digging through the flattened response messages.
+ */
+import Bacon from 'baconjs'
+
+import { CONNECTION_SUMMARY, EVENT_TYPE } from './transform'
+
+const STATUS_FIELDS = [
+  'proxyConnected',
+  'spdzConnected',
+  'lastError',
+  'reconnectAttempt'
+]
+
+class ProxyStatusMap {
+  /**
+   * @param {Array<String>} urlList SPDZ proxy urls.
+   * @param {Function} [spdzWanted] returns true if the session expects to be connected to the SPDZ engines.
+   */
+  constructor(urlList, spdzWanted = () => false) {
+    this.urlList = urlList
+    this.spdzWanted = spdzWanted
+    this.statusByUrl = {}
+    urlList.forEach(url => {
+      this.statusByUrl[url] = {
+        proxyConnected: false,
+        spdzConnected: false,
+        lastError: undefined,
+        lastChange: undefined,
+        reconnectAttempt: 0
+      }
+    })
+    // Snapshot events, see snapshot()
+    this.statusBus = new Bacon.Bus()
+    this.statusStream = this.statusBus.toEventStream()
+  }
+
+  /**
+   * Apply a single proxy connection event, emits a snapshot if the status changed.
+   * @param {Object} event PROXY_CONNECT or SPDZ_CONNECT event {eventType, status, url, msg}.
+   */
+  update(event) {
+    const current = this.statusByUrl[event.url]
+    if (current === undefined) {
+      return
+    }
+
+    let change = {}
+    if (event.eventType === EVENT_TYPE.PROXY_CONNECT) {
+      change = {
+        proxyConnected: event.status,
+        // The SPDZ engine connection does not survive a proxy disconnect.
+        spdzConnected: event.status ? current.spdzConnected : false,
+        // Count failed attempts since the proxy was last connected.
+        reconnectAttempt:
+          event.status || current.proxyConnected
+            ? 0
+            : current.reconnectAttempt + 1
+      }
+    } else if (event.eventType === EVENT_TYPE.SPDZ_CONNECT) {
+      change = { spdzConnected: event.status }
+    } else {
+      return
+    }
+    if (!event.status) {
+      change.lastError = event.msg
+    }
+
+    const updated = Object.assign({}, current, change)
+    if (STATUS_FIELDS.every(field => updated[field] === current[field])) {
+      return
+    }
+    updated.lastChange = Date.now()
+    this.statusByUrl[event.url] = updated
+    this.statusBus.push(this.snapshot())
+  }
+
+  /**
+   * A proxy is up when connected, and also connected to its SPDZ engine once a SPDZ connection is expected.
+   */
+  isUp(status, spdzRequired) {
+    return status.proxyConnected && (status.spdzConnected || !spdzRequired)
+  }
+
+  /**
+   * @returns {Object} {summary: CONNECTION_SUMMARY, upCount, total, msg,
+   *                    proxies: {url: {proxyConnected, spdzConnected, lastError, lastChange, reconnectAttempt}}}
+   */
+  snapshot() {
+    const proxies = {}
+    this.urlList.forEach(url => {
+      proxies[url] = Object.assign({}, this.statusByUrl[url])
+    })
+    const spdzRequired =
+      this.spdzWanted() || this.urlList.some(url => proxies[url].spdzConnected)
+    const total = this.urlList.length
+    const upCount = this.urlList.filter(url =>
+      this.isUp(proxies[url], spdzRequired)
+    ).length
+
+    const summary =
+      upCount === total
+        ? CONNECTION_SUMMARY.ALL_UP
+        : upCount === 0 ? CONNECTION_SUMMARY.DOWN : CONNECTION_SUMMARY.DEGRADED
+
+    return {
+      summary: summary,
+      upCount: upCount,
+      total: total,
+      msg:
+        summary === CONNECTION_SUMMARY.DEGRADED
+          ? `${summary} (${upCount} of ${total})`
+          : summary,
+      proxies: proxies
+    }
+  }
+}
+
+export default ProxyStatusMap
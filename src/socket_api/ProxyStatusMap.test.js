@@ -0,0 +1,67 @@
+import ProxyStatusMap from './ProxyStatusMap'
+import { CONNECTION_SUMMARY, EVENT_TYPE } from './transform'
+
+const proxyEvent = (url, status, msg) => ({
+  eventType: EVENT_TYPE.PROXY_CONNECT,
+  status: status,
+  url: url,
+  msg: msg
+})
+
+const spdzEvent = (url, status, msg) => ({
+  eventType: EVENT_TYPE.SPDZ_CONNECT,
+  status: status,
+  url: url,
+  msg: msg
+})
+
+describe('Track the connection status of each proxy', () => {
+  const urlList = ['http://proxy0', 'http://proxy1']
+
+  it('summarises the proxies as down, degraded and all up', () => {
+    const statusMap = new ProxyStatusMap(urlList)
+    expect(statusMap.snapshot().summary).toEqual(CONNECTION_SUMMARY.DOWN)
+
+    statusMap.update(proxyEvent('http://proxy0', true, 'Connected.'))
+    expect(statusMap.snapshot()).toEqual(
+      expect.objectContaining({
+        summary: CONNECTION_SUMMARY.DEGRADED,
+        upCount: 1,
+        total: 2,
+        msg: 'degraded (1 of 2)'
+      })
+    )
+
+    statusMap.update(proxyEvent('http://proxy1', true, 'Connected.'))
+    expect(statusMap.snapshot().msg).toEqual(CONNECTION_SUMMARY.ALL_UP)
+  })
+
+  it('requires SPDZ connections once any proxy is connected to SPDZ', () => {
+    const statusMap = new ProxyStatusMap(urlList)
+    urlList.forEach(url => statusMap.update(proxyEvent(url, true, 'Up.')))
+    statusMap.update(spdzEvent('http://proxy1', true, 'SPDZ up.'))
+
+    expect(statusMap.snapshot().msg).toEqual('degraded (1 of 2)')
+    expect(statusMap.snapshot().proxies['http://proxy1']).toEqual(
+      expect.objectContaining({ proxyConnected: true, spdzConnected: true })
+    )
+  })
+
+  it('records errors and reconnect attempts, emitting only on change', () => {
+    const statusMap = new ProxyStatusMap(urlList)
+    const snapshots = []
+    statusMap.statusStream.onValue(snapshot => snapshots.push(snapshot))
+
+    statusMap.update(proxyEvent('http://proxy0', true, 'Connected.'))
+    statusMap.update(proxyEvent('http://proxy0', false, 'Disconnected.'))
+    statusMap.update(proxyEvent('http://proxy0', false, 'Connection error.'))
+    statusMap.update(proxyEvent('http://proxy0', false, 'Connection error.'))
+    statusMap.update(proxyEvent('http://unknown', true, 'Connected.'))
+
+    const proxy0 = statusMap.snapshot().proxies['http://proxy0']
+    expect(proxy0.lastError).toEqual('Connection error.')
+    expect(proxy0.reconnectAttempt).toEqual(2)
+    expect(typeof proxy0.lastChange).toEqual('number')
+    expect(snapshots.length).toEqual(4)
+  })
+})
@@ -0,0 +1,67 @@
+/**
+ * Store of validated shares (the a value of each correlated random triple) sent by the SPDZ engines.
+ * Shares arrive in batches which need not match the inputs being sent, so surplus shares are kept
+ * for later sends. Each share is removed when used, so that no share is ever used twice.
+ */
+import Bacon from 'baconjs'
+
+class ShareInventory {
+  constructor() {
+    this.shareList = []
+    // Level events {available, added, used, discarded}
+    this.levelBus = new Bacon.Bus()
+    this.levelStream = this.levelBus.toEventStream()
+  }
+
+  /**
+   * @returns {Number} number of shares available to use.
+   */
+  size() {
+    return this.shareList.length
+  }
+
+  /**
+   * Add validated shares, in the order sent by the SPDZ engines.
+   * @param {Gfp[]} shareList shares to store.
+   */
+  add(shareList) {
+    this.shareList = this.shareList.concat(shareList)
+    this.emitLevel({ added: shareList.length })
+  }
+
+  /**
+   * Remove and return the oldest shares.
+   * @param {Number} count number of shares needed.
+   * @returns {Gfp[]} count shares, never returned again.
+   */
+  take(count) {
+    if (count > this.shareList.length) {
+      throw new Error(
+        `Need ${count} share(s) but only ${this.shareList.length} available.`
+      )
+    }
+    const taken = this.shareList.splice(0, count)
+    this.emitLevel({ used: count })
+    return taken
+  }
+
+  /**
+   * Discard all shares, e.g. when reconnecting to the SPDZ engines.
+   */
+  clear() {
+    const discarded = this.shareList.length
+    this.shareList = []
+    this.emitLevel({ discarded: discarded })
+  }
+
+  emitLevel(change) {
+    this.levelBus.push(
+      Object.assign(
+        { available: this.shareList.length, added: 0, used: 0, discarded: 0 },
+        change
+      )
+    )
+  }
+}
+
+export default ShareInventory
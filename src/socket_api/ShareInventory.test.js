@@ -0,0 +1,41 @@
+import ShareInventory from './ShareInventory'
+import { Gfp } from '../math/Gfp'
+
+describe('Store shares until they are used', () => {
+  it('returns the oldest shares and never returns a share twice', () => {
+    const inventory = new ShareInventory()
+    const shares = ['1', '2', '3'].map(value => Gfp.fromUserInput(value))
+    inventory.add(shares.slice(0, 2))
+    inventory.add(shares.slice(2))
+
+    expect(inventory.take(2)).toEqual(shares.slice(0, 2))
+    expect(inventory.take(1)).toEqual(shares.slice(2))
+    expect(inventory.size()).toEqual(0)
+  })
+
+  it('throws if not enough shares are available', () => {
+    const inventory = new ShareInventory()
+    inventory.add([Gfp.fromUserInput('1')])
+
+    expect(() => inventory.take(2)).toThrowError(
+      'Need 2 share(s) but only 1 available.'
+    )
+    expect(inventory.size()).toEqual(1)
+  })
+
+  it('reports the inventory level on each change', () => {
+    const inventory = new ShareInventory()
+    const levels = []
+    inventory.levelStream.onValue(level => levels.push(level))
+
+    inventory.add([Gfp.fromUserInput('1'), Gfp.fromUserInput('2')])
+    inventory.take(1)
+    inventory.clear()
+
+    expect(levels).toEqual([
+      { available: 2, added: 2, used: 0, discarded: 0 },
+      { available: 1, added: 0, used: 1, discarded: 0 },
+      { available: 0, added: 0, used: 0, discarded: 1 }
+    ])
+  })
+})
@@ -0,0 +1,1079 @@
+/**
+ * A session with a set of SPDZ Proxies using web sockets.
+ * Each session owns its own message buses, streams and connection state so
+ * that several independent SPDZ computations can be run from one process.
+ */
+import Bacon from 'baconjs'
+
+import {
+  convertOutput,
+  convertUserInput,
+  extractValidateShares,
+  flattenResponseMessage,
+  outputMessageType,
+  setupSendInputShareStream,
+  streamWithTimeout,
+  zipAsArrayWithReset,
+  EVENT_TYPE,
+  CONNECTION_SUMMARY,
+  RECOVERY_STATUS,
+  SEQUENCE_GAP_POLICY
+} from './transform'
+import connectSetup from './connectSetup'
+import socketIoTransport from './socketIoTransport'
+import ShareInventory from './ShareInventory'
+import ProxyStatusMap from './ProxyStatusMap'
+import { OutboundQueue } from './OutboundQueue'
+import { hasDedicatedStream } from '../type_mapping/messageTypeRegistry'
+import verifyRequiredKeys from '../utility/verifyRequiredKeys'
+import toError from '../utility/toError'
+import { awaitStreamValues, streamToAsyncIterator } from './asyncIterators'
+import { toObservable } from './observable'
+import { ConsensusPolicy } from '../type_mapping/resultConsensus'
+import { OUTPUT_MODE } from '../type_mapping/outputMode'
+import { abortable } from '../utility/abortable'
+import AbortError from '../utility/AbortError'
+import logger from '../utility/logging'
+
+/**
+ * Default socket.io connection options, can be overridden by the user.
+ */
+const DEFAULT_CONNECT_OPTIONS = {
+  path: '/spdz/socket.io',
+  reconnection: true,
+  reconnectionAttempts: 12,
+  reconnectionDelay: 5000,
+  timeout: 2000,
+  autoConnect: true
+}
+
+/**
+ * Default session options, can be overridden by the user.
+ */
+const DEFAULT_SESSION_OPTIONS = {
+  consensusPolicy: ConsensusPolicy.Unanimous,
+  outputMode: OUTPUT_MODE.NUMBER,
+  connectionStatusEvents: false,
+  encryptInputs: false,
+  outboundQueue: false,
+  sendTimeoutMs: 30000,
+  shareWaitMs: 10000,
+  sequenceGapPolicy: SEQUENCE_GAP_POLICY.RESYNC,
+  spdzRecovery: false,
+  transport: socketIoTransport
+}
+
+/**
+ * Default policy for sends queued while not connected to the SPDZ engines.
+ */
+const DEFAULT_QUEUE_POLICY = {
+  expiryMs: 30000
+}
+
+/**
+ * Default policy to reconnect to the SPDZ engines after a proxy web socket reconnects.
+ */
+const DEFAULT_RECOVERY_POLICY = {
+  maxAttempts: 3,
+  retryDelayMs: 1000,
+  timeoutMs: 3100
+}
+
+/**
+ * @description Manage the web socket connections to a set of SPDZ Proxies and through them the SPDZ Engines.
+ * Each instance holds its own connection state, so multiple sessions can run side by side, for example
+ * where a server is driving several independent SPDZ computations.
+ *
+ * @param {Object[]} spdzProxyList - the list of SPDZ Proxies to connect to.
+ * @param {String} spdzProxyList.url - the URL of the proxy.
+ * @param {String} spdzProxyList.encryptionKey - the pregenerated encryption key between this client and this SPDZ engine.
+ *                 If undefined then assume SPDZ message not encrypted.
+ * @param {String} [spdzProxyList.nonceMode=NONCE_MODE.RANDOM] - how this SPDZ engine generates nonces. Encrypted messages
+ *                 with a nonce already received are rejected with a ReplayError on the spdzErrorStream.
+ * @param {Object} [webSocketConfig] - socket.io config setting to override the default web socket connection config.
+ * @param {Object} [sessionOptions] - options to control how the session manages SPDZ messages.
+ * @param {ConsensusPolicy} [sessionOptions.consensusPolicy=ConsensusPolicy.Unanimous] - how to manage clear results which differ between SPDZ Engines.
+ * @param {String|Object} [sessionOptions.outputMode=OUTPUT_MODE.NUMBER] - how to return integer and fixed point results,
+ *   either an OUTPUT_MODE for all message types or a map of MESSAGE_TYPE to OUTPUT_MODE.
+ * @param {Function} [sessionOptions.transport=socketIoTransport] - creates the connection to each proxy, see
+ *   socketIoTransport, webSocketTransport and inMemoryTransport.
+ * @param {boolean} [sessionOptions.encryptInputs=false] - if set, secret and clear inputs are encrypted for each
+ *   SPDZ engine with the proxy encryptionKey, so the proxies can not read or alter them. Requires every proxy
+ *   to have an encryptionKey.
+ * @param {String} [sessionOptions.sequenceGapPolicy=SEQUENCE_GAP_POLICY.RESYNC] - for proxies which number
+ *   SPDZ messages, what to do on a gap in the sequence. Gaps, duplicates and late messages are reported on the spdzErrorStream.
+ *   Proxies which do not number messages can not be checked, see SEQUENCE_GAP_POLICY.
+ * @param {boolean|Object} [sessionOptions.outboundQueue=false] - if set, secret and clear input sends made after connect
+ *                 while the session is not connected to all SPDZ proxies and engines are queued, then sent in order once
+ *                 they are connected. Pass true for the defaults or an object to override them.
+ * @param {Number} [sessionOptions.outboundQueue.expiryMs=30000] - time a send may wait in the queue, after which
+ *                 its promise rejects. Each entry state is reported on session.outboundQueue.stateStream, see QUEUE_STATE.
+ * @param {Object} [sessionOptions.outboundQueue.store=memoryQueueStore()] - where queued sends are saved. With a durable
+ *                 store such as webStorageQueueStore, sends still queued when the page or process exits are restored
+ *                 and sent by the next session created with the store.
+ * @param {Number} [sessionOptions.sendTimeoutMs=30000] - time to wait for every proxy to respond to a send of inputs,
+ *                 after which its promise rejects and any responses already received for it are discarded.
+ * @param {Number} [sessionOptions.shareWaitMs=10000] - time a secret input send waits for the SPDZ engines to send
+ *                 enough shares, after which its promise rejects.
+ * @param {TrafficRecorder} [sessionOptions.recorder] - if set, record the events sent to and received from each proxy,
+ *   including the raw SPDZ messages, to replay later with replayTransport.
+ * @param {boolean} [sessionOptions.connectionStatusEvents=false] - if set, the connectionStream also carries
+ *   CONNECTION_STATUS events each time the per proxy status changes, see connectionStatus.
+ * @param {boolean|Object} [sessionOptions.spdzRecovery=false] - if set, when a proxy web socket reconnects re-establish the SPDZ Engine connection with the same public key.
+ *                 Pass true for the defaults or an object to override them.
+ * @param {Number} [sessionOptions.spdzRecovery.maxAttempts=3] - number of SPDZ connection attempts before giving up.
+ * @param {Number} [sessionOptions.spdzRecovery.retryDelayMs=1000] - time to wait between attempts.
+ * @param {Number} [sessionOptions.spdzRecovery.timeoutMs=3100] - time to wait for each attempt to connect.
+ *
+ * Shares sent by the SPDZ Engines for secret inputs are kept in session.shareInventory until used, so that
+ * surplus shares can be used by later sends. session.shareInventory.levelStream reports each change as
+ * {available, added, used, discarded} and session.shareInventory.size() gives the current level.
+ *
+ * @example Run 2 sessions against different sets of proxies:
+ *
+ * const { SpdzSocketSession } = require('spdz-client-lib/dist/socket_api')
+ *
+ * const session = new SpdzSocketSession([{url: 'http://spdzproxy1'}, {url: 'http://spdzproxy2'}])
+ * session.connect()
+ * .then(([connectionStream, spdzResultStream, spdzErrorStream]) => {
+ *   spdzResultStream.onValue(valueList => console.log('SPDZ outputs message.', valueList))
+ *   return session.connectToSpdz()
+ * })
+ * .then(() => session.sendSecretInputs([1234, 555]))
+ * .catch(err => {
+ *   logger.warn(`SPDZ session failed. ${err.message}`)
+ * })
+ * @access public
+ */
+class SpdzSocketSession {
+  constructor(spdzProxyList, webSocketConfig = {}, sessionOptions = {}) {
+    this.spdzProxyList = spdzProxyList
+    this.connectOptions = Object.assign(
+      {},
+      DEFAULT_CONNECT_OPTIONS,
+      webSocketConfig
+    )
+    this.sessionOptions = Object.assign(
+      {},
+      DEFAULT_SESSION_OPTIONS,
+      sessionOptions
+    )
+    if (
+      this.sessionOptions.encryptInputs &&
+      !verifyRequiredKeys(spdzProxyList, 'encryptionKey')
+    ) {
+      throw new Error(
+        'Each spdzProxyList entry must contain keys: encryptionKey, to encrypt inputs.'
+      )
+    }
+    // Message bus to emit events to web sockets
+    this.webSocketBus = new Bacon.Bus()
+    // Message bus holds user input, processed and sent as share.
+    this.userInputBus = new Bacon.Bus()
+    // Side effect state to check if proxies connected, spdz connected.
+    this.connectedToProxies = false
+    this.connectedToSpdz = false
+    // Message bus for SPDZ recovery events, merged into the connectionStream.
+    this.recoveryBus = new Bacon.Bus()
+    // Message bus to discard unmatched proxy messages after a reconnect.
+    this.resyncBus = new Bacon.Bus()
+    // State to re-establish the SPDZ connection after a proxy reconnect.
+    this.spdzPublicKey = undefined
+    this.spdzConnectionWanted = false
+    this.recovering = false
+    // Identify each send, so that proxy responses are matched to the request.
+    this.nextRequestId = 1
+    // Message bus of request ids given up on, to discard their unmatched responses.
+    this.discardResponseBus = new Bacon.Bus()
+    // Validated shares waiting to be used by secret inputs, see levelStream for inventory events.
+    this.shareInventory = new ShareInventory()
+    // Per proxy connection status, see connectionStatus.
+    this.proxyStatus = new ProxyStatusMap(
+      spdzProxyList.map(proxy => proxy.url),
+      () => this.spdzConnectionWanted
+    )
+    this.streams = undefined
+    // Functions to close each proxy web socket and end its streams
+    this.closeSocketList = []
+    // Set once close is called, the session can not be reused.
+    this.closed = false
+    // Sends waiting for the SPDZ engines to connect, if the outboundQueue option is set.
+    this.outboundQueue = undefined
+    if (this.sessionOptions.outboundQueue) {
+      const queuePolicy = Object.assign(
+        {},
+        DEFAULT_QUEUE_POLICY,
+        this.sessionOptions.outboundQueue === true
+          ? {}
+          : this.sessionOptions.outboundQueue
+      )
+      this.outboundQueue = new OutboundQueue(
+        queuePolicy.expiryMs,
+        queuePolicy.store
+      )
+      // Sends saved by an earlier session, e.g. before a page reload.
+      this.outboundQueue.restore(
+        () => this.nextRequestId++,
+        (record, requestId) => this.pushRecord(record, requestId)
+      )
+    }
+    // Results tagged with message type, {messageType, values}
+    this.typedResultStream = undefined
+  }
+
+  /**
+   * Open the web sockets to all SPDZ proxies and wire up the rx streams.
+   * Only runs once per session, subsequent calls return the same streams.
+   *
+   * Returns 4 rx streams:
+   *  connectionStream: an event which indicates the proxy or spdz connection status.
+   *   Each stream value contains an object with:
+   *     { eventType: PROXY_CONNECT | SPDZ_CONNECT, status: true (==connected) or
+   *       false, msg: full status message }
+   *   If spdzRecovery is set also contains SPDZ_RECOVERY events:
+   *     { eventType: SPDZ_RECOVERY, status: RECOVERY_STATUS, attempt, msg }
+   *   If connectionStatusEvents is set also contains CONNECTION_STATUS events:
+   *     { eventType: CONNECTION_STATUS, status: true if all up, summary, upCount, total, msg, proxies }
+   *
+   *  clientResponseStream: the responses from client initiated actions, e.g.
+   *   send input. Will wait for matched responses from all SPDZ engines.
+   *   Each stream value contains an array of:
+   *     { eventType: SEND_INPUT,
+   *       status: true (send worked) or false,
+   *       msg: full status msg }
+   *
+   *  spdzResultStream: the results returned by SPDZ where
+   *   each stream value contains an Array<Integers>.
+   *
+   *  spdzErrorStream: errors as a result of SPDZ initiated messages, not
+   *   directly related to a client initiated action.
+   *
+   * @returns {EventStream[]} [connectionStream, clientResponseStream, spdzResultStream, spdzErrorStream]
+   */
+  setupStreams() {
+    if (this.closed) {
+      throw new Error('The session is closed, create a new session to connect.')
+    }
+    if (this.streams !== undefined) {
+      return this.streams
+    }
+
+    let proxyConnectionStreamList = []
+    let spdzConnectionStreamList = []
+    let otherResponseStreamList = []
+    let sharesStreamList = []
+    let outputsStreamList = []
+
+    for (const proxy of this.spdzProxyList) {
+      const [
+        proxyConnectionStream,
+        spdzConnectionStream,
+        otherResponseStream,
+        sharesStream,
+        outputsStream,
+        closeSocket
+      ] = connectSetup(
+        this.connectOptions,
+        proxy.url,
+        proxy.encryptionKey,
+        this.webSocketBus,
+        {
+          createTransport: this.sessionOptions.transport,
+          encryptInputs: this.sessionOptions.encryptInputs,
+          sequenceGapPolicy: this.sessionOptions.sequenceGapPolicy,
+          nonceMode: proxy.nonceMode,
+          recorder: this.sessionOptions.recorder
+        }
+      )
+      proxyConnectionStreamList.push(proxyConnectionStream)
+      spdzConnectionStreamList.push(spdzConnectionStream)
+      otherResponseStreamList.push(otherResponseStream)
+      sharesStreamList.push(sharesStream)
+      outputsStreamList.push(outputsStream)
+      this.closeSocketList.push(closeSocket)
+    }
+
+    // Track each proxy before the events are combined.
+    Bacon.mergeAll(
+      proxyConnectionStreamList.concat(spdzConnectionStreamList)
+    ).onValue(event => this.proxyStatus.update(event))
+
+    // Combine connection events so that:
+    // 1. wait until all proxies have replied with at least one event
+    // 2. each time a proxy sends a connect/disconnect get a combined event of all latest proxy events.
+    const connectionStream = Bacon.mergeAll(
+      Bacon.combineAsArray(proxyConnectionStreamList),
+      Bacon.combineAsArray(spdzConnectionStreamList)
+    )
+      .flatMap(value => {
+        return flattenResponseMessage(value)
+      })
+      .merge(this.recoveryBus)
+      .merge(
+        this.sessionOptions.connectionStatusEvents
+          ? this.proxyStatus.statusStream.map(snapshot =>
+              Object.assign(
+                {
+                  eventType: EVENT_TYPE.CONNECTION_STATUS,
+                  status: snapshot.summary === CONNECTION_SUMMARY.ALL_UP
+                },
+                snapshot
+              )
+            )
+          : Bacon.never()
+      )
+
+    // keep latest connection status as state
+    connectionStream.onValue(response => {
+      if (response.eventType === EVENT_TYPE.PROXY_CONNECT) {
+        const reconnected = response.status && !this.connectedToProxies
+        this.connectedToProxies = response.status
+        if (reconnected && this.shouldRecoverSpdz()) {
+          // Run after this event has been delivered to all subscribers.
+          setTimeout(() => this.recoverSpdzConnection(), 0)
+        }
+      } else if (response.eventType === EVENT_TYPE.SPDZ_CONNECT) {
+        this.connectedToSpdz = response.status
+        if (response.status) {
+          this.spdzConnectionWanted = true
+        }
+      }
+      if (this.canSend() && this.outboundQueue !== undefined) {
+        this.outboundQueue.flush()
+      }
+    })
+
+    // Combine each proxies rx stream with zip (meaning waits until all proxies send message to get matched responses).
+    // Note errors are not combined, so each proxy error will be sent separately.
+    // Unmatched messages are discarded when recovering from a proxy reconnect.
+    // Send responses are matched by request id, where the proxy returns it.
+    // SPDZ messages are matched by sequence number, where the proxy sends it. A proxy whose engine
+    // reconnects starts a new sequence, so its unmatched SPDZ messages are discarded.
+    const combinedOtherResponseStream = zipAsArrayWithReset(
+      otherResponseStreamList,
+      this.resyncBus,
+      response => response.requestId,
+      { discardKeyStream: this.discardResponseBus }
+    )
+    const bySequence = message => message.sequence
+    const bySpdzReconnect = {
+      resetStreamList: spdzConnectionStreamList.map(stream =>
+        stream.filter(response => response.status)
+      )
+    }
+    const combinedSharesStream = zipAsArrayWithReset(
+      sharesStreamList,
+      this.resyncBus,
+      bySequence,
+      bySpdzReconnect
+    )
+    const combinedOutputsStream = zipAsArrayWithReset(
+      outputsStreamList,
+      this.resyncBus,
+      bySequence,
+      bySpdzReconnect
+    )
+
+    // Convert arrays of binary buffers into array of Gfp shares
+    const extractedSharesStream = combinedSharesStream
+      .map(shareList => shareList.map(share => share.data))
+      .flatMap(extractValidateShares)
+
+    // Convert arrays of binary buffers into array of numbers, keeping the message type.
+    const typedResultStream = combinedOutputsStream.flatMap(dataList => {
+      const result = convertOutput(
+        dataList,
+        this.sessionOptions.consensusPolicy,
+        this.sessionOptions.outputMode
+      )
+      return result instanceof Bacon.Error
+        ? result
+        : { messageType: outputMessageType(dataList), values: result }
+    })
+    // Message types registered with a dedicated stream are only sent on resultStreamFor.
+    const spdzResultStream = typedResultStream
+      .filter(typedResult => !hasDedicatedStream(typedResult.messageType))
+      .map(typedResult => typedResult.values)
+
+    // Capture errors which are not directly related to a client send, to allow client to report / act on them.
+    const spdzErrorStream = Bacon.mergeAll(
+      extractedSharesStream.errors(),
+      spdzResultStream.errors()
+    )
+
+    // Configure streams to send input combined with shares to websocket
+    const sendValueStream = setupSendInputShareStream(
+      this.userInputBus,
+      extractedSharesStream,
+      this.webSocketBus,
+      this.shareInventory,
+      this.sessionOptions.shareWaitMs
+    )
+    // Shares received before a reconnect are not used after it.
+    this.resyncBus.onValue(() => this.shareInventory.clear())
+
+    // Extract out errors and convert into responses to be used by caller to
+    // identify when send didn't work.
+    const sendValueStreamErrors = sendValueStream.errors().flatMapError(v => {
+      return v.requestId === undefined
+        ? [{ eventType: EVENT_TYPE.SEND_INPUT, status: false, msg: v }]
+        : [
+            {
+              eventType: EVENT_TYPE.SEND_INPUT,
+              status: false,
+              msg: v.msg,
+              requestId: v.requestId
+            }
+          ]
+    })
+
+    // Responses to client initiated actions
+    const clientResponseStream = Bacon.mergeAll(
+      combinedOtherResponseStream,
+      sendValueStreamErrors
+    ).flatMap(value => {
+      return flattenResponseMessage(value)
+    })
+
+    this.typedResultStream = typedResultStream
+    this.streams = [
+      connectionStream,
+      clientResponseStream,
+      spdzResultStream,
+      spdzErrorStream
+    ]
+    return this.streams
+  }
+
+  /**
+   * Check streams are setup before consuming them.
+   * @returns {EventStream[]} session streams, see setupStreams.
+   */
+  connectedStreams() {
+    if (this.streams === undefined) {
+      throw new Error('Not connected to SPDZ Proxies, unable to run request.')
+    }
+    return this.streams
+  }
+
+  /**
+   * Results of a single message type, for example a custom type registered with a dedicated stream,
+   * see registerMessageType. Errors are sent on spdzErrorStream rather than this stream.
+   *
+   * @param {Number} messageType - MESSAGE_TYPE or custom message type number.
+   * @returns {EventStream} each value is the decoded values of a SPDZ message of this type.
+   */
+  resultStreamFor(messageType) {
+    this.connectedStreams()
+    return this.typedResultStream
+      .skipErrors()
+      .filter(typedResult => typedResult.messageType === messageType)
+      .map(typedResult => typedResult.values)
+  }
+
+  /**
+   * Async iterator over the SPDZ results, for use with for await. Each value is an Array of results
+   * as given by spdzResultStream. An error converting a result rejects and ends the iteration.
+   * Results are buffered from the time the iterator is created.
+   *
+   * @returns {Object} async iterator.
+   */
+  resultIterator() {
+    return streamToAsyncIterator(this.connectedStreams()[2])
+  }
+
+  /**
+   * Async iterator over the combined connection events, see connectionStream.
+   *
+   * @returns {Object} async iterator.
+   */
+  connectionEventIterator() {
+    return streamToAsyncIterator(this.connectedStreams()[0])
+  }
+
+  /**
+   * Async iterator over the errors sent on spdzErrorStream, each value is the error message.
+   *
+   * @returns {Object} async iterator.
+   */
+  errorIterator() {
+    return streamToAsyncIterator(this.connectedStreams()[3], true)
+  }
+
+  /**
+   * Wait for the next SPDZ results. Call before or immediately after sending the inputs which
+   * trigger the results, as results which arrive before the call are not seen.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.count=1] - number of results to wait for.
+   * @param {Number} [options.messageType] - only count results of this MESSAGE_TYPE, default any type.
+   * @param {Number} [options.timeoutMs] - maximum time in millisecs to wait, default no limit.
+   * @param {AbortSignal} [options.signal] - to cancel waiting, rejects with an AbortError.
+   * @returns {Promise} resolves to an Array of count results, each an Array of values. Rejects on a result error or timeout.
+   */
+  awaitResults({ count = 1, messageType, timeoutMs, signal } = {}) {
+    try {
+      this.connectedStreams()
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    return awaitStreamValues(
+      this.typedResultStream,
+      count,
+      typedResult =>
+        messageType === undefined || typedResult.messageType === messageType,
+      timeoutMs,
+      signal
+    )
+      .then(typedResults => typedResults.map(typedResult => typedResult.values))
+      .catch(err => {
+        throw err instanceof AbortError
+          ? err
+          : new Error(`Unable to receive SPDZ results. ${err.message}`)
+      })
+  }
+
+  /**
+   * The session streams as standard Observables, see toObservable. Errors sent on spdzErrorStream
+   * are delivered as values (Error objects), so that one SPDZ error does not end the subscription.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.closeOnUnsubscribe=false] - if true close the proxy web sockets once
+   *                  all subscriptions to the returned observables have ended.
+   * @returns {Object} {connectionStream, clientResponseStream, spdzResultStream, spdzErrorStream} as Observables.
+   */
+  observables({ closeOnUnsubscribe = false } = {}) {
+    const [
+      connectionStream,
+      clientResponseStream,
+      spdzResultStream,
+      spdzErrorStream
+    ] = this.connectedStreams()
+
+    let activeCount = 0
+    const hooks = {
+      start: () => {
+        activeCount++
+      },
+      teardown: () => {
+        activeCount--
+        if (closeOnUnsubscribe && activeCount === 0) {
+          this.closeProxySockets()
+        }
+      }
+    }
+
+    return {
+      connectionStream: toObservable(connectionStream, hooks),
+      clientResponseStream: toObservable(clientResponseStream, hooks),
+      spdzResultStream: toObservable(spdzResultStream, hooks),
+      spdzErrorStream: toObservable(spdzErrorStream.mapError(toError), hooks)
+    }
+  }
+
+  /**
+   * The live connection status of each SPDZ proxy, with a summary of how many are up. A proxy is up
+   * when its web socket is connected and, once a SPDZ connection is expected, it is connected to its SPDZ engine.
+   * Changes are emitted on proxyStatus.statusStream, or on the connectionStream with the connectionStatusEvents option.
+   *
+   * @returns {Object} {summary: CONNECTION_SUMMARY, upCount, total, msg: e.g. 'degraded (1 of 2)',
+   *                    proxies: {url: {proxyConnected, spdzConnected, lastError, lastChange, reconnectAttempt}}}
+   */
+  connectionStatus() {
+    return this.proxyStatus.snapshot()
+  }
+
+  /**
+   * Close the web sockets to all SPDZ proxies in this session.
+   */
+  closeProxySockets() {
+    this.closeSocketList.forEach(closeSocket => closeSocket())
+  }
+
+  /**
+   * Close the session. Closes the web sockets to all SPDZ proxies, ends all session streams and
+   * releases their listeners, so that nothing is kept alive once the caller drops the session.
+   * Subscribers see the proxy disconnect events and then the end of each stream.
+   * The session can not be connected again, create a new session instead.
+   */
+  close() {
+    if (this.closed) {
+      return
+    }
+    this.closed = true
+    this.spdzConnectionWanted = false
+    this.closeProxySockets()
+    this.connectedToProxies = false
+    this.connectedToSpdz = false
+    this.shareInventory.clear()
+    if (this.outboundQueue !== undefined) {
+      this.outboundQueue.cancelAll('Inputs not sent, the session is closed.')
+      this.outboundQueue.stateBus.end()
+    }
+
+    const busList = [
+      this.webSocketBus,
+      this.userInputBus,
+      this.recoveryBus,
+      this.resyncBus,
+      this.shareInventory.levelBus,
+      this.proxyStatus.statusBus
+    ]
+    busList.forEach(bus => bus.end())
+  }
+
+  /**
+   * Recover only if enabled, the client has connected to SPDZ and not asked to disconnect.
+   * @returns {boolean} true if should reconnect to SPDZ after a proxy reconnect.
+   */
+  shouldRecoverSpdz() {
+    return (
+      !this.closed &&
+      !!this.sessionOptions.spdzRecovery &&
+      this.spdzConnectionWanted &&
+      !this.recovering
+    )
+  }
+
+  /**
+   * Re-issue the SPDZ connection request with the same public key, retrying according to the
+   * spdzRecovery policy. Reports progress as SPDZ_RECOVERY events on the connectionStream.
+   * @param {Number} [attempt=1] attempt number.
+   */
+  recoverSpdzConnection(attempt = 1) {
+    const policy = Object.assign(
+      {},
+      DEFAULT_RECOVERY_POLICY,
+      this.sessionOptions.spdzRecovery === true
+        ? {}
+        : this.sessionOptions.spdzRecovery
+    )
+    this.recovering = true
+    this.connectedToSpdz = false
+    this.resyncBus.push(attempt)
+    this.recoveryBus.push({
+      eventType: EVENT_TYPE.SPDZ_RECOVERY,
+      status: RECOVERY_STATUS.RECOVERING,
+      attempt: attempt,
+      msg: `Reconnecting to SPDZ engines, attempt ${attempt} of ${policy.maxAttempts}.`
+    })
+
+    this.connectToSpdz(this.spdzPublicKey, policy.timeoutMs)
+      .then(() => {
+        this.recovering = false
+        this.recoveryBus.push({
+          eventType: EVENT_TYPE.SPDZ_RECOVERY,
+          status: RECOVERY_STATUS.RECOVERED,
+          attempt: attempt,
+          msg: 'Reconnected to SPDZ engines.'
+        })
+      })
+      .catch(err => {
+        if (attempt < policy.maxAttempts && this.spdzConnectionWanted) {
+          setTimeout(
+            () => this.recoverSpdzConnection(attempt + 1),
+            policy.retryDelayMs
+          )
+        } else {
+          this.recovering = false
+          this.recoveryBus.push({
+            eventType: EVENT_TYPE.SPDZ_RECOVERY,
+            status: RECOVERY_STATUS.GAVE_UP,
+            attempt: attempt,
+            msg: `Unable to reconnect to SPDZ engines. ${err.message}`
+          })
+        }
+      })
+  }
+
+  /**
+   * Request a connection to all SPDZ engines.
+   * @param {String} [publicKey] 256 bit public key as 64 byte hex string, optional if passed then encrypt comms.
+   */
+  requestSpdzConnection(publicKey = '') {
+    if (this.connectedToProxies) {
+      this.spdzPublicKey = publicKey
+      this.webSocketBus.push({
+        eventType: 'connectToSpdz',
+        publicKey: publicKey
+      })
+    } else {
+      throw new Error(
+        'Cannot run SPDZ connection if not connected to all SPDZ Proxies.'
+      )
+    }
+  }
+
+  /**
+   * Disconnect client from SPDZ engines.
+   */
+  requestSpdzDisconnection() {
+    this.spdzConnectionWanted = false
+    if (this.connectedToSpdz) {
+      this.webSocketBus.push({
+        eventType: 'disconnectFromSpdz'
+      })
+    } else {
+      throw new Error('Not connected to all SPDZ Engines.')
+    }
+  }
+
+  /**
+   * @returns {boolean} true if connected to all SPDZ proxies and engines, so inputs can be sent.
+   */
+  canSend() {
+    return this.connectedToProxies && this.connectedToSpdz
+  }
+
+  /**
+   * Send input to SPDZ. List supports integers and float point numbers (converted to fixed).
+   * Plain number lists must contain only 1 type, use input descriptors to mix types.
+   * @param {Array<Number|Object>} inputList numbers or {type: 'sint'|'sfix', value} to send to SPDZ.
+   * @param {Number} [requestId] identifies the request in the send responses.
+   */
+  pushSecretInputs(inputList, requestId = undefined) {
+    if (this.canSend()) {
+      this.userInputBus.push({
+        requestId: requestId,
+        inputList: convertUserInput(inputList)
+      })
+    } else {
+      throw new Error('Not connected to all SPDZ Proxies/Engines.')
+    }
+  }
+
+  /**
+   * Send clear (non secret) integers to SPDZ.
+   * @param {Array<Number|Object>} inputList Integers or input descriptors to send to SPDZ in clear.
+   * @param {String} spdzType int32 (default) or modp.
+   * @param {Number} [requestId] identifies the request in the send responses.
+   */
+  pushClearInputs(inputList, spdzType = 'int32', requestId = undefined) {
+    if (this.canSend()) {
+      this.webSocketBus.push({
+        eventType: 'sendData',
+        dataType: spdzType,
+        dataArray: convertUserInput(inputList, spdzType),
+        requestId: requestId
+      })
+    } else {
+      throw new Error('Not connected to all SPDZ Proxies/Engines.')
+    }
+  }
+
+  /**
+   * Connect to the web socket servers run by the SPDZ Proxies in this session.
+   * See connectToSpdzProxyPromise.
+   *
+   * @param {Number} [timeoutMs=2100] - maximum time in millisecs to wait for a connection to all proxies.
+   * @param {AbortSignal} [signal] - to cancel the request, rejects with an AbortError.
+   * @returns {Promise} resolves to [connectionStream, spdzResultStream, spdzErrorStream]
+   */
+  connect(timeoutMs = 2100, signal = undefined) {
+    return abortable(signal, 'Connect to SPDZ proxies', (resolve, reject) => {
+      const [
+        connectionStream,
+        ,
+        spdzResultStream,
+        spdzErrorStream
+      ] = this.setupStreams()
+
+      const unsubscribeResponses = streamWithTimeout(
+        connectionStream,
+        timeoutMs
+      ).onValue(value => {
+        if (value.eventType === EVENT_TYPE.PROXY_CONNECT && value.status) {
+          logger.debug('Got proxy connect with true status')
+          resolve([connectionStream, spdzResultStream, spdzErrorStream])
+          unsubscribeResponses()
+        } else if (value.eventType === EVENT_TYPE.TIMEOUT) {
+          logger.debug('Got timeout whilst waiting for proxy connect.')
+          reject(new Error('Unable to connect to SPDZ proxies.'))
+          unsubscribeResponses()
+        } else {
+          logger.debug(
+            `Connect to SPDZ proxies got connection event, while waiting. ${JSON.stringify(
+              value.msg
+            )}.`
+          )
+        }
+      })
+
+      return unsubscribeResponses
+    })
+  }
+
+  /**
+   * Establish the connection between the SPDZ Proxies and the SPDZ Engines.
+   * See connectToSpdzPartyPromise.
+   *
+   * @param {String} [clientPublicKey=undefined] - the client public key, required if the SPDZ MPC program is using encryption.
+   * @param {Number} [timeoutMs=3100] - maximum time in millisecs to wait for all SPDZ engines to establish connections.
+   * @param {AbortSignal} [signal] - to cancel the request, rejects with an AbortError.
+   * @returns {Promise} which resolves with no params on success.
+   */
+  connectToSpdz(
+    clientPublicKey = undefined,
+    timeoutMs = 3100,
+    signal = undefined
+  ) {
+    return abortable(signal, 'Connect to SPDZ engines', (resolve, reject) => {
+      if (this.streams === undefined) {
+        return reject(
+          new Error('Not connected to SPDZ Proxies, unable to run request.')
+        )
+      }
+      const connectionStream = this.streams[0]
+
+      const unsubscribeResponses = streamWithTimeout(
+        connectionStream,
+        timeoutMs
+      ).onValue(value => {
+        if (value.eventType === EVENT_TYPE.SPDZ_CONNECT && value.status) {
+          logger.debug('Got spdz connect with true status')
+          resolve()
+          unsubscribeResponses()
+        } else if (value.eventType === EVENT_TYPE.TIMEOUT) {
+          logger.debug('Got timeout whilst waiting for spdz connect.')
+          reject(new Error('Unable to connect to SPDZ engines.'))
+          unsubscribeResponses()
+        } else {
+          logger.debug(
+            `Connect to SPDZ engines got connection event, while waiting. ${JSON.stringify(
+              value.msg
+            )}.`
+          )
+        }
+      })
+
+      try {
+        this.requestSpdzConnection(clientPublicKey)
+        //Resolve/reject dependant on subscription to connectedStatusStream
+      } catch (err) {
+        reject(err)
+      }
+
+      return unsubscribeResponses
+    })
+  }
+
+  /**
+   * Push the inputs of a queue record, see OutboundQueue.
+   * @param {Object} record {kind: 'secret'|'clear', inputList, spdzType}
+   * @param {Number} [requestId] identifies the request in the send responses.
+   */
+  pushRecord(record, requestId = undefined) {
+    record.kind === 'clear'
+      ? this.pushClearInputs(record.inputList, record.spdzType, requestId)
+      : this.pushSecretInputs(record.inputList, requestId)
+  }
+
+  /**
+   * Push inputs without waiting for the responses, which arrive on the clientResponseStream.
+   * If the outboundQueue option is set, the session has connected and it is not connected to all
+   * SPDZ proxies and engines, the inputs are queued instead of throwing. A queued push which expires
+   * or is cancelled is reported on outboundQueue.stateStream.
+   *
+   * @param {Function} pushFunction to do the sending, accepts inputList and requestId as parameters.
+   * @param {Array} inputList, containing array of numbers to send to SPDZ
+   * @param {Object} [record] {kind, inputList, spdzType} saved in the queue store, see OutboundQueue.
+   */
+  pushOrQueueInputs(pushFunction, inputList, record = undefined) {
+    if (
+      this.outboundQueue === undefined ||
+      this.streams === undefined ||
+      this.canSend()
+    ) {
+      pushFunction(inputList, undefined)
+      return
+    }
+    const requestId = this.nextRequestId++
+    this.outboundQueue.add(
+      requestId,
+      inputList.length,
+      () => pushFunction(inputList, requestId),
+      err => logger.debug(`Queued inputs not sent. ${err.message}`),
+      record
+    )
+  }
+
+  /**
+   * Common code for sending inputs. Each send is given a request id, so that the promise settles
+   * on the responses to this request, even with several sends in flight. Proxies which do not
+   * return the request id have their responses matched in order. If not every proxy has responded
+   * within the sendTimeoutMs session option of the send going out, the promise rejects.
+   *
+   * @param {Function} sendFunction to do the sending, accepts inputList and requestId as parameters.
+   * @param {Array} inputList, containing array of numbers to send to SPDZ
+   * @param {AbortSignal} [signal] to stop waiting for the send responses, rejects with an AbortError.
+   * @param {Object} [record] {kind, inputList, spdzType} saved in the queue store, see OutboundQueue.
+   * @returns resolves with no param when successful.
+   */
+  sendInputs(sendFunction, inputList, signal = undefined, record = undefined) {
+    return abortable(signal, 'Send inputs to SPDZ', (resolve, reject) => {
+      if (this.streams === undefined) {
+        return reject(
+          new Error('Not connected to SPDZ Proxies, unable to run request.')
+        )
+      }
+      const clientResponsesStream = this.streams[1]
+      const requestId = this.nextRequestId++
+      let timer = undefined
+
+      // Need to subscribe before sending input or will miss synchronous error messages.
+      const unsubscribeStream = clientResponsesStream.onValue(value => {
+        if (value.requestId !== undefined && value.requestId !== requestId) {
+          return
+        }
+        if (value.eventType === EVENT_TYPE.SEND_INPUT) {
+          if (value.status) {
+            resolve()
+            unsubscribeResponses()
+          } else {
+            reject(
+              new Error(`Unable to send inputs. ${JSON.stringify(value.msg)}.`)
+            )
+            unsubscribeResponses()
+          }
+        } else if (value.eventType === EVENT_TYPE.ERROR) {
+          reject(
+            new Error(`Unable to send inputs. ${JSON.stringify(value.msg)}.`)
+          )
+          unsubscribeResponses()
+        }
+      })
+      const unsubscribeResponses = () => {
+        clearTimeout(timer)
+        unsubscribeStream()
+      }
+
+      // Give up on the responses if a proxy never sends one.
+      const sendAndWait = () => {
+        const timeoutMs = this.sessionOptions.sendTimeoutMs
+        timer = setTimeout(() => {
+          unsubscribeResponses()
+          this.discardResponseBus.push(requestId)
+          reject(
+            new Error(
+              `Unable to send inputs. Not all SPDZ proxies responded within ${timeoutMs} ms.`
+            )
+          )
+        }, timeoutMs)
+        sendFunction(inputList, requestId)
+      }
+
+      try {
+        if (this.outboundQueue !== undefined && !this.canSend()) {
+          this.outboundQueue.add(
+            requestId,
+            inputList.length,
+            sendAndWait,
+            err => {
+              unsubscribeResponses()
+              reject(err)
+            },
+            record
+          )
+        } else {
+          sendAndWait()
+        }
+        //Resolve/reject dependant on subscription to responsesFromSPDZStream
+      } catch (err) {
+        unsubscribeResponses()
+        reject(err)
+      }
+
+      return () => {
+        unsubscribeResponses()
+        this.discardResponseBus.push(requestId)
+        if (this.outboundQueue !== undefined) {
+          this.outboundQueue.cancel(requestId, 'Inputs not sent, aborted.')
+        }
+      }
+    })
+  }
+
+  /**
+   * Send inputs to the SPDZ Engines in secret shared form. See sendSecretInputsPromise.
+   *
+   * @param {Array<Number|Object>} inputList - all integers, all fixed point numbers or input descriptors.
+   * @param {AbortSignal} [signal] - to cancel the request, rejects with an AbortError.
+   * @returns {Promise} which resolves with no params.
+   */
+  sendSecretInputs(inputList, signal = undefined) {
+    return this.sendInputs(
+      (inputs, requestId) => this.pushSecretInputs(inputs, requestId),
+      inputList,
+      signal,
+      { kind: 'secret', inputList: inputList }
+    )
+  }
+
+  /**
+   * Send inputs to the SPDZ Engines in the clear. See sendClearInputsPromise.
+   *
+   * @param {Array<Number|Object>} inputList - all integers, all fixed point numbers or input descriptors.
+   * @param {String} [spdzType=int32] - either 'int32' (SPDZ regint) or 'modp' (SPDZ cint or cfix).
+   * @param {AbortSignal} [signal] - to cancel the request, rejects with an AbortError.
+   * @returns {Promise} which resolves with no params.
+   */
+  sendClearInputs(inputList, spdzType = 'int32', signal = undefined) {
+    return this.sendInputs(
+      (inputs, requestId) => this.pushClearInputs(inputs, spdzType, requestId),
+      inputList,
+      signal,
+      { kind: 'clear', inputList: inputList, spdzType: spdzType }
+    )
+  }
+
+  /**
+   * Disconnect from the SPDZ Engines. See disconnectFromSpdzPartyPromise.
+   *
+   * @param {Number} [timeoutMs=2100] - maximum time in millisecs to wait for a disconnection from all proxies.
+   * @param {AbortSignal} [signal] - to cancel the request, rejects with an AbortError.
+   * @returns {Promise} which resolves with no params or rejects if unable to disconnect.
+   */
+  disconnect(timeoutMs = 2100, signal = undefined) {
+    return abortable(signal, 'Disconnect from SPDZ', (resolve, reject) => {
+      if (this.streams === undefined) {
+        return reject(
+          new Error('Not connected to SPDZ Proxies, unable to run request.')
+        )
+      }
+      const connectionStream = this.streams[0]
+
+      const unsubscribeResponses = streamWithTimeout(
+        connectionStream,
+        timeoutMs
+      ).onValue(value => {
+        if (value.eventType === EVENT_TYPE.SPDZ_CONNECT && !value.status) {
+          logger.debug('Got spdz connect with false status')
+          resolve()
+          unsubscribeResponses()
+        } else if (value.eventType === EVENT_TYPE.TIMEOUT) {
+          logger.debug('Got timeout whilst waiting for spdz disconnect.')
+          reject(new Error('Unable to disconnect from SPDZ engines.'))
+          unsubscribeResponses()
+        } else {
+          logger.debug(
+            `Disconnect from SPDZ engines got connection event, while waiting. ${JSON.stringify(
+              value.msg
+            )}.`
+          )
+        }
+      })
+
+      try {
+        this.requestSpdzDisconnection()
+        //Resolve/reject dependant on subscription to responsesFromSPDZStream
+      } catch (err) {
+        unsubscribeResponses()
+        reject(err)
+      }
+
+      return unsubscribeResponses
+    })
+  }
+}
+
+export default SpdzSocketSession
@@ -0,0 +1,502 @@
+import { Server, SocketIO } from 'mock-socket'
+import SpdzSocketSession from './SpdzSocketSession'
+import { CONNECTION_SUMMARY, EVENT_TYPE, RECOVERY_STATUS } from './transform'
+import AbortError from '../utility/AbortError'
+import mockAbortController from '../utility/test_support/MockAbortController'
+import { inMemoryTransport } from './inMemoryTransport'
+import { createEncryptionKey, decrypt } from '../crypto'
+import { NONCE_MODE } from '../crypto/NonceTracker'
+import { inputsToBinary } from '../type_mapping/arrayToBinary'
+import { Buffer } from 'buffer/'
+import sodium from 'libsodium-wrappers'
+import logger from '../utility/logging'
+logger.level = 'info'
+
+// Mock socket io client and replace with mock socket - to connect to mock server
+jest.mock('socket.io-client')
+import Io from 'socket.io-client'
+
+beforeAll(() => {
+  Io.mockImplementation((url, connectOptions) => SocketIO(url, connectOptions))
+})
+
+afterAll(() => {
+  Io.mockClear()
+})
+
+describe('Manage order of connecting to SPDZ within a session', () => {
+  it('cannot connect to SPDZ before establishing web socket connection', done => {
+    const session = new SpdzSocketSession([{ url: 'http://localhost:8391' }])
+
+    session
+      .connectToSpdz()
+      .then(() => {
+        done.fail('Expected connectToSpdz to reject.')
+      })
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Not connected to SPDZ Proxies, unable to run request.'
+        )
+        done()
+      })
+  })
+
+  it('cannot send input before establishing web socket connection', () => {
+    const session = new SpdzSocketSession([{ url: 'http://localhost:8391' }])
+    const testThrows = () => session.pushSecretInputs([123])
+
+    expect(testThrows).toThrowError(
+      'Not connected to all SPDZ Proxies/Engines.'
+    )
+  })
+})
+
+describe('Run independent sessions against different mock proxies', () => {
+  let mockProxy1, mockProxy2, mockProxy3, mockProxy4
+  const webSocketConfig = { path: '/socket.io', reconnection: false }
+
+  beforeEach(() => {
+    mockProxy1 = new Server('http://localhost:8489/spdzapi')
+    mockProxy2 = new Server('http://localhost:8490/spdzapi')
+    mockProxy3 = new Server('http://localhost:8491/spdzapi')
+    mockProxy4 = new Server('http://localhost:8492/spdzapi')
+  })
+
+  afterEach(() => {
+    mockProxy1.stop()
+    mockProxy2.stop()
+    mockProxy3.stop()
+    mockProxy4.stop()
+  })
+
+  it('keeps the connection state separate for each session', done => {
+    const sessionA = new SpdzSocketSession(
+      [{ url: 'http://localhost:8489' }, { url: 'http://localhost:8490' }],
+      webSocketConfig
+    )
+    const sessionB = new SpdzSocketSession(
+      [{ url: 'http://localhost:8491' }, { url: 'http://localhost:8492' }],
+      webSocketConfig
+    )
+
+    let connectCountB = 0
+    mockProxy1.on('connectToSpdz', () => {
+      mockProxy1.emit('connectToSpdz_result', { status: 0 })
+    })
+    mockProxy2.on('connectToSpdz', () => {
+      mockProxy2.emit('connectToSpdz_result', { status: 0 })
+    })
+    mockProxy3.on('connectToSpdz', () => connectCountB++)
+    mockProxy4.on('connectToSpdz', () => connectCountB++)
+
+    Promise.all([sessionA.connect(), sessionB.connect()])
+      .then(([streamsA]) => {
+        expect(streamsA.length).toEqual(3)
+        expect(sessionA.connectedToProxies).toBeTruthy()
+        expect(sessionB.connectedToProxies).toBeTruthy()
+        return sessionA.connectToSpdz()
+      })
+      .then(() => {
+        expect(sessionA.connectedToSpdz).toBeTruthy()
+        expect(sessionB.connectedToSpdz).toBeFalsy()
+        expect(connectCountB).toEqual(0)
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('closes the proxy sockets when all observable subscriptions end', done => {
+    const session = new SpdzSocketSession(
+      [{ url: 'http://localhost:8489' }, { url: 'http://localhost:8490' }],
+      webSocketConfig
+    )
+
+    let disconnectCount = 0
+    mockProxy1.on('disconnect', () => disconnectCount++)
+    mockProxy2.on('disconnect', () => disconnectCount++)
+
+    session
+      .connect()
+      .then(() => {
+        const observables = session.observables({ closeOnUnsubscribe: true })
+        const resultSubscription = observables.spdzResultStream.subscribe(
+          () => {}
+        )
+        const errorSubscription = observables.spdzErrorStream.subscribe(
+          () => {}
+        )
+
+        resultSubscription.unsubscribe()
+        expect(disconnectCount).toEqual(0)
+        errorSubscription.unsubscribe()
+        expect(disconnectCount).toEqual(2)
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('rejects with an AbortError when waiting for results is aborted', done => {
+    const session = new SpdzSocketSession(
+      [{ url: 'http://localhost:8489' }, { url: 'http://localhost:8490' }],
+      webSocketConfig
+    )
+    const controller = mockAbortController()
+
+    session
+      .connect()
+      .then(() => {
+        const results = session.awaitResults({ signal: controller.signal })
+        controller.abort()
+        return results
+      })
+      .then(() => {
+        done.fail('Expected awaitResults to reject.')
+      })
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(controller.signal.listenerCount()).toEqual(0)
+        done()
+      })
+  })
+
+  it('reconnects to SPDZ with the same public key after a proxy reconnects', done => {
+    const session = new SpdzSocketSession(
+      [{ url: 'http://localhost:8489' }, { url: 'http://localhost:8490' }],
+      webSocketConfig,
+      { spdzRecovery: { maxAttempts: 2, retryDelayMs: 10, timeoutMs: 500 } }
+    )
+
+    const publicKeys = []
+    mockProxy1.on('connectToSpdz', publicKey => {
+      publicKeys.push(publicKey)
+      mockProxy1.emit('connectToSpdz_result', { status: 0 })
+    })
+    mockProxy2.on('connectToSpdz', publicKey => {
+      publicKeys.push(publicKey)
+      mockProxy2.emit('connectToSpdz_result', { status: 0 })
+    })
+
+    const recoveryEvents = []
+    session
+      .connect()
+      .then(([connectionStream]) => {
+        connectionStream
+          .filter(event => event.eventType === EVENT_TYPE.SPDZ_RECOVERY)
+          .onValue(event => {
+            recoveryEvents.push(event.status)
+            if (event.status === RECOVERY_STATUS.RECOVERED) {
+              expect(recoveryEvents).toEqual([
+                RECOVERY_STATUS.RECOVERING,
+                RECOVERY_STATUS.RECOVERED
+              ])
+              expect(publicKeys).toEqual(['abcd', 'abcd', 'abcd', 'abcd'])
+              expect(session.connectedToSpdz).toBeTruthy()
+              done()
+            }
+          })
+        return session.connectToSpdz('abcd')
+      })
+      .then(() => {
+        // Simulate proxy 1 web socket dropping and socket.io reconnecting.
+        mockProxy1.emit('disconnect')
+        mockProxy1.emit('connect')
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('reports a degraded connection status when one proxy drops', done => {
+    const session = new SpdzSocketSession(
+      [{ url: 'http://localhost:8489' }, { url: 'http://localhost:8490' }],
+      webSocketConfig,
+      { connectionStatusEvents: true }
+    )
+    mockProxy1.on('connectToSpdz', () => {
+      mockProxy1.emit('connectToSpdz_result', { status: 0 })
+    })
+    mockProxy2.on('connectToSpdz', () => {
+      mockProxy2.emit('connectToSpdz_result', { status: 0 })
+    })
+
+    session
+      .connect()
+      .then(([connectionStream]) => {
+        expect(session.connectionStatus().summary).toEqual(
+          CONNECTION_SUMMARY.ALL_UP
+        )
+        return session.connectToSpdz().then(() => connectionStream)
+      })
+      .then(connectionStream => {
+        connectionStream
+          .filter(event => event.eventType === EVENT_TYPE.CONNECTION_STATUS)
+          .take(1)
+          .onValue(event => {
+            expect(event.status).toBeFalsy()
+            expect(event.summary).toEqual(CONNECTION_SUMMARY.DEGRADED)
+            expect(event.msg).toEqual('degraded (1 of 2)')
+            expect(event.proxies['http://localhost:8489']).toEqual(
+              expect.objectContaining({
+                proxyConnected: true,
+                spdzConnected: false,
+                lastError: 'Disconnected from SPDZ engine.'
+              })
+            )
+            expect(session.connectionStatus().msg).toEqual('degraded (1 of 2)')
+            done()
+          })
+        mockProxy1.emit('spdz_socketDisconnected')
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('matches send responses to requests when several sends are in flight', done => {
+    const session = new SpdzSocketSession(
+      [{ url: 'http://localhost:8489' }, { url: 'http://localhost:8490' }],
+      webSocketConfig
+    )
+
+    const respondInReverse = mockProxy => {
+      const requestIds = []
+      mockProxy.on('connectToSpdz', () => {
+        mockProxy.emit('connectToSpdz_result', { status: 0 })
+      })
+      mockProxy.on('sendData', (dataType, dataArray, requestId) => {
+        requestIds.push(requestId)
+        if (requestIds.length === 2) {
+          mockProxy.emit('sendData_result', {
+            status: 0,
+            requestId: requestIds[1]
+          })
+          mockProxy.emit('sendData_result', {
+            status: 1,
+            err: 'Bad input.',
+            requestId: requestIds[0]
+          })
+        }
+      })
+    }
+    respondInReverse(mockProxy1)
+    respondInReverse(mockProxy2)
+
+    session
+      .connect()
+      .then(() => session.connectToSpdz())
+      .then(() => {
+        const firstSend = session
+          .sendClearInputs([1])
+          .then(() => 'sent', err => err.message)
+        const secondSend = session
+          .sendClearInputs([2])
+          .then(() => 'sent', err => err.message)
+        return Promise.all([firstSend, secondSend])
+      })
+      .then(([firstResult, secondResult]) => {
+        expect(firstResult).toMatch(/^Unable to send inputs.*Bad input/)
+        expect(secondResult).toEqual('sent')
+        done()
+      })
+      .catch(err => {
+        done.fail(err)
+      })
+  })
+
+  it('rejects a send which a proxy never responds to', done => {
+    const session = new SpdzSocketSession(
+      [{ url: 'http://localhost:8489' }, { url: 'http://localhost:8490' }],
+      webSocketConfig,
+      { sendTimeoutMs: 50 }
+    )
+    const lateResponses = []
+    let droppedRequestId = undefined
+
+    const connectAndRespond = (mockProxy, respond) => {
+      mockProxy.on('connectToSpdz', () => {
+        mockProxy.emit('connectToSpdz_result', { status: 0 })
+      })
+      mockProxy.on('sendData', (dataType, dataArray, requestId) => {
+        if (respond) {
+          mockProxy.emit('sendData_result', { status: 0, requestId })
+        } else {
+          droppedRequestId = requestId
+        }
+      })
+    }
+    connectAndRespond(mockProxy1, true)
+    connectAndRespond(mockProxy2, false)
+
+    session
+      .connect()
+      .then(() => {
+        const clientResponseStream = session.streams[1]
+        clientResponseStream.onValue(value => lateResponses.push(value))
+        return session.connectToSpdz()
+      })
+      .then(() => session.sendClearInputs([1]))
+      .then(() => done.fail('Expected the send to time out.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Unable to send inputs. Not all SPDZ proxies responded within 50 ms.'
+        )
+        // The response from proxy 1 was discarded, so a late response does not complete the request.
+        mockProxy2.emit('sendData_result', {
+          status: 0,
+          requestId: droppedRequestId
+        })
+        setTimeout(() => {
+          expect(
+            lateResponses.filter(
+              value => value.eventType === EVENT_TYPE.SEND_INPUT
+            )
+          ).toEqual([])
+          done()
+        }, 10)
+      })
+  })
+
+  it('rejects if the session proxies cannot be reached', done => {
+    const session = new SpdzSocketSession(
+      [{ url: 'http://localhost:8493' }],
+      webSocketConfig
+    )
+
+    session
+      .connect(200)
+      .then(() => {
+        done.fail('Expected connect to reject.')
+      })
+      .catch(err => {
+        expect(err.message).toEqual('Unable to connect to SPDZ proxies.')
+        done()
+      })
+  })
+})
+
+describe('Encrypt inputs for the SPDZ engines', () => {
+  const encryptionKey = createEncryptionKey(
+    'a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8'
+  )
+
+  it('requires an encryption key for every proxy', () => {
+    const testThrows = () =>
+      new SpdzSocketSession(
+        [
+          { url: 'http://proxy0', encryptionKey: encryptionKey },
+          { url: 'http://proxy1' }
+        ],
+        {},
+        { encryptInputs: true }
+      )
+
+    expect(testThrows).toThrowError(
+      'Each spdzProxyList entry must contain keys: encryptionKey, to encrypt inputs.'
+    )
+  })
+
+  it('sends clear inputs as one encrypted message the proxy can not read', done => {
+    const network = inMemoryTransport()
+    const proxy = network.proxy('http://proxy0')
+    const received = []
+    proxy.on('connectToSpdz', () => {
+      proxy.emit('connectToSpdz_result', { status: 0 })
+    })
+    proxy.on('sendData', (dataType, dataArray, requestId) => {
+      received.push({ dataType, dataArray })
+      proxy.emit('sendData_result', { status: 0, requestId: requestId })
+    })
+
+    const session = new SpdzSocketSession(
+      [{ url: 'http://proxy0', encryptionKey: encryptionKey }],
+      {},
+      { transport: network.transport, encryptInputs: true }
+    )
+
+    session
+      .connect()
+      .then(() => session.connectToSpdz())
+      .then(() => session.sendClearInputs([5, 6], 'int32'))
+      .then(() => {
+        expect(received.length).toEqual(1)
+        expect(received[0].dataType).toEqual('int32_encrypted')
+        const cipherBytes = Uint8Array.from(
+          Buffer.from(received[0].dataArray[0], 'base64')
+        )
+        expect(decrypt(encryptionKey, cipherBytes)).toEqual(
+          inputsToBinary('int32', [5, 6])
+        )
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+})
+
+describe('Check the nonces of encrypted SPDZ messages', () => {
+  const encryptionKey = createEncryptionKey(
+    'a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8a1b2c3d4e5f6a7b8'
+  )
+
+  // Encrypt an INT_32 output as a SPDZ engine using counter nonces does.
+  const int32Message = (value, counter) => {
+    const nonce = new Uint8Array(sodium.crypto_box_NONCEBYTES)
+    nonce[0] = counter
+    const macCipher = sodium.crypto_secretbox_easy(
+      Uint8Array.of(3, 0, 0, 0, value, 0, 0, 0),
+      nonce,
+      encryptionKey
+    )
+    const message = new Uint8Array(macCipher.length + nonce.length)
+    message.set(macCipher)
+    message.set(nonce, macCipher.length)
+    return message
+  }
+
+  it('rejects a restarted nonce counter after the SPDZ engine reconnects', done => {
+    const network = inMemoryTransport()
+    const proxy = network.proxy('http://proxy0')
+    proxy.on('connectToSpdz', () => {
+      proxy.emit('connectToSpdz_result', { status: 0 })
+    })
+
+    const session = new SpdzSocketSession(
+      [
+        {
+          url: 'http://proxy0',
+          encryptionKey: encryptionKey,
+          nonceMode: NONCE_MODE.COUNTER
+        }
+      ],
+      {},
+      { transport: network.transport }
+    )
+
+    session
+      .connect()
+      .then(([, spdzResultStream, spdzErrorStream]) => {
+        const results = []
+        const errors = []
+        spdzErrorStream.onError(err => errors.push(err.message || err))
+        spdzResultStream.onValue(values => results.push(values))
+        return session.connectToSpdz().then(() => {
+          proxy.emit('spdz_message', int32Message(5, 1))
+          proxy.emit('spdz_message', int32Message(6, 2))
+          proxy.emit('spdz_message', int32Message(6, 2))
+          // An unauthenticated reconnect result must not allow old messages again.
+          proxy.emit('connectToSpdz_result', { status: 0 })
+          proxy.emit('spdz_message', int32Message(5, 1))
+          proxy.emit('spdz_message', int32Message(7, 3))
+
+          expect(results).toEqual([[5], [6], [7]])
+          expect(errors.length).toEqual(2)
+          errors.forEach(err => expect(err).toMatch(/Replayed SPDZ message/))
+          done()
+        })
+      })
+      .catch(err => done.fail(err))
+  })
+})
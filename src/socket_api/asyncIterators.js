@@ -0,0 +1,171 @@
+/**
+ * Adapt Bacon.js streams into promise based consumers, for clients which prefer
+ * linear "send, wait for result" scripts to reactive programming.
+ */
+import Bacon from 'baconjs'
+
+import { abortable } from '../utility/abortable'
+import toError from '../utility/toError'
+
+/**
+ * Use the native symbol where available, older runtimes use the well known fallback.
+ */
+const asyncIteratorSymbol =
+  typeof Symbol.asyncIterator !== 'undefined'
+    ? Symbol.asyncIterator
+    : Symbol.for('Symbol.asyncIterator')
+
+/**
+ * Wrap a Bacon.js stream as an async iterator, compatible with for await. Values are buffered from the
+ * time the iterator is created until they are read.
+ *
+ * @param {EventStream} stream to iterate over.
+ * @param {boolean} [iterateErrors=false] if true iterate over the stream error events and ignore values,
+ *                  otherwise a stream error rejects the next read and ends the iteration.
+ * @returns {Object} async iterator with next and return functions.
+ */
+const streamToAsyncIterator = (stream, iterateErrors = false) => {
+  const buffered = []
+  const waiting = []
+  let finished = false
+  // Stream may deliver synchronously while subscribing.
+  let unsubscribe = () => {}
+
+  const deliver = item => {
+    if (waiting.length > 0) {
+      const reader = waiting.shift()
+      item.error !== undefined
+        ? reader.reject(item.error)
+        : reader.resolve(item.result)
+    } else {
+      buffered.push(item)
+    }
+  }
+
+  const finish = () => {
+    finished = true
+    unsubscribe()
+    unsubscribe = () => {}
+    waiting
+      .splice(0)
+      .forEach(reader => reader.resolve({ value: undefined, done: true }))
+  }
+
+  const unsubscribeStream = stream.subscribe(event => {
+    if (event.isEnd()) {
+      finish()
+      return Bacon.noMore
+    } else if (event.isError()) {
+      if (iterateErrors) {
+        deliver({ result: { value: event.error, done: false } })
+      } else {
+        deliver({ error: toError(event.error) })
+        finish()
+        return Bacon.noMore
+      }
+    } else if (event.hasValue() && !iterateErrors) {
+      deliver({ result: { value: event.value(), done: false } })
+    }
+  })
+
+  if (finished) {
+    unsubscribeStream()
+  } else {
+    unsubscribe = unsubscribeStream
+  }
+
+  const iterator = {
+    next: () => {
+      if (buffered.length > 0) {
+        const item = buffered.shift()
+        return item.error !== undefined
+          ? Promise.reject(item.error)
+          : Promise.resolve(item.result)
+      }
+      if (finished) {
+        return Promise.resolve({ value: undefined, done: true })
+      }
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve: resolve, reject: reject })
+      })
+    },
+    return: () => {
+      buffered.splice(0)
+      finish()
+      return Promise.resolve({ value: undefined, done: true })
+    }
+  }
+  iterator[asyncIteratorSymbol] = () => iterator
+
+  return iterator
+}
+
+/**
+ * Wait for a number of values from a stream, optionally filtered.
+ *
+ * @param {EventStream} stream to read values from.
+ * @param {Number} count number of values to wait for.
+ * @param {Function} [matches] filter, given a value returns true if it should be counted.
+ * @param {Number} [timeoutMs] maximum time to wait, if undefined wait forever.
+ * @param {AbortSignal} [signal] to stop waiting, rejects with an AbortError.
+ * @returns {Promise} resolves to Array of count values, rejects on the first stream error or on timeout.
+ */
+const awaitStreamValues = (
+  stream,
+  count,
+  matches = () => true,
+  timeoutMs = undefined,
+  signal = undefined
+) => {
+  return abortable(signal, 'Wait for results', (resolve, reject) => {
+    const values = []
+    let settled = false
+    let timer
+
+    const settle = () => {
+      settled = true
+      clearTimeout(timer)
+    }
+
+    const unsubscribe = stream.subscribe(event => {
+      if (event.isError()) {
+        settle()
+        reject(toError(event.error))
+        return Bacon.noMore
+      } else if (event.isEnd()) {
+        settle()
+        reject(
+          new Error(
+            `Stream ended after ${values.length} of ${count} expected value(s).`
+          )
+        )
+        return Bacon.noMore
+      } else if (event.hasValue() && matches(event.value())) {
+        values.push(event.value())
+        if (values.length >= count) {
+          settle()
+          resolve(values)
+          return Bacon.noMore
+        }
+      }
+    })
+
+    if (!settled && timeoutMs !== undefined) {
+      timer = setTimeout(() => {
+        unsubscribe()
+        reject(
+          new Error(
+            `Timed out waiting for ${count} value(s), received ${values.length}.`
+          )
+        )
+      }, timeoutMs)
+    }
+
+    return () => {
+      settle()
+      unsubscribe()
+    }
+  })
+}
+
+export { asyncIteratorSymbol, awaitStreamValues, streamToAsyncIterator }
@@ -0,0 +1,154 @@
+import Bacon from 'baconjs'
+import {
+  asyncIteratorSymbol,
+  awaitStreamValues,
+  streamToAsyncIterator
+} from './asyncIterators'
+
+describe('Iterate over a Bacon stream', () => {
+  it('buffers values pushed before they are read', done => {
+    const bus = new Bacon.Bus()
+    const iterator = streamToAsyncIterator(bus)
+    bus.push(1)
+    bus.push(2)
+    bus.end()
+
+    expect(iterator[asyncIteratorSymbol]()).toBe(iterator)
+
+    Promise.all([iterator.next(), iterator.next(), iterator.next()])
+      .then(results => {
+        expect(results).toEqual([
+          { value: 1, done: false },
+          { value: 2, done: false },
+          { value: undefined, done: true }
+        ])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('resolves waiting reads as values arrive', done => {
+    const bus = new Bacon.Bus()
+    const iterator = streamToAsyncIterator(bus)
+
+    iterator
+      .next()
+      .then(result => {
+        expect(result).toEqual({ value: 'abc', done: false })
+        done()
+      })
+      .catch(err => done.fail(err))
+
+    bus.push('abc')
+  })
+
+  it('rejects the next read on a stream error and ends the iteration', done => {
+    const bus = new Bacon.Bus()
+    const iterator = streamToAsyncIterator(bus)
+    bus.error('Bad result.')
+
+    iterator
+      .next()
+      .then(() => done.fail('Expected next to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual('Bad result.')
+        return iterator.next()
+      })
+      .then(result => {
+        expect(result).toEqual({ value: undefined, done: true })
+        done()
+      })
+  })
+
+  it('iterates over errors when requested', done => {
+    const bus = new Bacon.Bus()
+    const iterator = streamToAsyncIterator(bus, true)
+    bus.push('ignored')
+    bus.error('First error.')
+
+    iterator
+      .next()
+      .then(result => {
+        expect(result).toEqual({ value: 'First error.', done: false })
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('stops listening after return', done => {
+    const bus = new Bacon.Bus()
+    const iterator = streamToAsyncIterator(bus)
+    bus.push(1)
+
+    iterator
+      .return()
+      .then(result => {
+        expect(result).toEqual({ value: undefined, done: true })
+        bus.push(2)
+        return iterator.next()
+      })
+      .then(result => {
+        expect(result).toEqual({ value: undefined, done: true })
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+})
+
+describe('Await values from a Bacon stream', () => {
+  it('resolves once the expected number of matching values arrive', done => {
+    const bus = new Bacon.Bus()
+
+    awaitStreamValues(bus, 2, value => value % 2 === 0)
+      .then(values => {
+        expect(values).toEqual([2, 4])
+        done()
+      })
+      .catch(err => done.fail(err))
+
+    bus.push(1)
+    bus.push(2)
+    bus.push(3)
+    bus.push(4)
+  })
+
+  it('rejects on the first stream error', done => {
+    const bus = new Bacon.Bus()
+
+    awaitStreamValues(bus, 2)
+      .then(() => done.fail('Expected awaitStreamValues to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual('Unable to convert result.')
+        done()
+      })
+
+    bus.push(1)
+    bus.error('Unable to convert result.')
+  })
+
+  it('rejects if the stream ends early', done => {
+    awaitStreamValues(Bacon.once(1), 2)
+      .then(() => done.fail('Expected awaitStreamValues to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Stream ended after 1 of 2 expected value(s).'
+        )
+        done()
+      })
+  })
+
+  it('rejects if values do not arrive in time', done => {
+    const bus = new Bacon.Bus()
+
+    awaitStreamValues(bus, 2, undefined, 50)
+      .then(() => done.fail('Expected awaitStreamValues to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Timed out waiting for 2 value(s), received 1.'
+        )
+        done()
+      })
+
+    bus.push(1)
+  })
+})
@@ -1,11 +1,20 @@
-import Io from 'socket.io-client'
 import Bacon from 'baconjs'
 
-import { MESSAGE_TYPE, parseSpdzMessage, EVENT_TYPE } from './transform'
+import {
+  checkSequence,
+  MESSAGE_TYPE,
+  parseSpdzMessage,
+  EVENT_TYPE,
+  SEQUENCE_GAP_POLICY
+} from './transform'
 import logger from '../utility/logging'
+import recordingTransport from './recordingTransport'
+import socketIoTransport from './socketIoTransport'
+import { encryptInputMessage } from '../crypto/inputMessage'
+import { NONCE_MODE, NonceTracker } from '../crypto/NonceTracker'
 
 /**
- * Run web socket connection to SPDZ proxy for a specific SPDZ server, using namespace /spdzapi.
+ * Run web socket connection to SPDZ proxy for a specific SPDZ server, by default socket.io using namespace /spdzapi.
  * Trap socket events and process into rx streams which are returned.
  * 
  * @param {Object} connectOptions socket.io connection options 
@@ -13,150 +22,209 @@ import logger from '../utility/logging'
  * @param {String} encryptionKey session key agreed between client and SPDZ server. 
  *                 If undefined then assume SPDZ message not encrypted.
  * @param {EventStream} webSocketBus rx stream to push socket.emit events. 
+ * @param {Object} [proxyOptions] optional settings for the proxy connection.
+ * @param {Function} [proxyOptions.createTransport=socketIoTransport] transport factory (url, connectOptions), see socketIoTransport.
+ * @param {boolean} [proxyOptions.encryptInputs=false] encrypt sendData inputs with the encryptionKey, see encryptInputMessage.
+ * @param {String} [proxyOptions.sequenceGapPolicy=SEQUENCE_GAP_POLICY.RESYNC] how to handle SPDZ messages out of sequence.
+ * @param {String} [proxyOptions.nonceMode=NONCE_MODE.RANDOM] how the SPDZ engine generates nonces, used to reject replayed messages.
+ * @param {TrafficRecorder} [proxyOptions.recorder] if set, record all events sent to and received from the proxy.
  *
  * @returns {proxyConnectionStream} websocket connection events to the spdzproxy, both user initiated
  *                                  and auto reconnect, in an rx stream 
  * @returns {spdzConnectionStream} spdz connection events, both user initiated and spdz initiated in an rx stream. 
  * @returns {sendResponseStream} client response events, e.g. response to client sending inputs, in an rx stream. 
- * @returns {sharesStream} raw byte shares sent by spdz in an rx stream
- * @returns {outputsStream} raw byte outputs sent by spdz in an rx stream
+ * @returns {sharesStream} raw byte shares sent by spdz in an rx stream, as {data, sequence}
+ * @returns {outputsStream} raw byte outputs sent by spdz in an rx stream, also carries sequence errors
+ * @returns {closeConnection} function to close the web socket connection, end the returned streams
+ *                            and stop listening to webSocketBus.
  */
-const connectSetup = (connectOptions, url, encryptionKey, webSocketBus) => {
+const connectSetup = (
+  connectOptions,
+  url,
+  encryptionKey,
+  webSocketBus,
+  {
+    createTransport = socketIoTransport,
+    encryptInputs = false,
+    sequenceGapPolicy = SEQUENCE_GAP_POLICY.RESYNC,
+    nonceMode = NONCE_MODE.RANDOM,
+    recorder = undefined
+  } = {}
+) => {
   logger.debug(
     `About to request web socket connection to ${url} with options ${JSON.stringify(
       connectOptions
     )}.`
   )
-  const namespace = '/spdzapi'
-  const socket = Io(url + namespace, connectOptions)
+  const socket =
+    recorder === undefined
+      ? createTransport(url, connectOptions)
+      : recordingTransport(recorder, createTransport)(url, connectOptions)
+  // Nonces of decrypted messages, kept for the life of the connection so replays are rejected.
+  // Not cleared on a SPDZ reconnect, the key is unchanged so a restarted nonce is a replay.
+  const nonceTracker = new NonceTracker(nonceMode)
 
   //***************************************
   // Wrap socket events in Bacon (reactive)
   //***************************************
   // Gather websocket connection messages from SPDZ Proxy into single stream
   // this includes client initiated connections and auto reconnects.
-  const proxyConnectionStream = Bacon.fromBinder(sink => {
-    socket.on('connect', () => {
-      sink({
-        eventType: EVENT_TYPE.PROXY_CONNECT,
-        status: true,
-        url: url,
-        msg: 'SPDZ Proxy connection made.'
-      })
-    })
-
-    socket.on('connect_error', () => {
-      sink({
-        eventType: EVENT_TYPE.PROXY_CONNECT,
-        status: false,
-        url: url,
-        msg: 'Connection error.'
-      })
-    })
-
-    socket.on('connect_timeout', () => {
-      sink({
-        eventType: EVENT_TYPE.PROXY_CONNECT,
-        status: false,
-        url: url,
-        msg: 'Connection timeout.'
-      })
-    })
-
-    socket.on('disconnect', () => {
-      sink({
-        eventType: EVENT_TYPE.PROXY_CONNECT,
-        status: false,
-        url: url,
-        msg: 'Disconnected from SPDZ proxy.'
-      })
-    })
-
-    //Used for unsubscribe tidy up
-    return () => {}
-  })
+  // Bacon.fromEvent removes the socket listeners once a stream has no subscribers or ends.
+  const proxyConnectEvent = (status, msg) => () => {
+    return {
+      eventType: EVENT_TYPE.PROXY_CONNECT,
+      status: status,
+      url: url,
+      msg: msg
+    }
+  }
+  const proxyConnectionStream = Bacon.mergeAll(
+    Bacon.fromEvent(
+      socket,
+      'connect',
+      proxyConnectEvent(true, 'SPDZ Proxy connection made.')
+    ),
+    Bacon.fromEvent(
+      socket,
+      'connect_error',
+      proxyConnectEvent(false, 'Connection error.')
+    ),
+    Bacon.fromEvent(
+      socket,
+      'connect_timeout',
+      proxyConnectEvent(false, 'Connection timeout.')
+    ),
+    Bacon.fromEvent(
+      socket,
+      'disconnect',
+      proxyConnectEvent(false, 'Disconnected from SPDZ proxy.')
+    )
+  )
 
   // Trap spdz connect and disconnects, user initiated and spdz initiated
-  const spdzConnectionStream = Bacon.fromBinder(sink => {
-    socket.on('connectToSpdz_result', response => {
-      if (response.status === 0) {
-        sink({
-          eventType: EVENT_TYPE.SPDZ_CONNECT,
-          status: true,
-          url: url,
-          msg: 'SPDZ engine connection made.'
-        })
-      } else {
-        sink({
-          eventType: EVENT_TYPE.SPDZ_CONNECT,
-          status: false,
-          url: url,
-          msg: response.err
-        })
-      }
-    })
-
-    socket.on('disconnectFromSpdz_result', () => {
-      sink({
+  const spdzDisconnectEvent = () => {
+    return {
+      eventType: EVENT_TYPE.SPDZ_CONNECT,
+      status: false,
+      url: url,
+      msg: 'Disconnected from SPDZ engine.'
+    }
+  }
+  const spdzConnectionStream = Bacon.mergeAll(
+    Bacon.fromEvent(socket, 'connectToSpdz_result', response => {
+      return {
         eventType: EVENT_TYPE.SPDZ_CONNECT,
-        status: false,
+        status: response.status === 0,
         url: url,
-        msg: 'Disconnected from SPDZ engine.'
-      })
-    })
+        msg:
+          response.status === 0 ? 'SPDZ engine connection made.' : response.err
+      }
+    }),
+    Bacon.fromEvent(socket, 'disconnectFromSpdz_result', spdzDisconnectEvent),
+    Bacon.fromEvent(socket, 'spdz_socketDisconnected', spdzDisconnectEvent)
+  )
 
-    socket.on('spdz_socketDisconnected', () => {
-      sink({
-        eventType: EVENT_TYPE.SPDZ_CONNECT,
-        status: false,
-        url: url,
-        msg: 'Disconnected from SPDZ engine.'
-      })
-    })
-  })
+  // Sends which fail before reaching the proxy, e.g. unable to encrypt.
+  const sendFailureBus = new Bacon.Bus()
 
   // Gather response messages from client actions
-  const otherResponseStream = Bacon.fromBinder(sink => {
-    socket.on('sendData_result', response => {
-      sink({
+  const otherResponseStream = Bacon.fromEvent(
+    socket,
+    'sendData_result',
+    response => {
+      return {
         eventType: EVENT_TYPE.SEND_INPUT,
         status: response.status === 0 ? true : false,
         url: url,
-        msg: response.status === 0 ? 'Input sent to SPDZ.' : response.err
-      })
-    })
-
-    //Used for unsubscribe tidy up
-    return () => {}
-  })
+        msg: response.status === 0 ? 'Input sent to SPDZ.' : response.err,
+        requestId: response.requestId
+      }
+    }
+  ).merge(sendFailureBus)
 
   //Decrypt (if encryptionKey is set), then work out message type and data type, rest is data
+  // Proxies which number their messages send the sequence number as a second argument.
   // Errors get propagated to be caught in all follow on stream.onError handlers
-  const spdzMessageStream = Bacon.fromEvent(socket, 'spdz_message', value => {
-    return parseSpdzMessage(value, encryptionKey, url)
-  })
+  const parsedMessageStream = Bacon.fromEvent(
+    socket,
+    'spdz_message',
+    (value, sequence) => {
+      const message = parseSpdzMessage(value, encryptionKey, url, nonceTracker)
+      return message instanceof Bacon.Error
+        ? message
+        : Object.assign(message, { sequence: sequence })
+    }
+  )
+
+  // The engine starts a new sequence for each SPDZ connection.
+  const spdzConnectedStream = Bacon.fromEvent(
+    socket,
+    'connectToSpdz_result',
+    response => response
+  ).filter(response => response.status === 0)
+
+  const spdzMessageStream = checkSequence(
+    parsedMessageStream,
+    url,
+    sequenceGapPolicy,
+    spdzConnectedStream
+  )
 
   // Forward on data for input shares.
   // Shares don't need dataType, always MODP and so 16 byte integers.
+  // Errors are reported once, on the outputsStream.
   const sharesStream = spdzMessageStream
+    .skipErrors()
     .filter(value => value.messageType === MESSAGE_TYPE.TRIPLE_SHARES)
     .map(value => {
-      return value.data
+      return { data: value.data, sequence: value.sequence }
     })
 
   // Forward on regType and data, parsing depends on MODP (16) or INT (4) byte integers.
   const outputsStream = spdzMessageStream
     .filter(value => value.messageType !== MESSAGE_TYPE.TRIPLE_SHARES)
     .map(value => {
-      return { messageType: value.messageType, data: value.data }
+      return {
+        messageType: value.messageType,
+        data: value.data,
+        url: url,
+        sequence: value.sequence
+      }
     })
 
   // Send outgoing messages
-  webSocketBus.onValue(value => {
+  const unsubscribeWebSocketBus = webSocketBus.onValue(value => {
     if (value.eventType === 'connectToSpdz') {
       socket.emit(value.eventType, value.publicKey)
     } else if (value.eventType === 'sendData') {
-      socket.emit(value.eventType, value.dataType, value.dataArray)
+      let message = { dataType: value.dataType, dataArray: value.dataArray }
+      if (encryptInputs) {
+        try {
+          message = encryptInputMessage(
+            encryptionKey,
+            value.dataType,
+            value.gfpArray !== undefined ? value.gfpArray : value.dataArray
+          )
+        } catch (err) {
+          sendFailureBus.push({
+            eventType: EVENT_TYPE.SEND_INPUT,
+            status: false,
+            url: url,
+            msg: `Unable to encrypt inputs. ${err.message}`,
+            requestId: value.requestId
+          })
+          return
+        }
+      }
+      // Proxy echoes the request id in the sendData_result.
+      value.requestId === undefined
+        ? socket.emit(value.eventType, message.dataType, message.dataArray)
+        : socket.emit(
+            value.eventType,
+            message.dataType,
+            message.dataArray,
+            value.requestId
+          )
     } else if (value.eventType === 'disconnectFromSpdz') {
       socket.emit(value.eventType)
     } else {
@@ -164,12 +232,25 @@ const connectSetup = (connectOptions, url, encryptionKey, webSocketBus) => {
     }
   })
 
+  // Close the socket, then end the returned streams which releases the socket listeners.
+  // The disconnect event is sent before the streams end.
+  const closeBus = new Bacon.Bus()
+  const untilClosed = stream => stream.takeUntil(closeBus)
+  const closeConnection = () => {
+    socket.close()
+    unsubscribeWebSocketBus()
+    closeBus.push(true)
+    closeBus.end()
+    sendFailureBus.end()
+  }
+
   return [
-    proxyConnectionStream,
-    spdzConnectionStream,
-    otherResponseStream,
-    sharesStream,
-    outputsStream
+    untilClosed(proxyConnectionStream),
+    untilClosed(spdzConnectionStream),
+    untilClosed(otherResponseStream),
+    untilClosed(sharesStream),
+    untilClosed(outputsStream),
+    closeConnection
   ]
 }
 
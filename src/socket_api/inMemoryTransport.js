@@ -0,0 +1,114 @@
+/**
+ * In process loopback transport, pairs each client transport with an in memory SPDZ proxy.
+ * Events are delivered synchronously, except the initial connect, so tests are fast and deterministic.
+ */
+import handlerRegistry from '../utility/handlerRegistry'
+
+/**
+ * Proxy side of the loopback, use on to handle client events and emit to reply.
+ */
+class InMemoryProxy {
+  constructor(url) {
+    this.url = url
+    this.handlers = handlerRegistry()
+    this.clientList = []
+  }
+
+  on(event, handler) {
+    this.handlers.on(event, handler)
+  }
+
+  off(event, handler) {
+    this.handlers.off(event, handler)
+  }
+
+  /**
+   * Send an event to all connected clients.
+   */
+  emit(event, ...args) {
+    this.clientList.forEach(client => client.dispatch(event, args))
+  }
+
+  /**
+   * Simulate the web socket dropping, clients get a disconnect event.
+   */
+  disconnectClients() {
+    this.clientList.forEach(client => client.dispatch('disconnect'))
+  }
+
+  /**
+   * Simulate the web socket reconnecting, clients get a connect event.
+   */
+  reconnectClients() {
+    this.clientList.forEach(client => client.dispatch('connect'))
+  }
+}
+
+/**
+ * @description Create an in memory network of SPDZ proxies, to run a session without web sockets.
+ *
+ * @returns {Object} {transport, proxy} where transport is the factory to use with the SpdzSocketSession
+ *                   transport option and proxy(url) returns the InMemoryProxy for a url.
+ *
+ * @example Run a session against an in memory proxy:
+ *
+ * const network = inMemoryTransport()
+ * const proxy = network.proxy('http://proxy0')
+ * proxy.on('connectToSpdz', () => proxy.emit('connectToSpdz_result', { status: 0 }))
+ *
+ * const session = new SpdzSocketSession([{ url: 'http://proxy0' }], {}, {
+ *   transport: network.transport
+ * })
+ *
+ * @access public
+ */
+const inMemoryTransport = () => {
+  const proxyByUrl = {}
+  const proxy = url => {
+    if (proxyByUrl[url] === undefined) {
+      proxyByUrl[url] = new InMemoryProxy(url)
+    }
+    return proxyByUrl[url]
+  }
+
+  const transport = url => {
+    const server = proxy(url)
+    const handlers = handlerRegistry()
+    let closed = false
+
+    // Connect once the caller has registered handlers, as socket.io does.
+    setTimeout(() => {
+      if (!closed) {
+        server.clientList.push(handlers)
+        server.handlers.dispatch('connection')
+        handlers.dispatch('connect')
+      }
+    }, 0)
+
+    return {
+      on: handlers.on,
+      off: handlers.off,
+      emit: (event, ...args) => {
+        if (!closed) {
+          server.handlers.dispatch(event, args)
+        }
+      },
+      close: () => {
+        if (closed) {
+          return
+        }
+        closed = true
+        const index = server.clientList.indexOf(handlers)
+        if (index > -1) {
+          server.clientList.splice(index, 1)
+          server.handlers.dispatch('disconnect')
+          handlers.dispatch('disconnect')
+        }
+      }
+    }
+  }
+
+  return { transport, proxy }
+}
+
+export { InMemoryProxy, inMemoryTransport }
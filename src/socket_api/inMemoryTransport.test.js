@@ -0,0 +1,407 @@
+import SpdzSocketSession from './SpdzSocketSession'
+import { inMemoryTransport } from './inMemoryTransport'
+import {
+  closeProxyConnections,
+  createDefaultSession,
+  sendClearInputs
+} from './socketApi'
+import { connectToSpdzProxyPromise } from './promisify'
+import { EVENT_TYPE } from './transform'
+import { QUEUE_STATE } from './OutboundQueue'
+import { memoryQueueStore } from './queueStores'
+import {
+  registerMessageType,
+  resetMessageTypes
+} from '../type_mapping/messageTypeRegistry'
+import logger from '../utility/logging'
+logger.level = 'info'
+
+describe('Run a session over the in memory transport', () => {
+  const urlList = ['http://proxy0', 'http://proxy1']
+
+  const setupNetwork = () => {
+    const network = inMemoryTransport()
+    urlList.forEach(url => {
+      const proxy = network.proxy(url)
+      proxy.on('connectToSpdz', () => {
+        proxy.emit('connectToSpdz_result', { status: 0 })
+      })
+      proxy.on('sendData', (dataType, dataArray, requestId) => {
+        proxy.emit('sendData_result', { status: 0, requestId: requestId })
+      })
+    })
+    return network
+  }
+
+  it('connects, sends clear inputs and disconnects without web sockets', done => {
+    const network = setupNetwork()
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport }
+    )
+
+    const proxyDisconnects = []
+    network.proxy('http://proxy0').on('disconnect', () => {
+      proxyDisconnects.push('http://proxy0')
+    })
+
+    session
+      .connect()
+      .then(() => session.connectToSpdz())
+      .then(() => session.sendClearInputs([1, 2, 3]))
+      .then(() => {
+        session.closeProxySockets()
+        expect(proxyDisconnects).toEqual(['http://proxy0'])
+        expect(session.connectedToProxies).toBeFalsy()
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('reports a dropped proxy connection on the connection stream', done => {
+    const network = setupNetwork()
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport }
+    )
+
+    session
+      .connect()
+      .then(([connectionStream]) => {
+        connectionStream.take(1).onValue(event => {
+          expect(event.eventType).toEqual(EVENT_TYPE.PROXY_CONNECT)
+          expect(event.status).toBeFalsy()
+          done()
+        })
+        network.proxy('http://proxy1').disconnectClients()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('keeps outputs aligned by sequence number when a proxy drops a message', done => {
+    const network = setupNetwork()
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport }
+    )
+    // INT_32 message type header then 1 value.
+    const int32Message = value => Uint8Array.of(3, 0, 0, 0, value, 0, 0, 0)
+
+    session
+      .connect()
+      .then(([, spdzResultStream, spdzErrorStream]) => {
+        const results = []
+        const errors = []
+        spdzErrorStream.onError(err => errors.push(err))
+        spdzResultStream.onValue(values => {
+          results.push(values)
+          if (results.length === 2) {
+            expect(results).toEqual([[1], [3]])
+            expect(errors).toEqual([
+              'SPDZ message sequence gap from proxy http://proxy0, expected 2 got 3, 1 message(s) missing.'
+            ])
+            done()
+          }
+        })
+
+        const proxy0 = network.proxy('http://proxy0')
+        const proxy1 = network.proxy('http://proxy1')
+        proxy0.emit('spdz_message', int32Message(1), 1)
+        proxy0.emit('spdz_message', int32Message(3), 3)
+        proxy1.emit('spdz_message', int32Message(1), 1)
+        proxy1.emit('spdz_message', int32Message(2), 2)
+        proxy1.emit('spdz_message', int32Message(3), 3)
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('reports which proxy sent a different clear result', done => {
+    const network = setupNetwork()
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport }
+    )
+    const int32Message = value => Uint8Array.of(3, 0, 0, 0, value, 0, 0, 0)
+
+    session
+      .connect()
+      .then(([, spdzResultStream]) => {
+        spdzResultStream.onError(err => {
+          expect(err.name).toEqual('ConsensusError')
+          expect(err.disagreements).toEqual([
+            { proxyIndex: 1, url: 'http://proxy1', positions: [0] }
+          ])
+          done()
+        })
+
+        network.proxy('http://proxy0').emit('spdz_message', int32Message(1), 1)
+        network.proxy('http://proxy1').emit('spdz_message', int32Message(2), 1)
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('sends custom message types with a dedicated stream on their own stream', done => {
+    const network = setupNetwork()
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport }
+    )
+    registerMessageType(100, {
+      decode: byteBufferList => [byteBufferList[0][0] * 10],
+      dedicatedStream: true
+    })
+
+    session
+      .connect()
+      .then(([, spdzResultStream]) => {
+        const results = []
+        spdzResultStream.onValue(values => results.push(values))
+        session.resultStreamFor(100).onValue(values => {
+          expect(values).toEqual([70])
+          expect(results).toEqual([[5]])
+          resetMessageTypes()
+          done()
+        })
+
+        urlList.forEach(url => {
+          const proxy = network.proxy(url)
+          proxy.emit('spdz_message', Uint8Array.of(3, 0, 0, 0, 5, 0, 0, 0))
+          proxy.emit('spdz_message', Uint8Array.of(100, 0, 0, 0, 7, 0, 0, 0))
+        })
+      })
+      .catch(err => {
+        resetMessageTypes()
+        done.fail(err)
+      })
+  })
+
+  it('ends the session streams and releases the socket listeners on close', done => {
+    const network = setupNetwork()
+    let listenerCount = 0
+    const countingTransport = url => {
+      const socket = network.transport(url)
+      return Object.assign({}, socket, {
+        on: (eventName, handler) => {
+          listenerCount++
+          socket.on(eventName, handler)
+        },
+        off: (eventName, handler) => {
+          listenerCount--
+          socket.off(eventName, handler)
+        }
+      })
+    }
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: countingTransport }
+    )
+
+    session
+      .connect()
+      .then(() => session.connectToSpdz())
+      .then(() => {
+        expect(listenerCount).toBeGreaterThan(0)
+        const streamNames = [
+          'connectionStream',
+          'clientResponseStream',
+          'spdzResultStream',
+          'spdzErrorStream'
+        ]
+        const ended = []
+        const connectionEvents = []
+        session.streams[0].onValue(event => connectionEvents.push(event))
+        session.streams.forEach((stream, index) =>
+          stream.onEnd(() => ended.push(streamNames[index]))
+        )
+
+        session.close()
+
+        expect(ended.sort()).toEqual(streamNames.sort())
+        expect(
+          connectionEvents.some(
+            event =>
+              event.eventType === EVENT_TYPE.PROXY_CONNECT && !event.status
+          )
+        ).toBeTruthy()
+        expect(listenerCount).toEqual(0)
+        expect(session.webSocketBus.subscriptions.length).toEqual(0)
+        return session.connect()
+      })
+      .then(() => done.fail('Expected connect to reject once closed.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'The session is closed, create a new session to connect.'
+        )
+        done()
+      })
+  })
+
+  it('queues sends made before SPDZ is connected and sends them in order once connected', done => {
+    const network = setupNetwork()
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport, outboundQueue: { expiryMs: 5000 } }
+    )
+    const received = []
+    network.proxy('http://proxy0').on('sendData', (dataType, dataArray) => {
+      received.push(dataArray)
+    })
+    const states = []
+    session.outboundQueue.stateStream.onValue(event =>
+      states.push([event.id, event.state])
+    )
+
+    session
+      .connect()
+      .then(() => {
+        const sends = [
+          session.sendClearInputs([1]),
+          session.sendClearInputs([2, 3])
+        ]
+        expect(session.outboundQueue.pending().length).toEqual(2)
+        return session.connectToSpdz().then(() => Promise.all(sends))
+      })
+      .then(() => {
+        expect(received).toEqual([[1], [2, 3]])
+        expect(states).toEqual([
+          [1, QUEUE_STATE.PENDING],
+          [2, QUEUE_STATE.PENDING],
+          [1, QUEUE_STATE.SENT],
+          [2, QUEUE_STATE.SENT]
+        ])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('queues sends from the default session functions until SPDZ is connected', done => {
+    const network = setupNetwork()
+    const session = createDefaultSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport, outboundQueue: true }
+    )
+    const received = []
+    network.proxy('http://proxy0').on('sendData', (dataType, dataArray) => {
+      received.push([dataType, dataArray])
+    })
+
+    session
+      .connect()
+      .then(() => {
+        sendClearInputs([4, 5])
+        expect(session.outboundQueue.pending().length).toEqual(1)
+        expect(received).toEqual([])
+        return session.connectToSpdz()
+      })
+      .then(() => {
+        expect(received).toEqual([['int32', [4, 5]]])
+        expect(session.outboundQueue.pending()).toEqual([])
+        closeProxyConnections()
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('sends the queued inputs saved by an earlier session', done => {
+    // The session before the reload runs on its own network, it never connects to SPDZ.
+    const oldNetwork = setupNetwork()
+    const network = setupNetwork()
+    const store = memoryQueueStore()
+    const sessionOptions = {
+      transport: network.transport,
+      outboundQueue: { store: store }
+    }
+    const received = []
+    network.proxy('http://proxy0').on('sendData', (dataType, dataArray) => {
+      received.push([dataType, dataArray])
+    })
+
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      Object.assign({}, sessionOptions, { transport: oldNetwork.transport })
+    )
+    session
+      .connect()
+      .then(() => {
+        // The page is reloaded before SPDZ is connected, the send promise is lost.
+        session.sendClearInputs([7, 8]).catch(() => {})
+        expect(store.load().length).toEqual(1)
+
+        const reloaded = new SpdzSocketSession(
+          urlList.map(url => ({ url: url })),
+          {},
+          sessionOptions
+        )
+        expect(reloaded.outboundQueue.pending().length).toEqual(1)
+        return reloaded
+          .connect()
+          .then(() => reloaded.connectToSpdz())
+          .then(() => reloaded)
+      })
+      .then(reloaded => {
+        expect(received).toEqual([['int32', [7, 8]]])
+        expect(store.load()).toEqual([])
+        reloaded.close()
+        session.close()
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('closes the previous default session when connecting again', done => {
+    const network = setupNetwork()
+    const proxyList = urlList.map(url => ({ url: url }))
+    const disconnects = []
+    urlList.forEach(url =>
+      network.proxy(url).on('disconnect', () => disconnects.push(url))
+    )
+
+    connectToSpdzProxyPromise(proxyList, {}, 2100, {
+      transport: network.transport
+    })
+      .then(() =>
+        connectToSpdzProxyPromise(proxyList, {}, 2100, {
+          transport: network.transport
+        })
+      )
+      .then(() => {
+        expect(disconnects).toEqual(urlList)
+        urlList.forEach(url =>
+          expect(network.proxy(url).clientList.length).toEqual(1)
+        )
+        closeProxyConnections()
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('rejects a queued send which expires before SPDZ is connected', done => {
+    const network = setupNetwork()
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: network.transport, outboundQueue: { expiryMs: 10 } }
+    )
+
+    session
+      .connect()
+      .then(() => session.sendClearInputs([1]))
+      .then(() => done.fail('Expected the send to expire.'))
+      .catch(err => {
+        expect(err.message).toEqual(
+          'Inputs not sent, SPDZ engines not connected within 10 ms.'
+        )
+        expect(session.outboundQueue.pending()).toEqual([])
+        done()
+      })
+  })
+})
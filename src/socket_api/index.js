@@ -5,17 +5,71 @@
 import '../polyfills'
 
 import {
+  awaitResultsPromise,
   connectToSpdzPartyPromise,
   connectToSpdzProxyPromise,
   disconnectFromSpdzPartyPromise,
   sendClearInputsPromise,
   sendSecretInputsPromise
 } from './promisify'
+import { closeProxyConnections } from './socketApi'
+import SpdzSocketSession from './SpdzSocketSession'
+import { QUEUE_STATE } from './OutboundQueue'
+import { memoryQueueStore, webStorageQueueStore } from './queueStores'
+import {
+  CONNECTION_SUMMARY,
+  SEQUENCE_GAP_POLICY,
+  EVENT_TYPE,
+  MESSAGE_TYPE,
+  RECOVERY_STATUS
+} from './transform'
+import {
+  registerMessageType,
+  unregisterMessageType
+} from '../type_mapping/messageTypeRegistry'
+import { toObservable } from './observable'
+import socketIoTransport from './socketIoTransport'
+import webSocketTransport from './webSocketTransport'
+import { inMemoryTransport } from './inMemoryTransport'
+import replayTransport from './replayTransport'
+import ConsensusError from '../type_mapping/ConsensusError'
+import { ConsensusPolicy } from '../type_mapping/resultConsensus'
+import { OUTPUT_MODE } from '../type_mapping/outputMode'
+import AbortError from '../utility/AbortError'
+import { NONCE_MODE } from '../crypto/NonceTracker'
+import ReplayError from '../crypto/ReplayError'
+import { parseTrafficLog, TrafficRecorder } from '../utility/TrafficRecorder'
 
 export {
+  AbortError,
+  awaitResultsPromise,
+  closeProxyConnections,
   connectToSpdzPartyPromise,
   connectToSpdzProxyPromise,
+  CONNECTION_SUMMARY,
+  SEQUENCE_GAP_POLICY,
+  ConsensusError,
+  ConsensusPolicy,
   disconnectFromSpdzPartyPromise,
+  EVENT_TYPE,
+  inMemoryTransport,
+  MESSAGE_TYPE,
+  memoryQueueStore,
+  NONCE_MODE,
+  OUTPUT_MODE,
+  parseTrafficLog,
+  QUEUE_STATE,
+  RECOVERY_STATUS,
+  registerMessageType,
+  ReplayError,
+  replayTransport,
   sendClearInputsPromise,
-  sendSecretInputsPromise
+  sendSecretInputsPromise,
+  socketIoTransport,
+  SpdzSocketSession,
+  toObservable,
+  TrafficRecorder,
+  unregisterMessageType,
+  webSocketTransport,
+  webStorageQueueStore
 }
@@ -0,0 +1,114 @@
+/**
+ * Adapt Bacon.js streams into standard Observables (TC39 proposal), so that they can be
+ * consumed by RxJS, xstream and other libraries which support Symbol.observable.
+ */
+import Bacon from 'baconjs'
+
+import toError from '../utility/toError'
+
+/**
+ * Use Symbol.observable where polyfilled, RxJS and others fall back to '@@observable'.
+ */
+const observableSymbol =
+  typeof Symbol.observable !== 'undefined' ? Symbol.observable : '@@observable'
+
+/**
+ * Accept either an observer object or next, error, complete callbacks.
+ */
+const toObserver = (observerOrNext, error, complete) => {
+  const observer =
+    typeof observerOrNext === 'function'
+      ? { next: observerOrNext, error: error, complete: complete }
+      : observerOrNext || {}
+  const call = name => value => {
+    if (typeof observer[name] === 'function') {
+      observer[name](value)
+    }
+  }
+  return {
+    next: call('next'),
+    error: call('error'),
+    complete: call('complete')
+  }
+}
+
+/**
+ * @description Wrap a Bacon.js stream, as returned by this library, as a standard Observable.
+ * Bacon error events are sent to the observer error callback, which ends the subscription.
+ *
+ * @param {EventStream} stream - Bacon.js stream to wrap.
+ * @param {Object} [hooks] - optional callbacks, run for each subscription.
+ * @param {Function} [hooks.start] - called when a subscription starts.
+ * @param {Function} [hooks.teardown] - called once when a subscription is unsubscribed, errors or completes.
+ *
+ * @returns {Object} Observable with subscribe and Symbol.observable functions.
+ *
+ * @example Consume the spdzResultStream with RxJS:
+ *
+ * const { from } = require('rxjs')
+ * const { toObservable } = require('spdz-client-lib/dist/socket_api')
+ *
+ * const subscription = from(toObservable(spdzResultStream)).subscribe(
+ *   valueList => console.log('SPDZ outputs message.', valueList),
+ *   err => console.log(`SPDZ result error. ${err.message}`)
+ * )
+ * @access public
+ */
+const toObservable = (stream, hooks = {}) => {
+  const observable = {
+    subscribe: (observerOrNext, error, complete) => {
+      const observer = toObserver(observerOrNext, error, complete)
+      // Stream may deliver synchronously while subscribing.
+      let unsubscribeStream = undefined
+
+      const subscription = {
+        closed: false,
+        unsubscribe: () => {
+          if (subscription.closed) {
+            return
+          }
+          subscription.closed = true
+          if (unsubscribeStream !== undefined) {
+            unsubscribeStream()
+          }
+          if (typeof hooks.teardown === 'function') {
+            hooks.teardown()
+          }
+        }
+      }
+
+      if (typeof hooks.start === 'function') {
+        hooks.start()
+      }
+
+      const unsubscribe = stream.subscribe(event => {
+        if (subscription.closed) {
+          return Bacon.noMore
+        } else if (event.isError()) {
+          observer.error(toError(event.error))
+          subscription.unsubscribe()
+          return Bacon.noMore
+        } else if (event.isEnd()) {
+          observer.complete()
+          subscription.unsubscribe()
+          return Bacon.noMore
+        } else if (event.hasValue()) {
+          observer.next(event.value())
+        }
+      })
+
+      if (subscription.closed) {
+        unsubscribe()
+      } else {
+        unsubscribeStream = unsubscribe
+      }
+
+      return subscription
+    }
+  }
+  observable[observableSymbol] = () => observable
+
+  return observable
+}
+
+export { observableSymbol, toObservable }
@@ -0,0 +1,67 @@
+import Bacon from 'baconjs'
+import { observableSymbol, toObservable } from './observable'
+
+describe('Wrap a Bacon stream as an Observable', () => {
+  it('is returned by the observable symbol function', () => {
+    const observable = toObservable(new Bacon.Bus())
+
+    expect(observable[observableSymbol]()).toBe(observable)
+  })
+
+  it('sends values and completes with an observer object', () => {
+    const values = []
+    let completed = false
+
+    const subscription = toObservable(Bacon.fromArray([1, 2, 3])).subscribe({
+      next: value => values.push(value),
+      complete: () => {
+        completed = true
+      }
+    })
+
+    expect(values).toEqual([1, 2, 3])
+    expect(completed).toBeTruthy()
+    expect(subscription.closed).toBeTruthy()
+  })
+
+  it('sends stream errors to the error callback and ends the subscription', () => {
+    const bus = new Bacon.Bus()
+    const values = []
+    let error = undefined
+
+    const subscription = toObservable(bus).subscribe(
+      value => values.push(value),
+      err => {
+        error = err
+      }
+    )
+    bus.push(1)
+    bus.error('Unable to convert result.')
+    bus.push(2)
+
+    expect(values).toEqual([1])
+    expect(error).toBeInstanceOf(Error)
+    expect(error.message).toEqual('Unable to convert result.')
+    expect(subscription.closed).toBeTruthy()
+  })
+
+  it('stops sending values and runs teardown once after unsubscribe', () => {
+    const bus = new Bacon.Bus()
+    const values = []
+    let startCount = 0
+    let teardownCount = 0
+
+    const subscription = toObservable(bus, {
+      start: () => startCount++,
+      teardown: () => teardownCount++
+    }).subscribe(value => values.push(value))
+    bus.push(1)
+    subscription.unsubscribe()
+    subscription.unsubscribe()
+    bus.push(2)
+
+    expect(values).toEqual([1])
+    expect(startCount).toEqual(1)
+    expect(teardownCount).toEqual(1)
+  })
+})
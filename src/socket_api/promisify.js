@@ -2,22 +2,12 @@
  * Wrap socket_api interactions in promises.
  */
 
-import {
-  connectToSPDZProxy,
-  connectToSpdz,
-  disconnectFromSpdz,
-  sendClearInputs,
-  sendInputsWithShares
-} from './socketApi'
-import { streamWithTimeout, EVENT_TYPE } from './transform'
-import logger from '../utility/logging'
-
-let connectionStream
-let clientResponsesStream
+import { createDefaultSession, getDefaultSession } from './socketApi'
 
 /**
  * @description Connect to the web socket servers run by a set of SPDZ Proxies, establishing a stateful web socket for each proxy.
  * There is no attempt to connect to the runnning SPDZ process at this stage. See connectToSpdzPartyPromise.
+ * Operates on a single default session, use SpdzSocketSession to connect to more than one set of proxies.
  * 
  * @param {Object[]} spdzProxyList - the list of SPDZ Proxies to connect to.
  * @param {String} spdzProxyList.url - the URL of the proxy.
@@ -25,10 +15,12 @@ let clientResponsesStream
  *                 If undefined then assume SPDZ message not encrypted. 
  * @param {Object} webSocketConfig - socket.io config setting to override the default web socket connection config. 
  * @param {Number} [timeoutMs=2100] - maximum time in millisecs to wait for a connection to all proxies before timing out.
+ * @param {Object} [sessionOptions] - options to control how SPDZ messages are managed, see SpdzSocketSession.
+ * @param {AbortSignal} [signal] - to cancel the request, the promise rejects with an AbortError and stops listening for responses.
  * 
  * @return {EventStream[]} if promise resolves, which is an Array containing Bacon.js reactive streams.
  * @return {EventStream} connectionStream - stream of combined proxy and spdz connection events containing an object {eventType, status, msg}. EventType is either 'Proxy connect' or 'SPDZ connect', status is true for connected to all proxies, false otherwise, msg contains an array of values from each individual proxy connection.
- * @return {EventStream} spdzResultStream - stream of combined result events containing an Array<Number>. Here each proxy is expected to supply the same results and only one copy is returned. Does not currently support share of a result from each proxy.
+ * @return {EventStream} spdzResultStream - stream of combined result events containing an Array<Number>. For clear outputs each proxy is expected to supply the same results and only one copy is returned. For private outputs (message types SHARED_MODP_INT, SHARED_MODP_FIX, SHARED_MODP) each proxy supplies a share and the shares are summed to give the result.
  * @return {EventStream} spdzErrorStream - stream of error events containing the error message.
  * 
  * @example Connect to 2 proxies and subscribe to the returned reactive streams:
@@ -60,40 +52,15 @@ let clientResponsesStream
 const connectToSpdzProxyPromise = (
   spdzProxyList,
   webSocketConfig,
-  timeoutMs = 2100
+  timeoutMs = 2100,
+  sessionOptions = {},
+  signal = undefined
 ) => {
-  return new Promise((resolve, reject) => {
-    const [
-      _connectionStream,
-      _clientResponseStream,
-      spdzResultStream,
-      spdzErrorStream
-    ] = connectToSPDZProxy(webSocketConfig, ...spdzProxyList)
-
-    connectionStream = _connectionStream
-    clientResponsesStream = _clientResponseStream
-
-    const unsubscribeResponses = streamWithTimeout(
-      connectionStream,
-      timeoutMs
-    ).onValue(value => {
-      if (value.eventType === EVENT_TYPE.PROXY_CONNECT && value.status) {
-        logger.debug('Got proxy connect with true status')
-        resolve([connectionStream, spdzResultStream, spdzErrorStream])
-        unsubscribeResponses()
-      } else if (value.eventType === EVENT_TYPE.TIMEOUT) {
-        logger.debug('Got timeout whilst waiting for proxy connect.')
-        reject(new Error('Unable to connect to SPDZ proxies.'))
-        unsubscribeResponses()
-      } else {
-        logger.debug(
-          `Connect to SPDZ proxies got connection event, while waiting. ${JSON.stringify(
-            value.msg
-          )}.`
-        )
-      }
-    })
-  })
+  return createDefaultSession(
+    spdzProxyList,
+    webSocketConfig,
+    sessionOptions
+  ).connect(timeoutMs, signal)
 }
 
 /**
@@ -102,6 +69,7 @@ const connectToSpdzProxyPromise = (
  * 
  * @param {String} [clientPublicKey=undefined] - the client public key, required by the SPDZ engines to generate the encryption key if the SPDZ MPC program is using encryption.
  * @param {Number} [timeoutMs=3100] - maximum time in millisecs to wait for all SPDZ engines to establish connections.
+ * @param {AbortSignal} [signal] - to cancel the request, the promise rejects with an AbortError and stops listening for responses.
  * 
  * @return {Promise} which resolves to an empty function on success. The connectionStream created in connectToSpdzProxyPromise will report a SPDZ connect event.
  * 
@@ -120,83 +88,10 @@ const connectToSpdzProxyPromise = (
  */
 const connectToSpdzPartyPromise = (
   clientPublicKey = undefined,
-  timeoutMs = 3100
+  timeoutMs = 3100,
+  signal = undefined
 ) => {
-  return new Promise((resolve, reject) => {
-    if (connectionStream === undefined) {
-      reject(new Error('Not connected to SPDZ Proxies, unable to run request.'))
-    }
-
-    const unsubscribeResponses = streamWithTimeout(
-      connectionStream,
-      timeoutMs
-    ).onValue(value => {
-      if (value.eventType === EVENT_TYPE.SPDZ_CONNECT && value.status) {
-        logger.debug('Got spdz connect with true status')
-        resolve()
-        unsubscribeResponses()
-      } else if (value.eventType === EVENT_TYPE.TIMEOUT) {
-        logger.debug('Got timeout whilst waiting for spdz connect.')
-        reject(new Error('Unable to connect to SPDZ engines.'))
-        unsubscribeResponses()
-      } else {
-        logger.debug(
-          `Connect to SPDZ engines got connection event, while waiting. ${JSON.stringify(
-            value.msg
-          )}.`
-        )
-      }
-    })
-
-    try {
-      connectToSpdz(clientPublicKey)
-      //Resolve/reject dependant on subscription to connectedStatusStream
-    } catch (err) {
-      reject(err)
-    }
-  })
-}
-
-/**
- * Common code for sending inputs.
- * 
- * @param {Function} sendFunction to do the sending, accepts inputList as parameter.
- * @param {Array} inputList, containing array of numbers to send to SPDZ 
- * @returns resolves with no param when successful.
- */
-const sendInputsPromise = (sendFunction, inputList) => {
-  return new Promise((resolve, reject) => {
-    if (clientResponsesStream === undefined) {
-      reject(new Error('Not connected to SPDZ Proxies, unable to run request.'))
-    }
-
-    // Need to subscribe before sending input or will miss synchronous error messages.
-    const unsubscribeResponses = clientResponsesStream.onValue(value => {
-      if (value.eventType === EVENT_TYPE.SEND_INPUT) {
-        if (value.status) {
-          resolve()
-          unsubscribeResponses()
-        } else {
-          reject(
-            new Error(`Unable to send inputs. ${JSON.stringify(value.msg)}.`)
-          )
-          unsubscribeResponses()
-        }
-      } else if (value.eventType === EVENT_TYPE.ERROR) {
-        reject(
-          new Error(`Unable to send inputs. ${JSON.stringify(value.msg)}.`)
-        )
-        unsubscribeResponses()
-      }
-    })
-
-    try {
-      sendFunction(inputList)
-      //Resolve/reject dependant on subscription to responsesFromSPDZStream
-    } catch (err) {
-      reject(err)
-    }
-  })
+  return getDefaultSession().connectToSpdz(clientPublicKey, timeoutMs, signal)
 }
 
 /**
@@ -204,6 +99,9 @@ const sendInputsPromise = (sendFunction, inputList) => {
  * 
  * @param {Array<Number>} inputList - containing array of all integers or all fixed point numbers to send to SPDZ as input.
  * Inputs are suitable for SPDZ sint or sfix format and are secret shared amongst the SPDZ Engines. 
+ * To mix types, or send integers too large for a JS number, use typed input descriptors {type: 'sint'|'sfix', value},
+ * each is converted and range checked on its own. sint values may be numbers, decimal strings or BigInts.
+ * @param {AbortSignal} [signal] - to cancel the request, the promise rejects with an AbortError and stops listening for responses.
  * 
  * @return {Promise} which resolves to an empty function. If the send immediately fails, for example if no longer connected to all the SPDZ Engines, the returned promise rejects. However, for delayed errors such as an incompatible number of shares being provided for the inputs to be sent, then the spdzErrorStream created in connectToSpdzProxyPromise will report an error.
  * 
@@ -219,10 +117,18 @@ const sendInputsPromise = (sendFunction, inputList) => {
  * .catch(err => {
  *   logger.warn(`Unable to send secret shared input to SPDZ engines. ${err.message}`)
  * })
+ *
+ * @example Send a client id with a fixed point value and a large integer:
+ *
+ * spdzProxyClient.sendSecretInputsPromise([
+ *   { type: 'sint', value: clientId },
+ *   { type: 'sfix', value: 12.5 },
+ *   { type: 'sint', value: '123456789012345678901' }
+ * ])
  * @access public
  */
-const sendSecretInputsPromise = inputList => {
-  return sendInputsPromise(inputs => sendInputsWithShares(inputs), inputList)
+const sendSecretInputsPromise = (inputList, signal = undefined) => {
+  return getDefaultSession().sendSecretInputs(inputList, signal)
 }
 
 /**
@@ -230,7 +136,9 @@ const sendSecretInputsPromise = inputList => {
  * 
  * @param {Array<Number>} inputList - containing an array of all integers or all fixed point numbers to send to SPDZ as input.
  * Inputs are suitable for SPDZ regint (integers only) or cint or cfix format (integer or fixed point). 
+ * Typed input descriptors {type: 'sint'|'sfix', value} are also accepted, see sendSecretInputsPromise.
  * @param {String} spdzType - values are either 'int32' (default) (SPDZ regint) or 'modp' (SPDZ cint or cfix).
+ * @param {AbortSignal} [signal] - to cancel the request, the promise rejects with an AbortError and stops listening for responses.
  * 
  * @return {Promise} which resolves to an empty function or rejects if fails to send.
  * 
@@ -247,11 +155,12 @@ const sendSecretInputsPromise = inputList => {
  * })
  * @access public
  */
-const sendClearInputsPromise = (inputList, spdzType = 'int32') => {
-  return sendInputsPromise(
-    inputs => sendClearInputs(inputs, spdzType),
-    inputList
-  )
+const sendClearInputsPromise = (
+  inputList,
+  spdzType = 'int32',
+  signal = undefined
+) => {
+  return getDefaultSession().sendClearInputs(inputList, spdzType, signal)
 }
 
 /**
@@ -264,6 +173,7 @@ const sendClearInputsPromise = (inputList, spdzType = 'int32') => {
  * If the SPDZ Engine process ends and disconnects first the connectionStream created in connectToSpdzProxyPromise will report a SPDZ connect event with status of false.
  * 
  * @param {Number} [timeoutMs=2100] - maximum time in millisecs to wait for a disconnection from all proxies before timing out.
+ * @param {AbortSignal} [signal] - to cancel the request, the promise rejects with an AbortError and stops listening for responses.
  * 
  * @return {Promise} which resolves to an empty function or rejects if unable to disconnect.
  * 
@@ -280,43 +190,46 @@ const sendClearInputsPromise = (inputList, spdzType = 'int32') => {
  * })
  * @access public
  */
-const disconnectFromSpdzPartyPromise = (timeoutMs = 2100) => {
-  return new Promise((resolve, reject) => {
-    if (connectionStream === undefined) {
-      reject(new Error('Not connected to SPDZ Proxies, unable to run request.'))
-    }
-
-    const unsubscribeResponses = streamWithTimeout(
-      connectionStream,
-      timeoutMs
-    ).onValue(value => {
-      if (value.eventType === EVENT_TYPE.SPDZ_CONNECT && !value.status) {
-        logger.debug('Got spdz connect with false status')
-        resolve()
-        unsubscribeResponses()
-      } else if (value.eventType === EVENT_TYPE.TIMEOUT) {
-        logger.debug('Got timeout whilst waiting for spdz disconnect.')
-        reject(new Error('Unable to disconnect from SPDZ engines.'))
-        unsubscribeResponses()
-      } else {
-        logger.debug(
-          `Disconnect from SPDZ engines got connection event, while waiting. ${JSON.stringify(
-            value.msg
-          )}.`
-        )
-      }
-    })
+const disconnectFromSpdzPartyPromise = (
+  timeoutMs = 2100,
+  signal = undefined
+) => {
+  return getDefaultSession().disconnect(timeoutMs, signal)
+}
 
-    try {
-      disconnectFromSpdz()
-      //Resolve/reject dependant on subscription to responsesFromSPDZStream
-    } catch (err) {
-      reject(err)
-    }
-  })
+/**
+ * @description Wait for the next results sent by the SPDZ Engines, as an alternative to subscribing to the spdzResultStream.
+ * Suits linear programs which send inputs, wait for a number of outputs and then send again. Call before or immediately after sending the inputs which trigger the results.
+ * 
+ * @param {Object} [options]
+ * @param {Number} [options.count=1] - number of results to wait for.
+ * @param {Number} [options.messageType] - only count results of this MESSAGE_TYPE, default any type.
+ * @param {Number} [options.timeoutMs] - maximum time in millisecs to wait, default no limit.
+ * @param {AbortSignal} [options.signal] - to stop waiting, the promise rejects with an AbortError.
+ * 
+ * @return {Promise} which resolves to an Array of count results, each an Array of values, or rejects if a result cannot be converted or on timeout.
+ * 
+ * @example Send inputs and wait for 2 integer results:
+ * 
+ * const spdzProxyClient = require('spdz-client-lib/dist/socket_api')
+ * 
+ * const results = spdzProxyClient.awaitResultsPromise({count: 2, messageType: spdzProxyClient.MESSAGE_TYPE.INT_32, timeoutMs: 5000})
+ * spdzProxyClient.sendSecretInputsPromise([1234, 555])
+ * .then(() => results)
+ * .then(([first, second]) => {
+ *   console.log('SPDZ results', first, second)
+ * })
+ * .catch(err => {
+ *   logger.warn(`Unable to get SPDZ results. ${err.message}`)
+ * })
+ * @access public
+ */
+const awaitResultsPromise = options => {
+  return getDefaultSession().awaitResults(options)
 }
 
 export {
+  awaitResultsPromise,
   connectToSpdzPartyPromise,
   connectToSpdzProxyPromise,
   disconnectFromSpdzPartyPromise,
@@ -0,0 +1,83 @@
+/**
+ * Stores for the entries of the outbound queue, so that sends queued while disconnected can
+ * survive a page reload or process restart. See the outboundQueue session option.
+ *
+ * A store is an object with 2 synchronous functions:
+ *   load() returns the saved records, or an empty list.
+ *   save(recordList) replaces the saved records.
+ * Each record is {kind: 'secret'|'clear', inputList, spdzType, queuedAt, expiresAt}.
+ */
+/* global localStorage */
+import logger from '../utility/logging'
+
+/**
+ * @description Create a store which keeps the outbound queue in memory only, the default.
+ * Queued sends are lost if the page or process exits.
+ *
+ * @returns {Object} store {load, save}
+ *
+ * @access public
+ */
+const memoryQueueStore = () => {
+  let recordList = []
+  return {
+    load: () => recordList,
+    save: records => {
+      recordList = records
+    }
+  }
+}
+
+/**
+ * @description Create a store which keeps the outbound queue in Web Storage, e.g. localStorage,
+ * so queued sends are restored when a new session with the same store is created after a reload.
+ * Input values must be JSON serialisable, use decimal strings rather than BigInts.
+ * Use a different key for each set of proxies.
+ *
+ * @param {String} [key=spdz-outbound-queue] - storage key the records are saved under.
+ * @param {Storage} [storage] - Web Storage implementation, defaults to the global localStorage.
+ * @returns {Object} store {load, save}
+ *
+ * @example Keep queued sends across page reloads:
+ *
+ * const session = new SpdzSocketSession(proxyList, {}, {
+ *   outboundQueue: { expiryMs: 60000, store: webStorageQueueStore('my-app-queue') }
+ * })
+ *
+ * @access public
+ */
+const webStorageQueueStore = (
+  key = 'spdz-outbound-queue',
+  storage = undefined
+) => {
+  const storageImpl =
+    storage !== undefined
+      ? storage
+      : typeof localStorage !== 'undefined' ? localStorage : undefined
+  if (storageImpl === undefined) {
+    throw new Error('No Web Storage implementation available.')
+  }
+
+  return {
+    load: () => {
+      try {
+        const json = storageImpl.getItem(key)
+        return json === null ? [] : JSON.parse(json)
+      } catch (err) {
+        logger.warn(`Unable to load the outbound queue. ${err.message}`)
+        return []
+      }
+    },
+    save: recordList => {
+      try {
+        recordList.length === 0
+          ? storageImpl.removeItem(key)
+          : storageImpl.setItem(key, JSON.stringify(recordList))
+      } catch (err) {
+        logger.warn(`Unable to save the outbound queue. ${err.message}`)
+      }
+    }
+  }
+}
+
+export { memoryQueueStore, webStorageQueueStore }
@@ -0,0 +1,43 @@
+import { webStorageQueueStore } from './queueStores'
+
+// Minimal Web Storage for tests.
+const mockStorage = () => {
+  const items = {}
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value
+    },
+    removeItem: key => {
+      delete items[key]
+    },
+    items: items
+  }
+}
+
+describe('Save the outbound queue to Web Storage', () => {
+  it('saves and loads records under the key', () => {
+    const storage = mockStorage()
+    const store = webStorageQueueStore('test-queue', storage)
+    const recordList = [
+      { kind: 'clear', inputList: [1], spdzType: 'int32', expiresAt: 10 }
+    ]
+
+    expect(store.load()).toEqual([])
+    store.save(recordList)
+    expect(JSON.parse(storage.items['test-queue'])).toEqual(recordList)
+    expect(webStorageQueueStore('test-queue', storage).load()).toEqual(
+      recordList
+    )
+
+    store.save([])
+    expect(storage.items).toEqual({})
+  })
+
+  it('loads nothing from unreadable storage', () => {
+    const storage = mockStorage()
+    storage.setItem('test-queue', 'not json')
+
+    expect(webStorageQueueStore('test-queue', storage).load()).toEqual([])
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Transport wrapper which records the events sent to and received from a SPDZ proxy, see TrafficRecorder.
+ * Used by connectSetup when a recorder is given.
+ */
+import handlerRegistry from '../utility/handlerRegistry'
+import { TRAFFIC_CHANNEL, TRAFFIC_DIRECTION } from '../utility/TrafficRecorder'
+
+/**
+ * Wrap a transport factory so that all events are recorded.
+ * Each received event is recorded once, however many handlers listen to it.
+ *
+ * @param {TrafficRecorder} recorder to record the events.
+ * @param {Function} createTransport transport factory (url, connectOptions) to wrap.
+ * @returns {Function} transport factory (url, connectOptions) => transport.
+ */
+const recordingTransport = (recorder, createTransport) => (
+  url,
+  connectOptions
+) => {
+  const socket = createTransport(url, connectOptions)
+  const handlers = handlerRegistry()
+  // Per event name, the single listener on the wrapped transport and the number of handlers using it.
+  const relays = {}
+
+  const record = (direction, event, args) =>
+    recorder.record({
+      channel: TRAFFIC_CHANNEL.SOCKET,
+      direction: direction,
+      url: url,
+      event: event,
+      args: args
+    })
+
+  return {
+    on: (event, handler) => {
+      if (relays[event] === undefined) {
+        const relay = (...args) => {
+          record(TRAFFIC_DIRECTION.RECEIVED, event, args)
+          handlers.dispatch(event, args)
+        }
+        relays[event] = { relay: relay, count: 0 }
+        socket.on(event, relay)
+      }
+      relays[event].count += 1
+      handlers.on(event, handler)
+    },
+    off: (event, handler) => {
+      handlers.off(event, handler)
+      if (relays[event] !== undefined) {
+        relays[event].count -= 1
+        if (relays[event].count === 0) {
+          socket.off(event, relays[event].relay)
+          delete relays[event]
+        }
+      }
+    },
+    emit: (event, ...args) => {
+      record(TRAFFIC_DIRECTION.SENT, event, args)
+      socket.emit(event, ...args)
+    },
+    close: () => socket.close()
+  }
+}
+
+export default recordingTransport
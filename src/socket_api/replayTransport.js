@@ -0,0 +1,83 @@
+/**
+ * Transport which plays back recorded SPDZ proxy traffic, so that a session can be rerun offline.
+ * Received events are replayed in the recorded order for each proxy. Where the client sent an event before
+ * the next received event, playback waits until the client sends it again, so replay follows the
+ * client and does not depend on the recorded timings.
+ */
+import handlerRegistry from '../utility/handlerRegistry'
+import logger from '../utility/logging'
+import {
+  parseTrafficLog,
+  TRAFFIC_CHANNEL,
+  TRAFFIC_DIRECTION
+} from '../utility/TrafficRecorder'
+
+/**
+ * @description Create a transport factory which replays traffic recorded with a TrafficRecorder.
+ * The recorded events feed the normal session streams, so parsing, consensus and share check failures
+ * can be reproduced. Proxy urls must match the recording. As keys are redacted from the recording,
+ * encrypted traffic needs the original encryption keys in the proxy list.
+ *
+ * @param {String|Array|TrafficRecorder} log - recorded traffic, see parseTrafficLog.
+ * @returns {Function} transport factory (url, connectOptions) => transport, see socketIoTransport.
+ *
+ * @example Replay a recorded session:
+ *
+ * const session = new SpdzSocketSession(proxyList, {}, {
+ *   transport: replayTransport(fs.readFileSync('traffic.jsonl', 'utf8'))
+ * })
+ *
+ * @access public
+ */
+const replayTransport = log => {
+  const socketEntryList = parseTrafficLog(log).filter(
+    entry => entry.channel === TRAFFIC_CHANNEL.SOCKET
+  )
+
+  return url => {
+    const handlers = handlerRegistry()
+    const pendingList = socketEntryList.filter(entry => entry.url === url)
+    let closed = false
+
+    const replayReceived = () => {
+      while (
+        !closed &&
+        pendingList.length > 0 &&
+        pendingList[0].direction === TRAFFIC_DIRECTION.RECEIVED
+      ) {
+        const entry = pendingList.shift()
+        handlers.dispatch(entry.event, entry.args)
+      }
+    }
+
+    // Start playback once the caller has added its listeners, as a real connection would.
+    setTimeout(replayReceived, 0)
+
+    return {
+      on: handlers.on,
+      off: handlers.off,
+      emit: event => {
+        if (closed) {
+          return
+        }
+        const next = pendingList[0]
+        if (next === undefined || next.event !== event) {
+          logger.warn(
+            `Replay of proxy ${url} differs from the recording, sent ${event} but expected ${next ===
+            undefined
+              ? 'no more events'
+              : next.event}.`
+          )
+          return
+        }
+        pendingList.shift()
+        replayReceived()
+      },
+      close: () => {
+        closed = true
+      }
+    }
+  }
+}
+
+export default replayTransport
@@ -0,0 +1,118 @@
+import SpdzSocketSession from './SpdzSocketSession'
+import { inMemoryTransport } from './inMemoryTransport'
+import replayTransport from './replayTransport'
+import { TrafficRecorder } from '../utility/TrafficRecorder'
+import logger from '../utility/logging'
+logger.level = 'error'
+
+describe('Record and replay the traffic of a session', () => {
+  const urlList = ['http://proxy0', 'http://proxy1']
+  const publicKey =
+    'b979d4508acd90156353dee3f7de36608432eeba7b37bd363ca9427d4b684748'
+
+  // Each proxy answers a clear input with an INT_32 output of the input plus 1.
+  const setupNetwork = () => {
+    const network = inMemoryTransport()
+    urlList.forEach(url => {
+      const proxy = network.proxy(url)
+      proxy.on('connectToSpdz', () => {
+        proxy.emit('connectToSpdz_result', { status: 0 })
+      })
+      proxy.on('sendData', (dataType, dataArray, requestId) => {
+        proxy.emit('sendData_result', { status: 0, requestId: requestId })
+        proxy.emit(
+          'spdz_message',
+          Uint8Array.of(3, 0, 0, 0, dataArray[0] + 1, 0, 0, 0),
+          1
+        )
+      })
+    })
+    return network
+  }
+
+  // Run the same client steps, returning a promise of the results.
+  const runSession = (transport, recorder = undefined) => {
+    const session = new SpdzSocketSession(
+      urlList.map(url => ({ url: url })),
+      {},
+      { transport: transport, recorder: recorder }
+    )
+    return session.connect().then(([, spdzResultStream]) => {
+      const result = spdzResultStream.take(1).toPromise()
+      return session
+        .connectToSpdz(publicKey)
+        .then(() => session.sendClearInputs([41]))
+        .then(() => result)
+        .then(values => {
+          session.close()
+          return values
+        })
+    })
+  }
+
+  it('replays recorded traffic through the session streams', done => {
+    const recorder = new TrafficRecorder()
+
+    runSession(setupNetwork().transport, recorder)
+      .then(values => {
+        expect(values).toEqual([42])
+        return runSession(replayTransport(recorder.toJsonLines()))
+      })
+      .then(values => {
+        expect(values).toEqual([42])
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('records raw SPDZ messages and redacts the public key', done => {
+    const lineList = []
+    const recorder = new TrafficRecorder(line => lineList.push(line))
+
+    runSession(setupNetwork().transport, recorder)
+      .then(() => {
+        expect(lineList.length).toEqual(recorder.entries.length)
+        const proxy0 = recorder.entries.filter(
+          entry => entry.url === 'http://proxy0'
+        )
+        expect(
+          proxy0.map(entry => `${entry.direction} ${entry.event}`)
+        ).toEqual([
+          'received connect',
+          'sent connectToSpdz',
+          'received connectToSpdz_result',
+          'sent sendData',
+          'received sendData_result',
+          'received spdz_message',
+          'received disconnect'
+        ])
+        expect(proxy0[1].args).toEqual(['[redacted]'])
+        expect(proxy0[5].args).toEqual([{ bytes: 'AwAAACoAAAA=' }, 1])
+        expect(lineList.join('\n')).not.toContain(publicKey)
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('warns when the client sends an event not in the recording', done => {
+    const recorder = new TrafficRecorder()
+    recorder.record({
+      channel: 'socket',
+      direction: 'received',
+      url: 'http://proxy0',
+      event: 'connect',
+      args: []
+    })
+    const transport = replayTransport(recorder)('http://proxy0')
+    const warnSpy = jest.spyOn(logger, 'warn').mockImplementation(() => {})
+
+    transport.on('connect', () => {
+      transport.emit('disconnectFromSpdz')
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Replay of proxy http://proxy0 differs from the recording, sent disconnectFromSpdz but expected no more events.'
+      )
+      warnSpy.mockRestore()
+      done()
+    })
+  })
+})
@@ -1,8 +1,10 @@
 import { Server, SocketIO } from 'mock-socket'
 import { createEncryptionKey } from '../crypto'
 import {
+  closeProxyConnections,
   connectToSPDZProxy,
   connectToSpdz,
+  getDefaultSession,
   sendInputsWithShares
 } from './socketApi'
 import { EVENT_TYPE } from './transform'
@@ -63,6 +65,7 @@ describe('Connect to mock websocket server', () => {
   })
 
   afterEach(() => {
+    closeProxyConnections()
     mockProxy1.stop()
     mockProxy2.stop()
   })
@@ -70,7 +73,7 @@ describe('Connect to mock websocket server', () => {
   it('connects successfully to 2 proxies', done => {
     const [connectionStream] = connectToSPDZProxy(...connectParms)
 
-    connectionStream.onValue(resp => {
+    connectionStream.take(1).onValue(resp => {
       try {
         expect(resp.eventType).toEqual(EVENT_TYPE.PROXY_CONNECT)
         expect(resp.status).toBeTruthy()
@@ -81,6 +84,21 @@ describe('Connect to mock websocket server', () => {
     })
   })
 
+  it('passes the session options on to the default session', () => {
+    connectToSPDZProxy(
+      Object.assign(
+        { sessionOptions: { outboundQueue: true } },
+        connectParms[0]
+      ),
+      ...connectParms.slice(1)
+    )
+
+    expect(getDefaultSession().outboundQueue).toBeDefined()
+    const socketOptions = Io.mock.calls[Io.mock.calls.length - 1][1]
+    expect(socketOptions.sessionOptions).toBeUndefined()
+    expect(socketOptions.path).toEqual('/socket.io')
+  })
+
   it('sends the SPDZ connection command to 2 proxies, successfully', done => {
     const [connectionStream] = connectToSPDZProxy(...connectParms)
 
@@ -92,12 +110,13 @@ describe('Connect to mock websocket server', () => {
       mockProxy2.emit('connectToSpdz_result', { status: 0 })
     })
 
-    connectionStream.onValue(resp => {
+    const unsubscribe = connectionStream.onValue(resp => {
       try {
         if (resp.eventType === EVENT_TYPE.PROXY_CONNECT) {
           connectToSpdz('0102030405', false)
         } else if (resp.eventType === EVENT_TYPE.SPDZ_CONNECT) {
           expect(resp.status).toBeTruthy()
+          unsubscribe()
           done()
         } else {
           done.fail(`Unexpected eventType ${resp.eventType}.`)
@@ -122,12 +141,13 @@ describe('Connect to mock websocket server', () => {
       })
     })
 
-    connectionStream.onValue(resp => {
+    const unsubscribe = connectionStream.onValue(resp => {
       try {
         if (resp.eventType === EVENT_TYPE.PROXY_CONNECT) {
           connectToSpdz('0102030405', false)
         } else if (resp.eventType === EVENT_TYPE.SPDZ_CONNECT) {
           expect(resp.status).toBeFalsy()
+          unsubscribe()
           done()
         } else {
           done.fail(`Unexpected eventType ${resp.eventType}.`)
@@ -0,0 +1,25 @@
+/**
+ * Transport to a SPDZ proxy over socket.io, using namespace /spdzapi.
+ */
+import Io from 'socket.io-client'
+
+/**
+ * @description Create a socket.io transport to a SPDZ proxy, this is the default transport.
+ * A transport is an object with the functions:
+ *   on(eventName, handler), off(eventName, handler) - listen for 'connect', 'connect_error', 'connect_timeout',
+ *     'disconnect' and proxy events such as 'spdz_message' (with a Uint8Array) or 'sendData_result'.
+ *   emit(eventName, ...args) - send an event to the proxy.
+ *   close() - close the connection.
+ *
+ * @param {String} url SPDZ Proxy URL (no namespace)
+ * @param {Object} connectOptions socket.io connection options
+ * @returns {Object} transport, the socket.io socket.
+ *
+ * @access public
+ */
+const socketIoTransport = (url, connectOptions) => {
+  const namespace = '/spdzapi'
+  return Io(url + namespace, connectOptions)
+}
+
+export default socketIoTransport
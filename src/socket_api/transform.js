@@ -5,41 +5,103 @@
 import Bacon from 'baconjs'
 import assert from 'assert'
 
-import {
-  binaryToIntArray,
-  binaryToGfpArray
-} from '../type_mapping/binaryToArray'
+import { binaryToIntArray } from '../type_mapping/binaryToArray'
 import { base64Encode } from '../utility/binary.js'
 import { decrypt } from '../crypto'
+import ReplayError from '../crypto/ReplayError'
 import { Gfp } from '../math/Gfp'
-import { jsNumberToShiftedInteger } from '../math/numericConversions'
 import logger from '../utility/logging'
 import listComparison from '../utility/listComparison'
 import binaryToShare from '../type_mapping/binaryToShare'
+import ShareInventory from './ShareInventory'
+import { convertUserInput } from '../type_mapping/userInput'
+import { outputModeFor, OUTPUT_MODE } from '../type_mapping/outputMode'
+import {
+  decodeMessage,
+  MESSAGE_TYPE,
+  messageTypeExists
+} from '../type_mapping/messageTypeRegistry'
+import { ConsensusPolicy } from '../type_mapping/resultConsensus'
 
 /**
- * Identify type of return message from SPDZ.
- * Matches SPDZ ClientMessageType in Compiler/type.py 
- */
-const MESSAGE_TYPE = {
-  NOTYPE: 0,
-  TRIPLE_SHARES: 1,
-  CLEAR_MODP_INT: 2,
-  INT_32: 3,
-  CLEAR_MODP_FIX: 4
-}
-
-/**
- * Identify the event in the stream.
+ * @description Identify the event in the connection and client response streams.
+ *
+ * @example Event types are:
+ *
+ * { PROXY_CONNECT: 'Proxy connect', SPDZ_CONNECT: 'SPDZ connect', SEND_INPUT: 'send input',
+ *   ERROR: 'error', TIMEOUT: 'timeout', SPDZ_RECOVERY: 'SPDZ recovery',
+ *   CONNECTION_STATUS: 'Connection status' }
+ *
+ * @access public
  */
 const EVENT_TYPE = {
   PROXY_CONNECT: 'Proxy connect',
   SPDZ_CONNECT: 'SPDZ connect',
   SEND_INPUT: 'send input',
   ERROR: 'error',
-  TIMEOUT: 'timeout'
+  TIMEOUT: 'timeout',
+  SPDZ_RECOVERY: 'SPDZ recovery',
+  CONNECTION_STATUS: 'Connection status'
+}
+
+/**
+ * @description Status values for EVENT_TYPE.SPDZ_RECOVERY events, see the SpdzSocketSession spdzRecovery option.
+ *
+ * @example Recovery status values are:
+ *
+ * { RECOVERING: 'recovering', RECOVERED: 'recovered', GAVE_UP: 'gave up' }
+ *
+ * @access public
+ */
+const RECOVERY_STATUS = {
+  RECOVERING: 'recovering',
+  RECOVERED: 'recovered',
+  GAVE_UP: 'gave up'
+}
+
+/**
+ * @description Summary of the per proxy connection status, see SpdzSocketSession.connectionStatus.
+ * Degraded when only some proxies are up.
+ *
+ * @example Summary values are:
+ *
+ * { ALL_UP: 'all up', DEGRADED: 'degraded', DOWN: 'down' }
+ *
+ * @access public
+ */
+const CONNECTION_SUMMARY = {
+  ALL_UP: 'all up',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
 }
 
+/**
+ * @description What to do when SPDZ messages from a proxy are not in sequence, see the SpdzSocketSession
+ * sequenceGapPolicy option. Either way an error is sent on the spdzErrorStream.
+ *   RESYNC - carry on, messages are matched across proxies by sequence number so later messages stay aligned.
+ *            Messages from proxies which do not number them are passed on unchecked, with a warning logged.
+ *   ABORT - stop processing SPDZ messages from the proxy, also if a message has no sequence number.
+ *
+ * @example Policy values are:
+ *
+ * { RESYNC: 'resync', ABORT: 'abort' }
+ *
+ * @access public
+ */
+const SEQUENCE_GAP_POLICY = {
+  RESYNC: 'resync',
+  ABORT: 'abort'
+}
+
+// Bound the memory used to recognise late messages after a gap.
+const MAX_MISSING_SEQUENCES = 100
+
+// Bound the memory used by messages waiting for the other proxies, see zipAsArrayWithReset.
+const MAX_PENDING_KEYS = 100
+
+// Time an input waits for the SPDZ engines to send enough shares, see setupSendInputShareStream.
+const SHARE_WAIT_MS = 10000
+
 /**
  * From an array of buffers (1 per SPDZ engine) extract out and validate n shares.
  * The number is determined by the length of the byteBuffer.
@@ -63,7 +125,8 @@ const extractValidateShares = byteBufferList => {
  * @param {Array} msgList List of websocket response messages. 
  * @returns {Object} {eventType : EVENT_TYPE if all same, otherwise ERROR,
  *                    status : true if all inputs have status true otherwise false,
- *                    msg : incoming msg}
+ *                    msg : incoming msg,
+ *                    requestId : if set in the messages}
  */
 const flattenResponseMessage = msgList => {
   assert(
@@ -74,83 +137,60 @@ const flattenResponseMessage = msgList => {
   const extractStatus = () =>
     msgList.reduce((a, b) => (a = a && b.status), true)
 
-  return {
+  const flattened = {
     eventType: allSame ? msgList[0].eventType : EVENT_TYPE.ERROR,
     status: allSame ? extractStatus() : false,
     msg: msgList
   }
+  // Responses matched by request id share the id.
+  if (msgList[0].requestId !== undefined) {
+    flattened.requestId = msgList[0].requestId
+  }
+  return flattened
 }
 
-const messageTypeExists = magicNumber =>
-  Object.values(MESSAGE_TYPE).indexOf(magicNumber) > -1
+/**
+ * Message type of a combined output, taken from the last SPDZ engine message.
+ * @param {Array} dataList array of objects {messageType, data, url}
+ * @returns {Number} MESSAGE_TYPE
+ */
+const outputMessageType = dataList =>
+  dataList.reduce(
+    (result, output) => (result = output.messageType),
+    MESSAGE_TYPE.NOTYPE
+  )
 
 /**
  * Validate and convert byte array to number array. 
  * This supports SPDZ returning results in the clear, where each engine is expected to return
  * the same result. These results are compared and only 1 engine results returned.
- * Uses MESSAGE_TYPE returned by SPDZ to determine parsing.
- * @param {Array} dataList array of objects {messageType, data}, where data contains n results.
- * @returns {Array} Number type. 
+ * It also supports SPDZ returning private results, where each engine returns a share
+ * of the result. These shares are summed to reconstruct the result.
+ * Uses the decoder registered for the MESSAGE_TYPE returned by SPDZ, see registerMessageType.
+ * @param {Array} dataList array of objects {messageType, data, url}, where data contains n results.
+ * @param {ConsensusPolicy} [consensusPolicy] how to manage clear results which differ between engines.
+ * @param {String|Object} [outputMode=OUTPUT_MODE.NUMBER] how to represent integer and fixed point results,
+ *                  for all message types or as a map of MESSAGE_TYPE to OUTPUT_MODE.
+ * @returns {Array} Number type (or BigInt/String see OUTPUT_MODE), or Gfp type for SHARED_MODP. Custom types as decoded.
+ *                  For ConsensusPolicy.All an object {consensus, values, results} see resultConsensus.
  */
-const convertOutput = dataList => {
+const convertOutput = (
+  dataList,
+  consensusPolicy = ConsensusPolicy.Unanimous,
+  outputMode = OUTPUT_MODE.NUMBER
+) => {
   try {
     logger.debug('Received output from SPDZ.')
-    const messageType = dataList.reduce(
-      (result, output) => (result = output.messageType),
-      MESSAGE_TYPE.NOTYPE
-    )
+    const messageType = outputMessageType(dataList)
+    const mode = outputModeFor(outputMode, messageType)
     const byteBufferList = dataList.map(output => output.data)
-    if (messageType === MESSAGE_TYPE.CLEAR_MODP_INT) {
-      const gfpResultList = binaryToGfpArray(byteBufferList)
-      return gfpResultList.map(gfp => gfp.toJSInteger())
-    } else if (messageType === MESSAGE_TYPE.INT_32) {
-      return binaryToIntArray(byteBufferList)
-    } else if (messageType === MESSAGE_TYPE.CLEAR_MODP_FIX) {
-      //cfix comes back as bit shifted cint
-      const gfpResultList = binaryToGfpArray(byteBufferList)
-      return gfpResultList.map(gfp => gfp.toJSFixedPoint())
-    } else {
-      throw new Error(
-        `Got output stream with message type ${messageType} not currently handled.`
-      )
+    const consensusOptions = {
+      policy: consensusPolicy,
+      urlList: dataList.map(output => output.url)
     }
+    return decodeMessage(messageType, byteBufferList, consensusOptions, mode)
   } catch (err) {
-    return new Bacon.Error(err.message)
-  }
-}
-
-/**
- * Check that list contains numbers. If any numbers are non-integer treat all as 
- * fixed point and convert according to SPDZ sfix/cfix format.
- * 
- * @param {Array} inputList of numbers
- * @return {Array} unchanged list or bit shifted fixed points.
- */
-const convertUserInput = inputList => {
-  const validNumbers = listComparison(
-    inputList,
-    (a, b) => typeof a === 'number' && typeof b === 'number'
-  )
-
-  if (!validNumbers) {
-    throw new Error(`User input values [${inputList}] must be numbers.`)
-  }
-
-  const allIntegers = listComparison(
-    inputList,
-    (a, b) => Number.isInteger(a) && Number.isInteger(b)
-  )
-
-  if (allIntegers) {
-    return inputList
-  } else {
-    return inputList.map(a =>
-      jsNumberToShiftedInteger(
-        a,
-        Gfp.fixedPointDecBitLength(),
-        Gfp.fixedPointWholeBitLength()
-      )
-    )
+    return new Bacon.Error(err)
   }
 }
 
@@ -161,11 +201,18 @@ const convertUserInput = inputList => {
  * @param {String} encryptionKey session key agreed between client and SPDZ server. 
  * If undefined then assume SPDZ message not encrypted. 
  * @param {String} url SPDZ proxy url - helps with logging 
+ * @param {NonceTracker} [nonceTracker] nonces already received from this SPDZ engine, to reject replayed messages.
  * 
  * @returns {messageType} to indicate the layout / purpose of the message
  * @returns {remainingBytes} the remaining bytes 
+ * Replayed messages give a Bacon.Error holding a ReplayError, other errors are text.
   */
-const parseSpdzMessage = (messageBytes, encryptionKey, url) => {
+const parseSpdzMessage = (
+  messageBytes,
+  encryptionKey,
+  url,
+  nonceTracker = undefined
+) => {
   try {
     assert(
       messageBytes instanceof Uint8Array,
@@ -173,7 +220,7 @@ const parseSpdzMessage = (messageBytes, encryptionKey, url) => {
     )
     const clearBytes =
       encryptionKey !== undefined
-        ? decrypt(encryptionKey, messageBytes)
+        ? decrypt(encryptionKey, messageBytes, nonceTracker)
         : new Uint8Array(messageBytes)
 
     assert(
@@ -191,8 +238,9 @@ const parseSpdzMessage = (messageBytes, encryptionKey, url) => {
     return { messageType: messageType, data: remainingBytes }
   } catch (err) {
     logger.debug(err)
+    const msg = `Parsing message sent by SPDZ. ${err.message} Proxy ${url}.`
     return new Bacon.Error(
-      `Parsing message sent by SPDZ. ${err.message} Proxy ${url}.`
+      err instanceof ReplayError ? new ReplayError(msg, err.nonce) : msg
     )
   }
 }
@@ -204,40 +252,134 @@ const parseSpdzMessage = (messageBytes, encryptionKey, url) => {
  * protocol to split out the input using the local share and a special - operator which behaves differently 
  * depending on party number. 
  * 
- * @param {EventStream} userInputBus user input as integers.
+ * Shares are stored in the inventory as they arrive. Inputs are sent in order, each waiting until the
+ * inventory holds one share per input, and take exactly the shares they need. An input still short of
+ * shares after shareWaitMs is given up on with an error, so that later inputs are not held up.
+ * 
+ * @param {EventStream} userInputBus user input as integers, either an array or {requestId, inputList}.
  * @param {EventStream} extractedSharesStream SPDZ input of shares.
  * @param {EventStream} webSocketBus output stream to initiate socket emit events
+ * @param {ShareInventory} [shareInventory] store of shares waiting to be used.
+ * @param {Number} [shareWaitMs=SHARE_WAIT_MS] time the first waiting input waits for enough shares.
  * 
- * @returns {EventStream} sendValueStream to monitor for errors.
+ * @returns {EventStream} sendValueStream to monitor for errors. Errors for requests with a
+ *                        requestId are sent as {requestId, msg}.
  */
 const setupSendInputShareStream = (
   userInputBus,
   extractedSharesStream,
-  webSocketBus
+  webSocketBus,
+  shareInventory = new ShareInventory(),
+  shareWaitMs = SHARE_WAIT_MS
 ) => {
-  // Need flatMap or errors are sent as values
-  const sendValueStream = userInputBus
-    .zip(extractedSharesStream)
-    .flatMap(inp_share => {
-      const inputList = inp_share[0]
-      const shareList = inp_share[1]
-      if (inputList.length !== shareList.length) {
-        const warnMsg = `Trying to send ${inputList.length} input(s) but ${shareList.length} share(s) suppled.`
+  const sendValueStream = Bacon.fromBinder(sink => {
+    const waitingList = []
+    let shareTimer = undefined
+
+    const combineWithShares = request => {
+      const shareList = shareInventory.take(request.inputList.length)
+      try {
+        const gfpArray = request.inputList.map((input, i) =>
+          shareList[i].add(Gfp.fromUserInput(input))
+        )
+        return new Bacon.Next({
+          requestId: request.requestId,
+          dataArray: gfpArray.map(sharedInput =>
+            base64Encode(sharedInput.toNativeHexString())
+          ),
+          gfpArray: gfpArray
+        })
+      } catch (err) {
+        const warnMsg = `Unable to combine input(s) with share(s). ${err.message}`
         logger.debug(warnMsg)
-        return new Bacon.Error(warnMsg)
+        return new Bacon.Error(
+          request.requestId === undefined
+            ? warnMsg
+            : { requestId: request.requestId, msg: warnMsg }
+        )
+      }
+    }
+
+    const sharesRunOut = request => {
+      const warnMsg = `Trying to send ${request.inputList
+        .length} input(s) but ${shareInventory.size()} share(s) suppled.`
+      logger.debug(warnMsg)
+      return new Bacon.Error(
+        request.requestId === undefined
+          ? warnMsg
+          : { requestId: request.requestId, msg: warnMsg }
+      )
+    }
+
+    const stopShareTimer = () => {
+      clearTimeout(shareTimer)
+      shareTimer = undefined
+    }
+
+    // Give the first waiting input shareWaitMs to get its shares.
+    const startShareTimer = () => {
+      stopShareTimer()
+      shareTimer = setTimeout(() => {
+        shareTimer = undefined
+        sink(sharesRunOut(waitingList.shift()))
+        sendWaitingInputs()
+      }, shareWaitMs)
+    }
+
+    const sendWaitingInputs = () => {
+      const firstWaiting = waitingList[0]
+      while (
+        waitingList.length > 0 &&
+        waitingList[0].inputList.length <= shareInventory.size()
+      ) {
+        sink(combineWithShares(waitingList.shift()))
+      }
+      if (waitingList.length > 0) {
+        logger.debug(
+          `Waiting for shares, need ${waitingList[0].inputList
+            .length}, have ${shareInventory.size()}.`
+        )
+        if (waitingList[0] !== firstWaiting || shareTimer === undefined) {
+          startShareTimer()
+        }
+      } else {
+        stopShareTimer()
+      }
+    }
+
+    const unsubscribeShares = extractedSharesStream.onValue(shareList => {
+      shareInventory.add(shareList)
+      sendWaitingInputs()
+    })
+    // Inputs end when the session is closed.
+    const unsubscribeInputs = userInputBus.subscribe(event => {
+      if (event.isEnd()) {
+        sink(new Bacon.End())
+      } else if (event.hasValue()) {
+        const userInput = event.value()
+        waitingList.push(
+          userInput instanceof Array ? { inputList: userInput } : userInput
+        )
+        sendWaitingInputs()
       }
-      return inputList.map((input, i) => {
-        const sharedInput = shareList[i].add(Gfp.fromUserInput(input))
-        return base64Encode(sharedInput.toNativeHexString())
-      })
     })
 
-  sendValueStream.onValue(inputList => {
-    logger.debug(`About to send ${inputList.length} input(s).`)
+    return () => {
+      stopShareTimer()
+      unsubscribeShares()
+      unsubscribeInputs()
+    }
+  })
+
+  sendValueStream.onValue(sendValue => {
+    logger.debug(`About to send ${sendValue.dataArray.length} input(s).`)
     webSocketBus.push({
       eventType: 'sendData',
       dataType: 'modp',
-      dataArray: inputList
+      dataArray: sendValue.dataArray,
+      // Raw values for transports which encrypt the inputs.
+      gfpArray: sendValue.gfpArray,
+      requestId: sendValue.requestId
     })
   })
 
@@ -268,6 +410,270 @@ const streamWithTimeout = (stream, timeout) => {
   return stream.merge(timerStream)
 }
 
+/**
+ * Check the sequence numbers of parsed SPDZ messages from 1 proxy, detecting gaps, duplicates
+ * and messages arriving out of order. Each is reported as a Bacon.Error, duplicates and late messages
+ * are discarded.
+ *
+ * Sequence numbers are part of the proxy protocol, sent as the second argument of spdz_message, which
+ * older proxies do not send. Messages without one can not be checked: with the RESYNC policy they are
+ * passed through and a warning is logged once per SPDZ connection, with ABORT they are rejected.
+ *
+ * @param {EventStream} messageStream parsed SPDZ messages {messageType, data, sequence}.
+ * @param {String} url SPDZ Proxy URL, used in error messages.
+ * @param {String} [gapPolicy=SEQUENCE_GAP_POLICY.RESYNC] how to handle a gap.
+ * @param {EventStream} [resetStream] any value starts a new sequence, e.g. after reconnecting to SPDZ.
+ * @returns {EventStream} messages in sequence, plus errors.
+ */
+const checkSequence = (
+  messageStream,
+  url,
+  gapPolicy = SEQUENCE_GAP_POLICY.RESYNC,
+  resetStream = Bacon.never()
+) => {
+  const initialState = {
+    last: undefined,
+    missing: [],
+    aborted: false,
+    warned: false
+  }
+  const reset = {}
+
+  return messageStream
+    .merge(resetStream.map(() => reset))
+    .withStateMachine(initialState, (state, event) => {
+      if (!event.hasValue()) {
+        return [state, [event]]
+      }
+      const message = event.value()
+      if (message === reset) {
+        return [initialState, []]
+      }
+      const sequence = message.sequence
+      if (state.aborted) {
+        return [state, []]
+      }
+      if (sequence === undefined) {
+        const unnumberedMsg = `SPDZ message from proxy ${url} has no sequence number, gaps, duplicates and reordering can not be detected.`
+        if (gapPolicy === SEQUENCE_GAP_POLICY.ABORT) {
+          return [
+            Object.assign({}, state, { aborted: true }),
+            [
+              new Bacon.Error(
+                `${unnumberedMsg} Stopped processing SPDZ messages from this proxy.`
+              )
+            ]
+          ]
+        }
+        if (!state.warned) {
+          logger.warn(`${unnumberedMsg} Upgrade the proxy to number messages.`)
+        }
+        return [Object.assign({}, state, { warned: true }), [event]]
+      }
+      if (state.last === undefined || sequence === state.last + 1) {
+        return [Object.assign({}, state, { last: sequence }), [event]]
+      }
+
+      if (sequence > state.last) {
+        const missing = []
+        for (let i = state.last + 1; i < sequence; i++) {
+          missing.push(i)
+        }
+        const gapMsg = `SPDZ message sequence gap from proxy ${url}, expected ${state.last +
+          1} got ${sequence}, ${missing.length} message(s) missing.`
+        logger.warn(gapMsg)
+        if (gapPolicy === SEQUENCE_GAP_POLICY.ABORT) {
+          return [
+            Object.assign({}, state, { aborted: true }),
+            [
+              new Bacon.Error(
+                `${gapMsg} Stopped processing SPDZ messages from this proxy.`
+              )
+            ]
+          ]
+        }
+        return [
+          Object.assign({}, state, {
+            last: sequence,
+            missing: state.missing.concat(missing).slice(-MAX_MISSING_SEQUENCES)
+          }),
+          [new Bacon.Error(gapMsg), event]
+        ]
+      }
+
+      if (state.missing.indexOf(sequence) > -1) {
+        return [
+          Object.assign({}, state, {
+            missing: state.missing.filter(i => i !== sequence)
+          }),
+          [
+            new Bacon.Error(
+              `SPDZ message ${sequence} from proxy ${url} arrived out of order, discarded.`
+            )
+          ]
+        ]
+      }
+      return [
+        state,
+        [
+          new Bacon.Error(
+            `Duplicate SPDZ message ${sequence} from proxy ${url}, discarded.`
+          )
+        ]
+      ]
+    })
+}
+
+/**
+ * Combine streams as with Bacon.zipAsArray, emitting an array once every stream has sent a value.
+ * In addition each value from resetStream discards any values waiting to be matched, so that
+ * after a reconnect the streams are aligned again. Errors are passed through, ends when any stream ends.
+ * 
+ * If keyOf is given, values with a key (e.g. a request id) are matched with the values from the other
+ * streams with the same key, whatever order they arrive in. Values without a key are matched by position.
+ * At most maxPendingKeys keys wait to be matched, beyond that the oldest is discarded with an error.
+ * 
+ * @param {EventStream[]} streamList streams to combine.
+ * @param {EventStream} resetStream any value discards unmatched values.
+ * @param {Function} [keyOf] given a value returns the key to match on, or undefined to match by position.
+ * @param {Object} [options]
+ * @param {EventStream[]} [options.resetStreamList] one per stream, any value discards the unmatched values
+ *                        from that stream only, e.g. when its SPDZ engine starts a new sequence.
+ * @param {Number} [options.maxPendingKeys=MAX_PENDING_KEYS] number of keys which can wait to be matched.
+ * @param {EventStream} [options.discardKeyStream] each value is a key whose unmatched values are discarded,
+ *                      e.g. a request which has been given up on. Values for the key which arrive later
+ *                      are dropped too, for the most recent maxPendingKeys discarded keys.
+ * @returns {EventStream} stream of arrays, one value from each stream.
+ */
+const zipAsArrayWithReset = (
+  streamList,
+  resetStream,
+  keyOf = () => undefined,
+  {
+    resetStreamList = [],
+    maxPendingKeys = MAX_PENDING_KEYS,
+    discardKeyStream = Bacon.never()
+  } = {}
+) => {
+  return Bacon.fromBinder(sink => {
+    let queueList = streamList.map(() => [])
+    let pendingByKey = {}
+    // Keys in the order first seen, so that the oldest is discarded first.
+    let pendingKeyList = []
+    // Keys given up on, the most recent maxPendingKeys, so values arriving late are dropped.
+    let discardedKeyList = []
+
+    const removePending = key => {
+      delete pendingByKey[key]
+      pendingKeyList = pendingKeyList.filter(pendingKey => pendingKey !== key)
+    }
+
+    const matchByPosition = (index, value) => {
+      queueList[index].push(value)
+      if (queueList.every(queue => queue.length > 0)) {
+        sink(new Bacon.Next(queueList.map(queue => queue.shift())))
+      }
+    }
+
+    const matchByKey = (index, value, key) => {
+      const pending = pendingByKey[key] || {
+        received: streamList.map(() => false),
+        values: []
+      }
+      pending.received[index] = true
+      pending.values[index] = value
+      if (pending.received.every(received => received)) {
+        removePending(key)
+        sink(new Bacon.Next(pending.values))
+      } else if (pendingByKey[key] === undefined) {
+        pendingByKey[key] = pending
+        pendingKeyList.push(key)
+        if (pendingKeyList.length > maxPendingKeys) {
+          const oldestKey = pendingKeyList[0]
+          removePending(oldestKey)
+          sink(
+            new Bacon.Error(
+              `Discarded unmatched message ${oldestKey}, more than ${maxPendingKeys} messages are waiting to be matched.`
+            )
+          )
+        }
+      }
+    }
+
+    const logDiscarded = discardCount => {
+      if (discardCount > 0) {
+        logger.debug(`Discarding ${discardCount} unmatched message(s).`)
+      }
+    }
+
+    // Clear the values from 1 stream, dropping keys no other stream has sent.
+    const discardFrom = index => {
+      let discardCount = queueList[index].length
+      queueList[index] = []
+      pendingKeyList.slice().forEach(key => {
+        const pending = pendingByKey[key]
+        if (pending.received[index]) {
+          discardCount++
+          pending.received[index] = false
+          pending.values[index] = undefined
+          if (pending.received.every(received => !received)) {
+            removePending(key)
+          }
+        }
+      })
+      logDiscarded(discardCount)
+    }
+
+    const unsubscribeList = streamList.map((stream, index) =>
+      stream.subscribe(event => {
+        if (event.isEnd()) {
+          sink(new Bacon.End())
+        } else if (event.isError()) {
+          sink(new Bacon.Error(event.error))
+        } else if (event.hasValue()) {
+          const key = keyOf(event.value())
+          if (key === undefined) {
+            matchByPosition(index, event.value())
+          } else if (discardedKeyList.indexOf(key) > -1) {
+            logDiscarded(1)
+          } else {
+            matchByKey(index, event.value(), key)
+          }
+        }
+      })
+    )
+
+    const unsubscribeReset = resetStream.onValue(() => {
+      logDiscarded(
+        queueList.reduce((count, queue) => count + queue.length, 0) +
+          pendingKeyList.length
+      )
+      queueList = streamList.map(() => [])
+      pendingByKey = {}
+      pendingKeyList = []
+    })
+    const unsubscribeResetList = resetStreamList.map((stream, index) =>
+      stream.onValue(() => discardFrom(index))
+    )
+    const unsubscribeDiscard = discardKeyStream.onValue(key => {
+      if (pendingByKey[key] !== undefined) {
+        removePending(key)
+        logDiscarded(1)
+      }
+      if (discardedKeyList.indexOf(key) === -1) {
+        discardedKeyList = discardedKeyList.concat(key).slice(-maxPendingKeys)
+      }
+    })
+
+    return () => {
+      unsubscribeList.forEach(unsubscribe => unsubscribe())
+      unsubscribeReset()
+      unsubscribeResetList.forEach(unsubscribe => unsubscribe())
+      unsubscribeDiscard()
+    }
+  })
+}
+
 export {
   convertOutput,
   convertUserInput,
@@ -275,7 +681,13 @@ export {
   extractValidateShares,
   flattenResponseMessage,
   MESSAGE_TYPE,
+  outputMessageType,
   parseSpdzMessage,
+  RECOVERY_STATUS,
+  CONNECTION_SUMMARY,
+  SEQUENCE_GAP_POLICY,
+  checkSequence,
   setupSendInputShareStream,
-  streamWithTimeout
+  streamWithTimeout,
+  zipAsArrayWithReset
 }
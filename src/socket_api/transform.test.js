@@ -1,14 +1,22 @@
 import Bacon from 'baconjs'
 import {
+  checkSequence,
   convertOutput,
   convertUserInput,
   flattenResponseMessage,
   MESSAGE_TYPE,
   parseSpdzMessage,
   EVENT_TYPE,
+  SEQUENCE_GAP_POLICY,
   setupSendInputShareStream,
-  streamWithTimeout
+  streamWithTimeout,
+  zipAsArrayWithReset
 } from './transform'
+import ShareInventory from './ShareInventory'
+import { NonceTracker } from '../crypto/NonceTracker'
+import ReplayError from '../crypto/ReplayError'
+import ConsensusError from '../type_mapping/ConsensusError'
+import { OUTPUT_MODE } from '../type_mapping/outputMode'
 import { Gfp, initFixedPointParams } from '../math/Gfp'
 import { roundFixed } from '../math/numericConversions'
 import logger from '../utility/logging'
@@ -84,6 +92,135 @@ describe('Convert SPDZ output result buffer into integers', () => {
     )
   })
 
+  it('reconstructs integers from a SHARED_MODP_INT output message', () => {
+    const input = [
+      { messageType: MESSAGE_TYPE.SHARED_MODP_INT, data: new Uint8Array(16) },
+      { messageType: MESSAGE_TYPE.SHARED_MODP_INT, data: new Uint8Array(16) }
+    ]
+
+    binaryToGfpArray
+      .mockImplementationOnce(() => [Gfp.fromUserInput(9000)])
+      .mockImplementationOnce(() => [Gfp.fromUserInput(989)])
+
+    const result = convertOutput(input)
+    expect(result).toEqual([9989])
+  })
+
+  it('reconstructs fixed point from a SHARED_MODP_FIX output message', () => {
+    const input = [
+      { messageType: MESSAGE_TYPE.SHARED_MODP_FIX, data: new Uint8Array(16) },
+      { messageType: MESSAGE_TYPE.SHARED_MODP_FIX, data: new Uint8Array(16) }
+    ]
+
+    binaryToGfpArray
+      .mockImplementationOnce(() => [Gfp.fromUserInput(505000)])
+      .mockImplementationOnce(() => [Gfp.fromUserInput(513)])
+
+    const result = convertOutput(input)
+    expect(result.length).toEqual(1)
+    expect(roundFixed(result[0], Gfp.fixedPointDecBitLength())).toEqual(
+      '493.665'
+    )
+  })
+
+  it('returns CLEAR_MODP_INT values beyond 2^53 losslessly per output mode', () => {
+    const input = [
+      { messageType: MESSAGE_TYPE.CLEAR_MODP_INT, data: fakeBinaryData },
+      { messageType: MESSAGE_TYPE.CLEAR_MODP_INT, data: fakeBinaryData }
+    ]
+    const largeSum = '1267650600228229401496703205376'
+    binaryToGfpArray.mockImplementation(() => [Gfp.fromUserInput(largeSum)])
+
+    expect(convertOutput(input).isError()).toBeTruthy()
+    expect(convertOutput(input, undefined, OUTPUT_MODE.STRING)).toEqual([
+      largeSum
+    ])
+    const [bigIntResult] = convertOutput(input, undefined, {
+      [MESSAGE_TYPE.CLEAR_MODP_INT]: OUTPUT_MODE.BIGINT
+    })
+    expect(typeof bigIntResult).toEqual('bigint')
+    expect(bigIntResult.toString()).toEqual(largeSum)
+
+    binaryToGfpArray.mockReset()
+  })
+
+  it('returns exact decimal strings for CLEAR_MODP_FIX in string output mode', () => {
+    const input = [
+      { messageType: MESSAGE_TYPE.CLEAR_MODP_FIX, data: fakeBinaryData },
+      { messageType: MESSAGE_TYPE.CLEAR_MODP_FIX, data: fakeBinaryData }
+    ]
+
+    binaryToGfpArray.mockImplementationOnce(() => [
+      Gfp.fromUserInput(-505513, false)
+    ])
+
+    expect(
+      convertOutput(input, undefined, {
+        [MESSAGE_TYPE.CLEAR_MODP_FIX]: OUTPUT_MODE.STRING
+      })
+    ).toEqual(['-493.6650390625'])
+  })
+
+  it('returns a Bacon.js error for an unknown output mode', () => {
+    const input = [
+      { messageType: MESSAGE_TYPE.INT_32, data: fakeBinaryData },
+      { messageType: MESSAGE_TYPE.INT_32, data: fakeBinaryData }
+    ]
+
+    const result = convertOutput(input, undefined, 'hex')
+
+    expect(result.isError()).toBeTruthy()
+    expect(result.error.message).toEqual(
+      'Unknown output mode hex, expected one of number,bigint,string.'
+    )
+  })
+
+  it('returns a Bacon.js error if private output share counts differ', () => {
+    const input = [
+      { messageType: MESSAGE_TYPE.SHARED_MODP, data: new Uint8Array(16) },
+      { messageType: MESSAGE_TYPE.SHARED_MODP, data: new Uint8Array(32) }
+    ]
+
+    const result = convertOutput(input)
+
+    expect(result.isError()).toBeTruthy()
+    expect(result.error.message).toEqual(
+      'Spdz proxy 1 provided 2 output share(s), expected 1 to match spdz proxy 0.'
+    )
+  })
+
+  it('returns a Bacon.js error with the disagreements if clear results differ', () => {
+    const input = [
+      {
+        messageType: MESSAGE_TYPE.INT_32,
+        data: fakeBinaryData,
+        url: 'http://proxy0'
+      },
+      {
+        messageType: MESSAGE_TYPE.INT_32,
+        data: fakeBinaryData,
+        url: 'http://proxy1'
+      }
+    ]
+
+    const disagreements = [
+      { proxyIndex: 1, url: 'http://proxy1', positions: [1] }
+    ]
+    binaryToIntArray.mockImplementationOnce(() => {
+      throw new ConsensusError(undefined, disagreements)
+    })
+
+    const result = convertOutput(input)
+
+    expect(result.isError()).toBeTruthy()
+    expect(result.error).toBeInstanceOf(ConsensusError)
+    expect(result.error.disagreements).toEqual(disagreements)
+    expect(binaryToIntArray.mock.calls[0][1].urlList).toEqual([
+      'http://proxy0',
+      'http://proxy1'
+    ])
+  })
+
   it('throws an error if an unknown reg type is encountered', () => {
     const input = [
       { messageType: 99, data: fakeBinaryData },
@@ -93,7 +230,7 @@ describe('Convert SPDZ output result buffer into integers', () => {
     const result = convertOutput(input)
 
     expect(result.isError()).toBeTruthy()
-    expect(result.error).toEqual(
+    expect(result.error.message).toEqual(
       'Got output stream with message type 99 not currently handled.'
     )
   })
@@ -186,6 +323,30 @@ describe('Parse a message of bytes from SPDZ to extract out the headers', () =>
     )
   })
 
+  it('returns a Bacon.js error holding a ReplayError for a replayed message', () => {
+    const nonceTracker = new NonceTracker()
+    decrypt.mockImplementationOnce(() => {
+      throw new ReplayError('Replayed SPDZ message.', 'abcd')
+    })
+
+    const result = parseSpdzMessage(
+      Uint8Array.from([0xaa, 0xab, 0xcd, 0xef]),
+      '1234',
+      'https://some.proxy.url',
+      nonceTracker
+    )
+
+    expect(decrypt.mock.calls[decrypt.mock.calls.length - 1][2]).toBe(
+      nonceTracker
+    )
+    expect(result.isError()).toBeTruthy()
+    expect(result.error).toBeInstanceOf(ReplayError)
+    expect(result.error.nonce).toEqual('abcd')
+    expect(result.error.message).toEqual(
+      'Parsing message sent by SPDZ. Replayed SPDZ message. Proxy https://some.proxy.url.'
+    )
+  })
+
   it('throws a Bacon.js error if unknown message type received', () => {
     const encryptedBytes = Uint8Array.from([0xaa, 0xab, 0xcd, 0xef])
 
@@ -249,7 +410,9 @@ describe('Combine user input with shares to send to SPDZ.', () => {
     const sendValueStream = setupSendInputShareStream(
       userInputBus,
       extractedSharesStream,
-      webSocketBus
+      webSocketBus,
+      new ShareInventory(),
+      10
     )
 
     sendValueStream.onError(value => {
@@ -266,6 +429,92 @@ describe('Combine user input with shares to send to SPDZ.', () => {
     extractedSharesStream.push([Gfp.fromUserInput('100')])
     userInputBus.push([1, 2])
   })
+
+  it('sends the next input once the waiting input has run out of time', done => {
+    const sendValueStream = setupSendInputShareStream(
+      userInputBus,
+      extractedSharesStream,
+      webSocketBus,
+      new ShareInventory(),
+      10
+    )
+    const errors = []
+    sendValueStream.onError(value => errors.push(value))
+
+    webSocketBus.onValue(value => {
+      try {
+        expect(errors).toEqual([
+          {
+            requestId: 1,
+            msg: 'Trying to send 2 input(s) but 1 share(s) suppled.'
+          }
+        ])
+        expect(value.requestId).toEqual(2)
+        expect(value.dataArray.length).toEqual(1)
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    extractedSharesStream.push([Gfp.fromUserInput('100')])
+    userInputBus.push({ requestId: 1, inputList: [1, 2] })
+    userInputBus.push({ requestId: 2, inputList: [3] })
+  })
+
+  it('waits for enough shares and uses each share once', () => {
+    const shareInventory = new ShareInventory()
+    const sentValues = []
+    setupSendInputShareStream(
+      userInputBus,
+      extractedSharesStream,
+      webSocketBus,
+      shareInventory
+    )
+    webSocketBus.onValue(value => sentValues.push(value.dataArray))
+
+    extractedSharesStream.push([Gfp.fromUserInput('100')])
+    userInputBus.push([1, 2])
+    expect(sentValues.length).toEqual(0)
+    expect(shareInventory.size()).toEqual(1)
+
+    extractedSharesStream.push([
+      Gfp.fromUserInput('200'),
+      Gfp.fromUserInput('300')
+    ])
+    expect(sentValues).toEqual([
+      ['ZHUdXxiHeXxAg3MleGr/OQ==', 'R314o6eIjfP7j+wEYBL+cQ==']
+    ])
+    expect(shareInventory.size()).toEqual(1)
+
+    userInputBus.push([3])
+    expect(sentValues.length).toEqual(2)
+    expect(sentValues[1].length).toEqual(1)
+    expect(shareInventory.size()).toEqual(0)
+  })
+
+  it('reports the request id with the error for a request', done => {
+    const sendValueStream = setupSendInputShareStream(
+      userInputBus,
+      extractedSharesStream,
+      webSocketBus
+    )
+
+    sendValueStream.onError(value => {
+      try {
+        expect(value.requestId).toEqual(7)
+        expect(value.msg).toMatch(
+          /^Unable to combine input\(s\) with share\(s\)\./
+        )
+        done()
+      } catch (err) {
+        done.fail(err)
+      }
+    })
+
+    extractedSharesStream.push([Gfp.fromUserInput('100')])
+    userInputBus.push({ requestId: 7, inputList: ['not a number'] })
+  })
 })
 
 describe('Flatten an array of SPDZ proxy response messages', () => {
@@ -410,3 +659,227 @@ describe('Create stream with timeout', () => {
     })
   })
 })
+
+describe('Zip streams with a reset to discard unmatched values', () => {
+  it('matches values by position and realigns after a reset', () => {
+    const bus1 = new Bacon.Bus()
+    const bus2 = new Bacon.Bus()
+    const resetBus = new Bacon.Bus()
+    const values = []
+
+    zipAsArrayWithReset([bus1, bus2], resetBus).onValue(value =>
+      values.push(value)
+    )
+
+    bus1.push('a1')
+    bus2.push('a2')
+    // Proxy 2 misses message b, without a reset c1 would be paired with b2.
+    bus1.push('b1')
+    resetBus.push(true)
+    bus1.push('c1')
+    bus2.push('c2')
+
+    expect(values).toEqual([['a1', 'a2'], ['c1', 'c2']])
+  })
+
+  it('matches values with a key whatever order they arrive in', () => {
+    const bus1 = new Bacon.Bus()
+    const bus2 = new Bacon.Bus()
+    const values = []
+
+    zipAsArrayWithReset(
+      [bus1, bus2],
+      new Bacon.Bus(),
+      value => value.requestId
+    ).onValue(value => values.push(value))
+
+    bus1.push({ requestId: 1, status: true })
+    bus1.push({ requestId: 2, status: false })
+    bus2.push({ requestId: 2, status: true })
+    bus2.push({ requestId: 1, status: true })
+
+    expect(values).toEqual([
+      [{ requestId: 2, status: false }, { requestId: 2, status: true }],
+      [{ requestId: 1, status: true }, { requestId: 1, status: true }]
+    ])
+  })
+
+  it('passes on errors from any stream', () => {
+    const bus1 = new Bacon.Bus()
+    const bus2 = new Bacon.Bus()
+    const errors = []
+
+    zipAsArrayWithReset([bus1, bus2], new Bacon.Bus()).onError(err =>
+      errors.push(err)
+    )
+    bus2.error('Bad message.')
+
+    expect(errors).toEqual(['Bad message.'])
+  })
+
+  it('discards the unmatched values of 1 stream when it is reset', () => {
+    const bus1 = new Bacon.Bus()
+    const bus2 = new Bacon.Bus()
+    const spdzConnectBus1 = new Bacon.Bus()
+    const values = []
+
+    zipAsArrayWithReset(
+      [bus1, bus2],
+      new Bacon.Bus(),
+      value => value.sequence,
+      { resetStreamList: [spdzConnectBus1, new Bacon.Bus()] }
+    ).onValue(value => values.push(value))
+
+    // Proxy 2 misses sequence 1, then the engine behind proxy 1 restarts its sequence.
+    bus1.push({ sequence: 1, session: 'old' })
+    spdzConnectBus1.push(true)
+    bus2.push({ sequence: 1, session: 'new' })
+    bus1.push({ sequence: 1, session: 'new' })
+
+    expect(values).toEqual([
+      [{ sequence: 1, session: 'new' }, { sequence: 1, session: 'new' }]
+    ])
+  })
+
+  it('discards the oldest unmatched key beyond the limit with an error', () => {
+    const bus1 = new Bacon.Bus()
+    const bus2 = new Bacon.Bus()
+    const values = []
+    const errors = []
+
+    const zipped = zipAsArrayWithReset(
+      [bus1, bus2],
+      new Bacon.Bus(),
+      value => value.sequence,
+      { maxPendingKeys: 2 }
+    )
+    zipped.onValue(value => values.push(value))
+    zipped.onError(err => errors.push(err))
+
+    bus1.push({ sequence: 1 })
+    bus1.push({ sequence: 2 })
+    bus1.push({ sequence: 3 })
+    bus2.push({ sequence: 3 })
+    bus2.push({ sequence: 2 })
+
+    expect(errors).toEqual([
+      'Discarded unmatched message 1, more than 2 messages are waiting to be matched.'
+    ])
+    expect(values).toEqual([
+      [{ sequence: 3 }, { sequence: 3 }],
+      [{ sequence: 2 }, { sequence: 2 }]
+    ])
+  })
+  it('drops values for a discarded key which arrive late', () => {
+    const bus1 = new Bacon.Bus()
+    const bus2 = new Bacon.Bus()
+    const discardBus = new Bacon.Bus()
+    const values = []
+    const errors = []
+
+    const zipped = zipAsArrayWithReset(
+      [bus1, bus2],
+      new Bacon.Bus(),
+      value => value.requestId,
+      { maxPendingKeys: 2, discardKeyStream: discardBus }
+    )
+    zipped.onValue(value => values.push(value))
+    zipped.onError(err => errors.push(err))
+
+    // Requests 1 and 2 time out before any response, then proxy 1 responds late.
+    ;[1, 2].forEach(requestId => discardBus.push(requestId))
+    ;[1, 2].forEach(requestId => bus1.push({ requestId: requestId }))
+    bus1.push({ requestId: 4 })
+    bus2.push({ requestId: 4 })
+
+    expect(errors).toEqual([])
+    expect(values).toEqual([[{ requestId: 4 }, { requestId: 4 }]])
+  })
+})
+
+describe('Check the sequence of SPDZ messages from a proxy', () => {
+  const message = sequence => ({ messageType: 3, sequence: sequence })
+
+  const collect = stream => {
+    const events = []
+    stream.subscribe(event => {
+      if (event.isError()) {
+        events.push(event.error)
+      } else if (event.hasValue()) {
+        events.push(event.value().sequence)
+      }
+    })
+    return events
+  }
+
+  it('reports gaps, then discards late and duplicate messages', () => {
+    const bus = new Bacon.Bus()
+    const events = collect(checkSequence(bus, 'http://proxy0'))
+    ;[1, 2, 5, 3, 5, 6].forEach(sequence => bus.push(message(sequence)))
+
+    expect(events).toEqual([
+      1,
+      2,
+      'SPDZ message sequence gap from proxy http://proxy0, expected 3 got 5, 2 message(s) missing.',
+      5,
+      'SPDZ message 3 from proxy http://proxy0 arrived out of order, discarded.',
+      'Duplicate SPDZ message 5 from proxy http://proxy0, discarded.',
+      6
+    ])
+  })
+
+  it('stops passing messages after a gap with the abort policy', () => {
+    const bus = new Bacon.Bus()
+    const resetBus = new Bacon.Bus()
+    const events = collect(
+      checkSequence(bus, 'http://proxy0', SEQUENCE_GAP_POLICY.ABORT, resetBus)
+    )
+
+    bus.push(message(1))
+    bus.push(message(3))
+    bus.push(message(4))
+    resetBus.push(true)
+    bus.push(message(1))
+
+    expect(events).toEqual([
+      1,
+      'SPDZ message sequence gap from proxy http://proxy0, expected 2 got 3, 1 message(s) missing. Stopped processing SPDZ messages from this proxy.',
+      1
+    ])
+  })
+
+  it('passes messages without sequence numbers unchecked, warning once', () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {})
+    const bus = new Bacon.Bus()
+    const resetBus = new Bacon.Bus()
+    const events = collect(
+      checkSequence(bus, 'http://proxy0', SEQUENCE_GAP_POLICY.RESYNC, resetBus)
+    )
+
+    bus.push(message(undefined))
+    bus.push(message(undefined))
+    resetBus.push(true)
+    bus.push(message(undefined))
+
+    expect(events).toEqual([undefined, undefined, undefined])
+    expect(warn).toHaveBeenCalledTimes(2)
+    expect(warn).toBeCalledWith(
+      'SPDZ message from proxy http://proxy0 has no sequence number, gaps, duplicates and reordering can not be detected. Upgrade the proxy to number messages.'
+    )
+    warn.mockRestore()
+  })
+
+  it('rejects messages without sequence numbers with the abort policy', () => {
+    const bus = new Bacon.Bus()
+    const events = collect(
+      checkSequence(bus, 'http://proxy0', SEQUENCE_GAP_POLICY.ABORT)
+    )
+
+    bus.push(message(undefined))
+    bus.push(message(1))
+
+    expect(events).toEqual([
+      'SPDZ message from proxy http://proxy0 has no sequence number, gaps, duplicates and reordering can not be detected. Stopped processing SPDZ messages from this proxy.'
+    ])
+  })
+})
@@ -0,0 +1,80 @@
+/**
+ * Transport to a SPDZ proxy over a plain WebSocket, for proxies which do not run socket.io.
+ *
+ * Events are text frames holding JSON {event, args}, except spdz_message which is a binary frame.
+ * There is no automatic reconnection.
+ */
+/* global WebSocket */
+import handlerRegistry from '../utility/handlerRegistry'
+import logger from '../utility/logging'
+
+const toWebSocketUrl = url => url.replace(/^http/, 'ws') + '/spdzapi'
+
+/**
+ * @description Create a transport factory for native WebSocket connections to SPDZ proxies.
+ * The proxy url http(s)://host is connected as ws(s)://host/spdzapi.
+ *
+ * @param {Function} [WebSocketImpl] WebSocket constructor, defaults to the global WebSocket.
+ * @returns {Function} transport factory (url, connectOptions) => transport, see socketIoTransport.
+ *
+ * @example Run a session over WebSockets:
+ *
+ * const session = new SpdzSocketSession(proxyList, {}, {
+ *   transport: webSocketTransport()
+ * })
+ *
+ * @access public
+ */
+const webSocketTransport = (WebSocketImpl = undefined) => url => {
+  const WebSocketClass =
+    WebSocketImpl !== undefined
+      ? WebSocketImpl
+      : typeof WebSocket !== 'undefined' ? WebSocket : undefined
+  if (WebSocketClass === undefined) {
+    throw new Error('No WebSocket implementation available.')
+  }
+
+  const handlers = handlerRegistry()
+  const ws = new WebSocketClass(toWebSocketUrl(url))
+  ws.binaryType = 'arraybuffer'
+  let opened = false
+
+  ws.onopen = () => {
+    opened = true
+    handlers.dispatch('connect')
+  }
+  ws.onerror = () => {
+    if (!opened) {
+      handlers.dispatch('connect_error')
+    }
+  }
+  ws.onclose = () => {
+    if (opened) {
+      opened = false
+      handlers.dispatch('disconnect')
+    }
+  }
+  ws.onmessage = message => {
+    if (typeof message.data === 'string') {
+      try {
+        const { event, args } = JSON.parse(message.data)
+        handlers.dispatch(event, args)
+      } catch (err) {
+        logger.warn(`Unable to parse message from proxy ${url}. ${err.message}`)
+      }
+    } else {
+      handlers.dispatch('spdz_message', [new Uint8Array(message.data)])
+    }
+  }
+
+  return {
+    on: handlers.on,
+    off: handlers.off,
+    emit: (event, ...args) => {
+      ws.send(JSON.stringify({ event: event, args: args }))
+    },
+    close: () => ws.close()
+  }
+}
+
+export default webSocketTransport
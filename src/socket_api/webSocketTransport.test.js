@@ -0,0 +1,59 @@
+import webSocketTransport from './webSocketTransport'
+
+// Records the socket created by the transport so the test can play the proxy side.
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url
+    this.sent = []
+    FakeWebSocket.last = this
+  }
+  send(data) {
+    this.sent.push(data)
+  }
+  close() {
+    this.onclose()
+  }
+}
+
+describe('Wrap a native WebSocket as a transport', () => {
+  it('connects to the spdzapi path and maps frames to events', () => {
+    const transport = webSocketTransport(FakeWebSocket)('https://proxy0:8080')
+    const ws = FakeWebSocket.last
+    const events = []
+    transport.on('connect', () => events.push('connect'))
+    transport.on('sendData_result', response => events.push(response))
+    transport.on('spdz_message', bytes => events.push(bytes))
+    transport.on('disconnect', () => events.push('disconnect'))
+
+    ws.onopen()
+    ws.onmessage({
+      data: JSON.stringify({ event: 'sendData_result', args: [{ status: 0 }] })
+    })
+    ws.onmessage({ data: Uint8Array.of(1, 2).buffer })
+    transport.emit('sendData', 'modp', [1, 2], 7)
+    transport.close()
+
+    expect(ws.url).toEqual('wss://proxy0:8080/spdzapi')
+    expect(events).toEqual([
+      'connect',
+      { status: 0 },
+      Uint8Array.of(1, 2),
+      'disconnect'
+    ])
+    expect(JSON.parse(ws.sent[0])).toEqual({
+      event: 'sendData',
+      args: ['modp', [1, 2], 7]
+    })
+  })
+
+  it('reports a connect error if the socket fails before opening', () => {
+    const transport = webSocketTransport(FakeWebSocket)('http://proxy0')
+    let errorCount = 0
+    transport.on('connect_error', () => errorCount++)
+
+    FakeWebSocket.last.onerror()
+
+    expect(FakeWebSocket.last.url).toEqual('ws://proxy0/spdzapi')
+    expect(errorCount).toEqual(1)
+  })
+})
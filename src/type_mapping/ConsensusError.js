@@ -0,0 +1,23 @@
+/**
+ * @description Error to represent SPDZ Engines not agreeing on a result which should be the same for all engines.
+ * 
+ * @param {String} message text
+ * @param {Object[]} disagreements - one entry per SPDZ Proxy whose result differs from the majority result.
+ * @param {Number} disagreements.proxyIndex - position of the proxy in the proxy list.
+ * @param {String} [disagreements.url] - URL of the proxy, if known.
+ * @param {Number[]} disagreements.positions - result positions which differ.
+ * 
+ * @returns {function} extended from Error.prototype
+ * 
+ * @access public
+ */
+function ConsensusError(message, disagreements) {
+  this.name = 'ConsensusError'
+  this.message = message || 'Not all parties have sent the same result.'
+  this.disagreements = disagreements || []
+  this.stack = new Error().stack
+}
+ConsensusError.prototype = Object.create(Error.prototype)
+ConsensusError.prototype.constructor = ConsensusError
+
+export default ConsensusError
@@ -0,0 +1,78 @@
+/**
+ * Type mapping from arrays of inputs to a little endian Uint8Array buffer, the reverse of binaryToArray.
+ * Used where the client builds the raw SPDZ message itself, e.g. to encrypt inputs for the SPDZ engine.
+ */
+import { Buffer } from 'buffer/'
+import { Gfp } from '../math/Gfp'
+
+const INT32_MIN = -Math.pow(2, 31)
+const INT32_MAX = Math.pow(2, 31) - 1
+
+const concatBuffers = bufferList => {
+  const totalLength = bufferList.reduce((sum, buffer) => sum + buffer.length, 0)
+  const byteBuffer = new Uint8Array(totalLength)
+  bufferList.reduce((offset, buffer) => {
+    byteBuffer.set(buffer, offset)
+    return offset + buffer.length
+  }, 0)
+  return byteBuffer
+}
+
+/**
+ * Convert Gfp values into 16 byte little endian integers in montgomery format, as sent by SPDZ.
+ * @param {Array<Gfp>} gfpArray
+ * @returns {Uint8Array} byte buffer
+ */
+const gfpArrayToBinary = gfpArray => {
+  const hexLength = Gfp.integerLengthBytes() * 2
+  return concatBuffers(
+    gfpArray.map(gfp => {
+      let hex = gfp.toNativeHexString()
+      while (hex.length < hexLength) {
+        hex = '0' + hex
+      }
+      return Uint8Array.from(Buffer.from(hex, 'hex')).reverse()
+    })
+  )
+}
+
+/**
+ * Convert integers into 4 byte little endian signed integers (SPDZ regint).
+ * Throws if a value is not an integer in the int32 range, rather than letting it wrap.
+ * @param {Array<Number>} intArray
+ * @returns {Uint8Array} byte buffer
+ */
+const intArrayToBinary = intArray => {
+  const byteBuffer = new Uint8Array(intArray.length * 4)
+  const view = new DataView(byteBuffer.buffer)
+  intArray.forEach((value, i) => {
+    if (!Number.isInteger(value) || value < INT32_MIN || value > INT32_MAX) {
+      throw new Error(
+        `Input ${i} (${value}) must be an integer in the int32 range.`
+      )
+    }
+    view.setInt32(i * 4, value, true)
+  })
+  return byteBuffer
+}
+
+/**
+ * Convert inputs for a SPDZ data type into a byte buffer.
+ * @param {String} dataType 'modp' or 'int32'.
+ * @param {Array<Gfp|Number|String>} valueList Gfp values, or integers converted with Gfp.fromUserInput for modp.
+ * @returns {Uint8Array} byte buffer
+ */
+const inputsToBinary = (dataType, valueList) => {
+  if (dataType === 'modp') {
+    return gfpArrayToBinary(
+      valueList.map(
+        value => (value instanceof Gfp ? value : Gfp.fromUserInput(value))
+      )
+    )
+  } else if (dataType === 'int32') {
+    return intArrayToBinary(valueList)
+  }
+  throw new Error(`Unable to convert inputs of data type ${dataType}.`)
+}
+
+export { gfpArrayToBinary, intArrayToBinary, inputsToBinary }
@@ -0,0 +1,44 @@
+import { inputsToBinary } from './arrayToBinary'
+import { binaryToGfpArray, binaryToIntArray } from './binaryToArray'
+import { Gfp } from '../math/Gfp'
+
+describe('Convert inputs into SPDZ little endian binary', () => {
+  it('converts modp values into 16 byte montgomery integers read back by binaryToGfpArray', () => {
+    const byteBuffer = inputsToBinary('modp', [
+      Gfp.fromUserInput('-464646'),
+      7,
+      '123456789012345678901'
+    ])
+
+    expect(byteBuffer.length).toEqual(48)
+    expect(binaryToGfpArray([byteBuffer]).map(gfp => gfp.toString())).toEqual([
+      '-464646',
+      '7',
+      '123456789012345678901'
+    ])
+  })
+
+  it('converts int32 values into 4 byte signed integers', () => {
+    const byteBuffer = inputsToBinary('int32', [1, 2, 2147483647])
+
+    expect(binaryToIntArray([byteBuffer])).toEqual([1, 2, 2147483647])
+    expect(inputsToBinary('int32', [-2])).toEqual(
+      Uint8Array.of(0xfe, 0xff, 0xff, 0xff)
+    )
+  })
+
+  it('rejects int32 values which would wrap', () => {
+    expect(() => inputsToBinary('int32', [1, 5000000000])).toThrowError(
+      'Input 1 (5000000000) must be an integer in the int32 range.'
+    )
+    expect(() => inputsToBinary('int32', [-2147483649])).toThrowError(
+      'Input 0 (-2147483649) must be an integer in the int32 range.'
+    )
+  })
+
+  it('rejects unknown data types', () => {
+    expect(() => inputsToBinary('cfix', [1])).toThrowError(
+      'Unable to convert inputs of data type cfix.'
+    )
+  })
+})
@@ -2,10 +2,12 @@
  * Type mapping from little endian Uint8Array buffer to an array of integers (int32 or Gfp).
  * 
  * The list is expected to contain the same values, from each SPDZ engine.
- * If all are the same then return the first in the list, otherwise throw an exception.
+ * Agreement is checked with resultConsensus, by default if all are the same then return
+ * the first in the list, otherwise throw a ConsensusError.
  */
 import { binaryToHex } from '../utility/binary'
 import { Gfp } from '../math/Gfp'
+import { resultConsensus } from './resultConsensus'
 /**
  * Binary data should be multiple of intSize bytes.
  */
@@ -28,50 +30,20 @@ const checkBuffer = (intSize, byteBufferList) => {
     .join('\n')
 }
 
-/**
- * Check that array in the first index of the passed in matrix are the same.
- * Types are expected to be integers or Gfp values.
- * No items is true.
- * @param {enumerable matrix of elements} matrix [spdz proxy index][result number]
- * @return {boolean} true or false
- */
-const allSame = list => {
-  if (list.length === 0) {
-    return true
-  } else {
-    return !!list.reduce((a, b) => {
-      if (a.length && b.length && a.length === b.length) {
-        for (let i = 0; i < a.length; i++) {
-          if (a[i] instanceof Gfp) {
-            if (!a[i].equals(b[i])) {
-              return NaN
-            }
-          } else {
-            if (a[i] !== b[i]) {
-              return NaN
-            }
-          }
-        }
-      } else {
-        return NaN
-      }
-      return a
-    })
-  }
-}
-
 /**
  * Validate that byteBufferList contains same values across list and map binary to output format using function passed 
  * in parmeter extractBinaryIntoArray.
  * 
  * @param {Uint8Array[]} byteBufferList Array of binary data sent from SPDZ Engines.
  * @param {Number} typeByteLength Number of bytes in each number
+ * @param {Object} [consensusOptions] policy and urlList passed to resultConsensus.
  * @param {Function} extractBinaryIntoArray run over each byteBuffer to extract numbers/hex string.
  * @returns {Array} Array of results with values depending on extractBinaryIntoArray.
  */
 const binaryToArray = (
   byteBufferList,
   typeByteLength,
+  consensusOptions,
   extractBinaryIntoArray
 ) => {
   if (byteBufferList.length === 0) {
@@ -86,11 +58,7 @@ const binaryToArray = (
   //First index indicates SPDZ proxy, second indicates result number
   const arrayMatrix = byteBufferList.map(extractBinaryIntoArray)
 
-  if (!allSame(arrayMatrix)) {
-    throw new Error('Not all parties have sent the same result.')
-  }
-
-  return arrayMatrix[0]
+  return resultConsensus(arrayMatrix, consensusOptions)
 }
 
 /**
@@ -99,6 +67,9 @@ const binaryToArray = (
  * Validates that binary outputs are the same across all SPDZ Engines and returns int results from the first SPDZ engine.
  * 
  * @param {Uint8Array[]} byteBufferList Array of binary data sent from SPDZ Engines.
+ * @param {Object} [consensusOptions] - how to manage SPDZ Engines which disagree.
+ * @param {ConsensusPolicy} [consensusOptions.policy=ConsensusPolicy.Unanimous] - consensus policy to apply.
+ * @param {String[]} [consensusOptions.urlList] - proxy urls in byteBufferList order, used to report disagreements.
  * 
  * @returns {Number[]} an array of unsigned integers, representing the results from a single SPDZ Engine.
  * 
@@ -113,8 +84,8 @@ const binaryToArray = (
  * 
  * @access public
  */
-const binaryToIntArray = byteBufferList => {
-  return binaryToArray(byteBufferList, 4, byteBuffer => {
+const binaryToIntArray = (byteBufferList, consensusOptions) => {
+  return binaryToArray(byteBufferList, 4, consensusOptions, byteBuffer => {
     // Read through buffer, reversing then extracting each 4 bytes (little endian integer -> big endian)
     const intArray = new Array(byteBuffer.length / 4)
     const dv = new DataView(byteBuffer.buffer)
@@ -126,8 +97,8 @@ const binaryToIntArray = byteBufferList => {
   })
 }
 
-const binaryToGfpArray = byteBufferList => {
-  return binaryToArray(byteBufferList, 16, byteBuffer => {
+const binaryToGfpArray = (byteBufferList, consensusOptions) => {
+  return binaryToArray(byteBufferList, 16, consensusOptions, byteBuffer => {
     const gfpArray = new Array(byteBuffer.length / Gfp.integerLengthBytes())
 
     for (let i = 0; i < byteBuffer.length; i += Gfp.integerLengthBytes()) {
@@ -147,19 +118,25 @@ const binaryToGfpArray = byteBufferList => {
  * For example used to convert client public key (8 * 4 byte ints) into 64 byte hex string.
  * @param {Array<Uint8Array(n)>} byteBufferList containing 1 entry for each proxy, each entry is a Uint8Array of length n.
  * @param {Number} intCount expected number of regints.
+ * @param {Object} [consensusOptions] policy and urlList passed to resultConsensus.
  * @returns hex string
  */
-const regIntToHexString = (byteBufferList, intCount) => {
+const regIntToHexString = (byteBufferList, intCount, consensusOptions) => {
   const bufferLength = 4 * intCount
-  return binaryToArray(byteBufferList, bufferLength, byteBuffer => {
-    // Read through buffer, reversing each 4 bytes (little endian integer -> big endian)
-    const reversedByteBuffer = new Uint8Array(bufferLength)
-    for (let i = 0; i < bufferLength; i += 4) {
-      const revArray = byteBuffer.slice(i, i + 4).reverse()
-      reversedByteBuffer.set(revArray, i)
+  return binaryToArray(
+    byteBufferList,
+    bufferLength,
+    consensusOptions,
+    byteBuffer => {
+      // Read through buffer, reversing each 4 bytes (little endian integer -> big endian)
+      const reversedByteBuffer = new Uint8Array(bufferLength)
+      for (let i = 0; i < bufferLength; i += 4) {
+        const revArray = byteBuffer.slice(i, i + 4).reverse()
+        reversedByteBuffer.set(revArray, i)
+      }
+      return binaryToHex(reversedByteBuffer)
     }
-    return binaryToHex(reversedByteBuffer)
-  })
+  )
 }
 
 module.exports = { binaryToIntArray, binaryToGfpArray, regIntToHexString }
@@ -0,0 +1,239 @@
+/**
+ * Registry of the SPDZ message types a client understands, keyed by the message type number
+ * which SPDZ writes as the first 4 bytes of each message.
+ * The built-in types are default entries, applications add their own write_to_socket layouts.
+ */
+import { binaryToIntArray, binaryToGfpArray } from './binaryToArray'
+import reconstructShares from './reconstructShares'
+import { resultConsensus } from './resultConsensus'
+import { gfpToFixedPoint, gfpToInteger } from './outputMode'
+
+/**
+ * @description Identify type of return message from SPDZ.
+ * Types 0 to 4 match SPDZ ClientMessageType in Compiler/type.py.
+ * Types 5 to 7 (SHARED_*) are extensions of this library, not part of SPDZ. They carry each engine's
+ * additive share of a private (sint/sfix) output, so the SPDZ program must write the type number itself.
+ * Further types can be added with registerMessageType.
+ *
+ * @example Message types are:
+ *
+ * SPDZ: { NOTYPE: 0, TRIPLE_SHARES: 1, CLEAR_MODP_INT: 2, INT_32: 3, CLEAR_MODP_FIX: 4 }
+ * Extensions: { SHARED_MODP_INT: 5, SHARED_MODP_FIX: 6, SHARED_MODP: 7 }
+ *
+ * @access public
+ */
+const MESSAGE_TYPE = {
+  NOTYPE: 0,
+  TRIPLE_SHARES: 1,
+  CLEAR_MODP_INT: 2,
+  INT_32: 3,
+  CLEAR_MODP_FIX: 4,
+  // Extensions, not in SPDZ ClientMessageType.
+  SHARED_MODP_INT: 5,
+  SHARED_MODP_FIX: 6,
+  SHARED_MODP: 7
+}
+
+/**
+ * Apply a conversion to a consensus result, which is either an array of values or
+ * for ConsensusPolicy.All an object holding the values from every proxy.
+ */
+const mapConsensusResult = (result, convert) => {
+  if (result instanceof Array) {
+    return result.map(convert)
+  }
+  return Object.assign({}, result, {
+    values: result.values.map(convert),
+    results: result.results.map(proxyResult =>
+      Object.assign({}, proxyResult, {
+        values: proxyResult.values.map(convert)
+      })
+    )
+  })
+}
+
+// NOTYPE and TRIPLE_SHARES have no decoder, shares are handled by the send input streams.
+const BUILT_IN_ENTRIES = {
+  [MESSAGE_TYPE.NOTYPE]: { name: 'NOTYPE' },
+  [MESSAGE_TYPE.TRIPLE_SHARES]: { name: 'TRIPLE_SHARES' },
+  [MESSAGE_TYPE.CLEAR_MODP_INT]: {
+    name: 'CLEAR_MODP_INT',
+    decode: (byteBufferList, context) =>
+      mapConsensusResult(
+        binaryToGfpArray(byteBufferList, context.consensusOptions),
+        gfp => gfpToInteger(gfp, context.outputMode)
+      )
+  },
+  [MESSAGE_TYPE.INT_32]: {
+    name: 'INT_32',
+    decode: (byteBufferList, context) =>
+      binaryToIntArray(byteBufferList, context.consensusOptions)
+  },
+  [MESSAGE_TYPE.CLEAR_MODP_FIX]: {
+    name: 'CLEAR_MODP_FIX',
+    //cfix comes back as bit shifted cint
+    decode: (byteBufferList, context) =>
+      mapConsensusResult(
+        binaryToGfpArray(byteBufferList, context.consensusOptions),
+        gfp => gfpToFixedPoint(gfp, context.outputMode)
+      )
+  },
+  [MESSAGE_TYPE.SHARED_MODP_INT]: {
+    name: 'SHARED_MODP_INT',
+    decode: (byteBufferList, context) =>
+      reconstructShares(byteBufferList).map(gfp =>
+        gfpToInteger(gfp, context.outputMode)
+      )
+  },
+  [MESSAGE_TYPE.SHARED_MODP_FIX]: {
+    name: 'SHARED_MODP_FIX',
+    //sfix comes back as shares of a bit shifted sint
+    decode: (byteBufferList, context) =>
+      reconstructShares(byteBufferList).map(gfp =>
+        gfpToFixedPoint(gfp, context.outputMode)
+      )
+  },
+  [MESSAGE_TYPE.SHARED_MODP]: {
+    name: 'SHARED_MODP',
+    decode: byteBufferList => reconstructShares(byteBufferList)
+  }
+}
+
+let registry = Object.assign({}, BUILT_IN_ENTRIES)
+
+/**
+ * @description Register a custom SPDZ message type, for programs which write their own layout with write_to_socket.
+ * Messages of this type are then accepted from SPDZ and decoded into results.
+ *
+ * The decoder is given one byte buffer per SPDZ engine, in proxy order, without the 4 byte message type header.
+ * It returns the list of values for the result. The context holds:
+ *   consensusOptions - {policy, urlList} for the session consensusPolicy, see binaryToIntArray.
+ *   consensus(resultMatrix) - apply the consensus policy to the values decoded from each engine, see ConsensusPolicy.
+ *   outputMode - the OUTPUT_MODE for this message type.
+ * A decoder throws to report a result error on the spdzErrorStream.
+ *
+ * @param {Number} messageType - message type number sent by SPDZ, an unsigned 32 bit integer not already registered.
+ * @param {Object} entry - how to handle the message type.
+ * @param {Function} entry.decode - (byteBufferList, context) => values.
+ * @param {String} [entry.name] - used in error messages, defaults to the message type number.
+ * @param {boolean} [entry.dedicatedStream=false] - if set, results are not sent on spdzResultStream but on
+ *                  the stream given by SpdzSocketSession.resultStreamFor(messageType).
+ *
+ * @example Register a layout of signed 4 byte integers:
+ *
+ * registerMessageType(100, {
+ *   name: 'SIGNED_INT_32',
+ *   decode: (byteBufferList, context) => {
+ *     const valueMatrix = byteBufferList.map(bytes => {
+ *       const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+ *       const values = []
+ *       for (let i = 0; i < bytes.length; i += 4) {
+ *         values.push(dv.getInt32(i, true))
+ *       }
+ *       return values
+ *     })
+ *     return context.consensus(valueMatrix)
+ *   },
+ *   dedicatedStream: true
+ * })
+ *
+ * @access public
+ */
+const registerMessageType = (messageType, entry) => {
+  if (
+    !Number.isInteger(messageType) ||
+    messageType < 0 ||
+    messageType > 0xffffffff
+  ) {
+    throw new Error(
+      `Message type ${messageType} must be an unsigned 32 bit integer.`
+    )
+  }
+  if (registry.hasOwnProperty(messageType)) {
+    throw new Error(
+      `Message type ${messageType} is already registered as ${registry[
+        messageType
+      ].name}.`
+    )
+  }
+  if (entry === undefined || typeof entry.decode !== 'function') {
+    throw new Error(`Message type ${messageType} needs a decode function.`)
+  }
+  registry[messageType] = {
+    name: entry.name || `${messageType}`,
+    decode: entry.decode,
+    dedicatedStream: entry.dedicatedStream === true
+  }
+}
+
+/**
+ * @description Remove a custom SPDZ message type added with registerMessageType. Built-in types can not be removed.
+ *
+ * @param {Number} messageType - message type number.
+ *
+ * @access public
+ */
+const unregisterMessageType = messageType => {
+  if (BUILT_IN_ENTRIES.hasOwnProperty(messageType)) {
+    throw new Error(
+      `Message type ${messageType} is built in and can not be unregistered.`
+    )
+  }
+  delete registry[messageType]
+}
+
+/**
+ * Remove all custom message types, leaving the built-in types.
+ */
+const resetMessageTypes = () => (registry = Object.assign({}, BUILT_IN_ENTRIES))
+
+const messageTypeExists = messageType => registry.hasOwnProperty(messageType)
+
+/**
+ * @param {Number} messageType
+ * @returns {Object} registry entry {name, decode, dedicatedStream} or undefined if not registered.
+ */
+const messageTypeEntry = messageType =>
+  messageTypeExists(messageType) ? registry[messageType] : undefined
+
+const hasDedicatedStream = messageType =>
+  messageTypeExists(messageType) &&
+  registry[messageType].dedicatedStream === true
+
+/**
+ * Decode a combined SPDZ output with the decoder registered for its message type.
+ * @param {Number} messageType
+ * @param {Array<Uint8Array>} byteBufferList one buffer per SPDZ engine.
+ * @param {Object} consensusOptions {policy, urlList}
+ * @param {String} outputMode OUTPUT_MODE for this message type.
+ * @returns {Array} decoded values (or throws).
+ */
+const decodeMessage = (
+  messageType,
+  byteBufferList,
+  consensusOptions,
+  outputMode
+) => {
+  const entry = messageTypeEntry(messageType)
+  if (entry === undefined || entry.decode === undefined) {
+    throw new Error(
+      `Got output stream with message type ${messageType} not currently handled.`
+    )
+  }
+  return entry.decode(byteBufferList, {
+    consensusOptions: consensusOptions,
+    consensus: resultMatrix => resultConsensus(resultMatrix, consensusOptions),
+    outputMode: outputMode
+  })
+}
+
+export {
+  MESSAGE_TYPE,
+  decodeMessage,
+  hasDedicatedStream,
+  messageTypeEntry,
+  messageTypeExists,
+  registerMessageType,
+  resetMessageTypes,
+  unregisterMessageType
+}
@@ -0,0 +1,101 @@
+import Bacon from 'baconjs'
+import {
+  MESSAGE_TYPE,
+  messageTypeEntry,
+  registerMessageType,
+  resetMessageTypes,
+  unregisterMessageType
+} from './messageTypeRegistry'
+import { convertOutput, parseSpdzMessage } from '../socket_api/transform'
+import { ConsensusPolicy } from './resultConsensus'
+
+const signedInt32s = bytes => {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const values = []
+  for (let i = 0; i < bytes.length; i += 4) {
+    values.push(dv.getInt32(i, true))
+  }
+  return values
+}
+
+describe('Register custom SPDZ message types', () => {
+  afterEach(() => {
+    resetMessageTypes()
+  })
+
+  it('has the built-in message types as default entries', () => {
+    expect(messageTypeEntry(MESSAGE_TYPE.INT_32).name).toEqual('INT_32')
+    expect(messageTypeEntry(MESSAGE_TYPE.TRIPLE_SHARES).decode).toBeUndefined()
+    expect(messageTypeEntry(100)).toBeUndefined()
+  })
+
+  it('accepts and decodes a registered message type', () => {
+    registerMessageType(100, {
+      name: 'SIGNED_INT_32',
+      decode: (byteBufferList, context) =>
+        context.consensus(byteBufferList.map(signedInt32s))
+    })
+
+    // prettier-ignore
+    const message = parseSpdzMessage(
+      Uint8Array.from([100, 0, 0, 0, 1, 0, 0, 0, 0xfe, 0xff, 0xff, 0xff]),
+      undefined,
+      'http://proxy0'
+    )
+    expect(message.messageType).toEqual(100)
+
+    const result = convertOutput(
+      [
+        { messageType: 100, data: message.data, url: 'http://proxy0' },
+        { messageType: 100, data: message.data, url: 'http://proxy1' }
+      ],
+      ConsensusPolicy.Unanimous
+    )
+    expect(result).toEqual([1, -2])
+  })
+
+  it('reports a decoder error and an unregistered message type as Bacon errors', () => {
+    registerMessageType(101, {
+      decode: () => {
+        throw new Error('Bad layout.')
+      }
+    })
+    const output = messageType => [
+      { messageType: messageType, data: Uint8Array.of(1), url: 'http://p' }
+    ]
+
+    const decodeError = convertOutput(output(101))
+    expect(decodeError).toBeInstanceOf(Bacon.Error)
+    expect(decodeError.error.message).toEqual('Bad layout.')
+
+    unregisterMessageType(101)
+    expect(convertOutput(output(101)).error.message).toEqual(
+      'Got output stream with message type 101 not currently handled.'
+    )
+    expect(
+      parseSpdzMessage(
+        Uint8Array.of(101, 0, 0, 0, 1, 0, 0, 0),
+        undefined,
+        'http://p'
+      ).error
+    ).toEqual(
+      'Parsing message sent by SPDZ. Unknown message type 101. Proxy http://p.'
+    )
+  })
+
+  it('validates registrations', () => {
+    const decode = () => []
+    expect(() => registerMessageType(-1, { decode })).toThrowError(
+      'Message type -1 must be an unsigned 32 bit integer.'
+    )
+    expect(() =>
+      registerMessageType(MESSAGE_TYPE.INT_32, { decode })
+    ).toThrowError('Message type 3 is already registered as INT_32.')
+    expect(() => registerMessageType(100, {})).toThrowError(
+      'Message type 100 needs a decode function.'
+    )
+    expect(() => unregisterMessageType(MESSAGE_TYPE.INT_32)).toThrowError(
+      'Message type 3 is built in and can not be unregistered.'
+    )
+  })
+})
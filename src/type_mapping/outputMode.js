@@ -0,0 +1,74 @@
+/**
+ * Choose how integer and fixed point results from SPDZ are represented.
+ * JS Numbers overflow beyond 2^53, so large results need a native BigInt or a decimal string.
+ */
+/* global BigInt */
+
+/**
+ * @description How SPDZ integer and fixed point results are returned:
+ *   NUMBER - JS Number, errors if the integer is outside the JS safe integer range.
+ *   BIGINT - native BigInt for integers, exact decimal string for fixed point.
+ *   STRING - exact decimal string for integers and fixed point.
+ *
+ * Set with the sessionOptions.outputMode of SpdzSocketSession, either for all message types or
+ * per MESSAGE_TYPE, e.g. {[MESSAGE_TYPE.CLEAR_MODP_INT]: OUTPUT_MODE.BIGINT}.
+ *
+ * @access public
+ */
+const OUTPUT_MODE = {
+  NUMBER: 'number',
+  BIGINT: 'bigint',
+  STRING: 'string'
+}
+
+const validModes = Object.keys(OUTPUT_MODE).map(key => OUTPUT_MODE[key])
+
+/**
+ * Find the output mode for a message type.
+ * @param {String|Object} outputMode mode for all messages, or map of MESSAGE_TYPE to mode.
+ * @param {Number} messageType MESSAGE_TYPE being converted.
+ * @returns {String} OUTPUT_MODE, defaults to NUMBER for message types not in the map.
+ */
+const outputModeFor = (outputMode, messageType) => {
+  const mode =
+    outputMode !== null && typeof outputMode === 'object'
+      ? outputMode[messageType] || OUTPUT_MODE.NUMBER
+      : outputMode
+  if (validModes.indexOf(mode) === -1) {
+    throw new Error(
+      `Unknown output mode ${mode}, expected one of ${validModes}.`
+    )
+  }
+  return mode
+}
+
+/**
+ * Convert a Gfp integer result.
+ * @param {Gfp} gfp result from SPDZ.
+ * @param {String} mode OUTPUT_MODE.
+ * @returns {Number|BigInt|String} integer
+ */
+const gfpToInteger = (gfp, mode) => {
+  if (mode === OUTPUT_MODE.STRING) {
+    return gfp.toString()
+  } else if (mode === OUTPUT_MODE.BIGINT) {
+    if (typeof BigInt !== 'function') {
+      throw new Error(
+        'Native BigInt is not supported here, use output mode string.'
+      )
+    }
+    return BigInt(gfp.toString())
+  }
+  return gfp.toJSInteger()
+}
+
+/**
+ * Convert a Gfp fixed point result.
+ * @param {Gfp} gfp result from SPDZ, a bit shifted integer.
+ * @param {String} mode OUTPUT_MODE.
+ * @returns {Number|String} real number, exact decimal string unless mode is NUMBER.
+ */
+const gfpToFixedPoint = (gfp, mode) =>
+  mode === OUTPUT_MODE.NUMBER ? gfp.toJSFixedPoint() : gfp.toFixedPointString()
+
+export { OUTPUT_MODE, outputModeFor, gfpToInteger, gfpToFixedPoint }
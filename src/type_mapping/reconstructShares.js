@@ -0,0 +1,69 @@
+/**
+ * Given a list of Uint8Array buffers, from each SPDZ proxy, holding 1 or more additive shares of a private output:
+ *  Check buffers are a multiple of the Gfp length and contain the same number of shares.
+ *  Convert to Gfp shares.
+ *  Sum the shares across proxies to reconstruct the output, Gfp still in montgomery format.
+ *
+ * No single SPDZ engine sees the reconstructed value, only the client.
+ */
+import { binaryToGfpArray } from './binaryToArray'
+
+import { Gfp } from '../math/Gfp'
+
+/**
+ * Integers are supplied as 16 byte numbers, validate length and share count of each buffer.
+ */
+const checkShareBuffers = byteBufferList => {
+  const lengthMsgs = byteBufferList.map((byteBuffer, index) => {
+    return byteBuffer.length % Gfp.integerLengthBytes() === 0
+      ? ''
+      : `Spdz proxy ${index} provided output share with ${byteBuffer.length} bytes, must be a multiple of ${Gfp.integerLengthBytes()}.`
+  })
+
+  const shareCount = byteBuffer =>
+    Math.floor(byteBuffer.length / Gfp.integerLengthBytes())
+  const expectedCount = shareCount(byteBufferList[0])
+
+  const countMsgs = byteBufferList.map((byteBuffer, index) => {
+    return shareCount(byteBuffer) === expectedCount
+      ? ''
+      : `Spdz proxy ${index} provided ${shareCount(
+          byteBuffer
+        )} output share(s), expected ${expectedCount} to match spdz proxy 0.`
+  })
+
+  return lengthMsgs
+    .concat(countMsgs)
+    .filter(message => message.length > 0)
+    .join('\n')
+}
+
+export default byteBufferList => {
+  if (!(byteBufferList instanceof Array) || byteBufferList.length === 0) {
+    throw new Error('reconstructShares requires a non empty Array as input.')
+  }
+
+  byteBufferList.map(byteBuffer => {
+    if (!(byteBuffer instanceof Uint8Array)) {
+      throw new Error(
+        'reconstructShares requires an Array of Uint8Array buffers.'
+      )
+    }
+  })
+
+  const errorMessage = checkShareBuffers(byteBufferList)
+  if (errorMessage.length > 0) {
+    throw new Error(errorMessage)
+  }
+
+  // Each proxy buffer is decoded on its own, shares are expected to differ.
+  const shareMatrix = byteBufferList.map(byteBuffer =>
+    binaryToGfpArray([byteBuffer])
+  )
+
+  return shareMatrix[0].map((firstShare, i) =>
+    shareMatrix
+      .slice(1)
+      .reduce((sumGfp, shareList) => sumGfp.add(shareList[i]), firstShare)
+  )
+}
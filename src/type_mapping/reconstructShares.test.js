@@ -0,0 +1,77 @@
+import { Gfp } from '../math/Gfp'
+import reconstructShares from './reconstructShares'
+
+// SPDZ sends Gfp values as 16 byte little endian montgomery integers.
+const gfpToBytes = gfp => {
+  const hex = gfp.toNativeHexString().padStart(32, '0')
+  const bytes = new Uint8Array(16)
+  for (let i = 0; i < 16; i++) {
+    bytes[15 - i] = parseInt(hex.substr(i * 2, 2), 16)
+  }
+  return bytes
+}
+
+const sharesToBytes = (...gfpList) => {
+  const byteBuffer = new Uint8Array(16 * gfpList.length)
+  gfpList.forEach((gfp, i) => byteBuffer.set(gfpToBytes(gfp), i * 16))
+  return byteBuffer
+}
+
+describe('Byte buffers from SPDZ are reconstructed into private outputs', () => {
+  it('sums the shares from 2 SPDZ proxies', () => {
+    const byteBufferList = [
+      sharesToBytes(Gfp.fromUserInput('100'), Gfp.fromUserInput('-5')),
+      sharesToBytes(Gfp.fromUserInput('23'), Gfp.fromUserInput('2'))
+    ]
+
+    const results = reconstructShares(byteBufferList)
+
+    expect(results.length).toEqual(2)
+    expect(results[0].toString()).toEqual('123')
+    expect(results[1].toString()).toEqual('-3')
+  })
+
+  it('sums the shares from 3 SPDZ proxies', () => {
+    const byteBufferList = [
+      sharesToBytes(Gfp.fromUserInput('1000')),
+      sharesToBytes(Gfp.fromUserInput('-400')),
+      sharesToBytes(Gfp.fromUserInput('56'))
+    ]
+
+    expect(reconstructShares(byteBufferList)[0].toJSInteger()).toEqual(656)
+  })
+
+  it('rejects if the buffers are not a multiple of 16 bytes in length', () => {
+    const byteBufferList = [new Uint8Array(32), new Uint8Array(31)]
+    const testShouldThrow = () => reconstructShares(byteBufferList)
+
+    expect(testShouldThrow).toThrowError(
+      'Spdz proxy 1 provided output share with 31 bytes, must be a multiple of 16.'
+    )
+  })
+
+  it('rejects if the share counts differ between proxies', () => {
+    const byteBufferList = [
+      new Uint8Array(32),
+      new Uint8Array(32),
+      new Uint8Array(48)
+    ]
+    const testShouldThrow = () => reconstructShares(byteBufferList)
+
+    expect(testShouldThrow).toThrowError(
+      'Spdz proxy 2 provided 3 output share(s), expected 2 to match spdz proxy 0.'
+    )
+  })
+
+  it('should only accept a non empty array of Uint8Array types', () => {
+    const testThrowsNotArray = () => reconstructShares('byteBufferList')
+    expect(testThrowsNotArray).toThrowError(
+      'reconstructShares requires a non empty Array as input.'
+    )
+
+    const testThrowsNotUint8Array = () => reconstructShares(['byteBufferList'])
+    expect(testThrowsNotUint8Array).toThrowError(
+      'reconstructShares requires an Array of Uint8Array buffers.'
+    )
+  })
+})
@@ -0,0 +1,179 @@
+/**
+ * Check that results revealed in the clear are the same across all SPDZ engines.
+ * Identifies which proxy and which result positions differ and applies a consensus policy
+ * to decide what to return.
+ */
+import ConsensusError from './ConsensusError'
+import { Gfp } from '../math/Gfp'
+import logger from '../utility/logging'
+
+/**
+ * @description Policies to apply when SPDZ Engines do not agree on a clear result.
+ *  Unanimous - all engines must agree, otherwise throw a ConsensusError (default).
+ *  Majority - use the value sent by more than half the engines, log a warning naming any engine which differs.
+ *  All - return the results from every engine with flags marking the positions which differ.
+ * 
+ * @returns {Object} policyname: policyvalue
+ * 
+ * @example Policies are:
+ * 
+ * { Unanimous: 'unanimous', Majority: 'majority', All: 'all' }
+ * 
+ * @access public
+ */
+const ConsensusPolicy = Object.freeze({
+  Unanimous: 'unanimous',
+  Majority: 'majority',
+  All: 'all'
+})
+
+const sameValue = (a, b) => (a instanceof Gfp ? a.equals(b) : a === b)
+
+// Results can be an array of values or a single value, e.g. a hex string.
+const toList = result => (result instanceof Array ? result : [result])
+
+const proxyLabel = (proxyIndex, urlList) =>
+  urlList[proxyIndex] !== undefined
+    ? `Spdz proxy ${urlList[proxyIndex]}`
+    : `Spdz proxy ${proxyIndex}`
+
+/**
+ * Find most common entry in list, earliest wins a tie.
+ * @returns {Object} {value, count}
+ */
+const mostCommon = (list, compare) => {
+  return list.reduce(
+    (best, candidate) => {
+      const count = list.filter(item => compare(item, candidate)).length
+      return count > best.count ? { value: candidate, count: count } : best
+    },
+    { value: undefined, count: 0 }
+  )
+}
+
+/**
+ * Build the reference result from the most common value at each position.
+ * @param {Array} valueMatrix [spdz proxy index][result number]
+ * @returns {Object} {values, majority} where majority is false if any position has no value agreed by more than half.
+ */
+const majorityResult = valueMatrix => {
+  const proxyCount = valueMatrix.length
+  const expectedLength = mostCommon(
+    valueMatrix.map(valueList => valueList.length),
+    (a, b) => a === b
+  ).value
+
+  let majority = true
+  const values = []
+  for (let i = 0; i < expectedLength; i++) {
+    const candidates = valueMatrix
+      .filter(valueList => i < valueList.length)
+      .map(valueList => valueList[i])
+    const best = mostCommon(candidates, sameValue)
+    majority = majority && best.count * 2 > proxyCount
+    values.push(best.value)
+  }
+  return { values: values, majority: majority }
+}
+
+const differingPositions = (valueList, referenceList) => {
+  const positions = []
+  const maxLength = Math.max(valueList.length, referenceList.length)
+  for (let i = 0; i < maxLength; i++) {
+    if (
+      i >= valueList.length ||
+      i >= referenceList.length ||
+      !sameValue(valueList[i], referenceList[i])
+    ) {
+      positions.push(i)
+    }
+  }
+  return positions
+}
+
+const describeDisagreements = (disagreements, urlList) =>
+  disagreements
+    .map(
+      disagreement =>
+        `${proxyLabel(
+          disagreement.proxyIndex,
+          urlList
+        )} differs at position(s) ${disagreement.positions.join(', ')}.`
+    )
+    .join(' ')
+
+/**
+ * Compare results from all SPDZ engines and apply the consensus policy.
+ * 
+ * @param {Array} resultMatrix [spdz proxy index][result number], or [spdz proxy index] for single value results.
+ * @param {Object} [consensusOptions]
+ * @param {String} [consensusOptions.policy=ConsensusPolicy.Unanimous] how to manage disagreement.
+ * @param {String[]} [consensusOptions.urlList] proxy urls in same order as resultMatrix, used to report disagreements.
+ * 
+ * @returns {Array|Object} for Unanimous and Majority the agreed result in the same form as a single proxy result.
+ *          For All an object {consensus: boolean, values: majority result, results: [{url, values, differsAt}]}.
+ */
+const resultConsensus = (resultMatrix, consensusOptions = {}) => {
+  const options = Object.assign(
+    { policy: ConsensusPolicy.Unanimous, urlList: [] },
+    consensusOptions
+  )
+  if (Object.values(ConsensusPolicy).indexOf(options.policy) === -1) {
+    throw new Error(`Unknown consensus policy ${options.policy}.`)
+  }
+  const isList = resultMatrix.length === 0 || resultMatrix[0] instanceof Array
+  const fromList = valueList => (isList ? valueList : valueList[0])
+
+  const valueMatrix = resultMatrix.map(toList)
+  const reference = majorityResult(valueMatrix)
+  const disagreements = valueMatrix
+    .map((valueList, proxyIndex) => {
+      return {
+        proxyIndex: proxyIndex,
+        url: options.urlList[proxyIndex],
+        positions: differingPositions(valueList, reference.values)
+      }
+    })
+    .filter(disagreement => disagreement.positions.length > 0)
+
+  if (options.policy === ConsensusPolicy.All) {
+    return {
+      consensus: disagreements.length === 0,
+      values: fromList(reference.values),
+      results: resultMatrix.map((result, proxyIndex) => {
+        return {
+          url: options.urlList[proxyIndex],
+          values: result,
+          differsAt: differingPositions(
+            valueMatrix[proxyIndex],
+            reference.values
+          )
+        }
+      })
+    }
+  }
+
+  if (disagreements.length === 0) {
+    return fromList(reference.values)
+  }
+
+  const details = describeDisagreements(disagreements, options.urlList)
+
+  if (options.policy === ConsensusPolicy.Majority) {
+    if (!reference.majority) {
+      throw new ConsensusError(
+        `No majority of parties have sent the same result. ${details}`,
+        disagreements
+      )
+    }
+    logger.warn(`Using majority result, not all parties agree. ${details}`)
+    return fromList(reference.values)
+  }
+
+  throw new ConsensusError(
+    `Not all parties have sent the same result. ${details}`,
+    disagreements
+  )
+}
+
+export { ConsensusPolicy, resultConsensus }
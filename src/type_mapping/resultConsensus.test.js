@@ -0,0 +1,116 @@
+import { Gfp } from '../math/Gfp'
+import ConsensusError from './ConsensusError'
+import { ConsensusPolicy, resultConsensus } from './resultConsensus'
+import logger from '../utility/logging'
+logger.level = 'error'
+
+const urlList = ['http://proxy.one', 'http://proxy.two', 'http://proxy.three']
+
+describe('Agree a result sent by all SPDZ engines, unanimous policy', () => {
+  it('returns the result if all engines agree', () => {
+    const result = resultConsensus([[1, 2, 3], [1, 2, 3], [1, 2, 3]])
+    expect(result).toEqual([1, 2, 3])
+  })
+
+  it('compares Gfp values', () => {
+    const result = resultConsensus([
+      [Gfp.fromUserInput('5')],
+      [Gfp.fromUserInput('5')]
+    ])
+    expect(result[0].toString()).toEqual('5')
+
+    const testThrows = () =>
+      resultConsensus([[Gfp.fromUserInput('5')], [Gfp.fromUserInput('6')]])
+    expect(testThrows).toThrowError(
+      'Not all parties have sent the same result.'
+    )
+  })
+
+  it('reports which proxy and which positions differ', () => {
+    let error
+    try {
+      resultConsensus([[1, 2, 3], [1, 9, 8], [1, 2, 3]], { urlList: urlList })
+    } catch (err) {
+      error = err
+    }
+    expect(error).toBeInstanceOf(ConsensusError)
+    expect(error.message).toEqual(
+      'Not all parties have sent the same result. Spdz proxy http://proxy.two differs at position(s) 1, 2.'
+    )
+    expect(error.disagreements).toEqual([
+      { proxyIndex: 1, url: 'http://proxy.two', positions: [1, 2] }
+    ])
+  })
+
+  it('reports missing positions if result lengths differ', () => {
+    const testThrows = () => resultConsensus([[1, 2], [1, 2], [1]])
+    expect(testThrows).toThrowError(
+      'Not all parties have sent the same result. Spdz proxy 2 differs at position(s) 1.'
+    )
+  })
+
+  it('supports single value results, e.g. a hex string', () => {
+    expect(resultConsensus(['a1b2', 'a1b2'])).toEqual('a1b2')
+    const testThrows = () =>
+      resultConsensus(['a1b2', 'a1b3', 'a1b2'], { urlList: urlList })
+    expect(testThrows).toThrowError(
+      'Spdz proxy http://proxy.two differs at position(s) 0.'
+    )
+  })
+
+  it('rejects an unknown policy', () => {
+    const testThrows = () => resultConsensus([[1]], { policy: 'anything' })
+    expect(testThrows).toThrowError('Unknown consensus policy anything.')
+  })
+})
+
+describe('Agree a result sent by all SPDZ engines, majority policy', () => {
+  it('returns the majority result and logs a warning', () => {
+    logger.warn = jest.fn()
+    const result = resultConsensus([[1, 2, 3], [1, 9, 3], [1, 2, 3]], {
+      policy: ConsensusPolicy.Majority,
+      urlList: urlList
+    })
+    expect(result).toEqual([1, 2, 3])
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Using majority result, not all parties agree. Spdz proxy http://proxy.two differs at position(s) 1.'
+    )
+  })
+
+  it('throws if there is no majority', () => {
+    const testThrows = () =>
+      resultConsensus([[1], [2]], {
+        policy: ConsensusPolicy.Majority,
+        urlList: urlList
+      })
+    expect(testThrows).toThrowError(
+      'No majority of parties have sent the same result. Spdz proxy http://proxy.two differs at position(s) 0.'
+    )
+  })
+})
+
+describe('Agree a result sent by all SPDZ engines, all policy', () => {
+  it('returns every result with flags', () => {
+    const result = resultConsensus([[1, 2], [1, 2], [7, 2]], {
+      policy: ConsensusPolicy.All,
+      urlList: urlList
+    })
+    expect(result).toEqual({
+      consensus: false,
+      values: [1, 2],
+      results: [
+        { url: 'http://proxy.one', values: [1, 2], differsAt: [] },
+        { url: 'http://proxy.two', values: [1, 2], differsAt: [] },
+        { url: 'http://proxy.three', values: [7, 2], differsAt: [0] }
+      ]
+    })
+  })
+
+  it('flags consensus when all agree', () => {
+    const result = resultConsensus(['ab', 'ab'], {
+      policy: ConsensusPolicy.All
+    })
+    expect(result.consensus).toBeTruthy()
+    expect(result.values).toEqual('ab')
+  })
+})
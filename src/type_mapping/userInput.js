@@ -0,0 +1,164 @@
+/**
+ * Type mapping from user supplied inputs to the integers sent to SPDZ.
+ *
+ * Inputs are either plain numbers or typed input descriptors:
+ *   {type: 'sint', value} - integer as a number, decimal string, BigInt or big-integer.
+ *   {type: 'sfix', value} - real number, sent as a bit shifted fixed point integer.
+ * Descriptors are converted and range checked one by one, so a list can mix types.
+ */
+import { Gfp } from '../math/Gfp'
+import { jsNumberToShiftedInteger } from '../math/numericConversions'
+import listComparison from '../utility/listComparison'
+
+const INPUT_TYPES = ['sint', 'sfix']
+const INT32_MIN = -Math.pow(2, 31)
+const INT32_MAX = Math.pow(2, 31) - 1
+
+const isDescriptor = input =>
+  input !== null && typeof input === 'object' && 'type' in input
+
+const describe = (index, value) => `Input ${index} (${value})`
+
+/**
+ * Check integer fits into the SPDZ type, returns number if safe, otherwise decimal string.
+ */
+const checkInteger = (integerString, spdzType, index) => {
+  if (!/^-?\d+$/.test(integerString)) {
+    throw new Error(
+      `${describe(index, integerString)} must be an integer for type sint.`
+    )
+  }
+  if (spdzType === 'int32') {
+    const int32 = Number(integerString)
+    if (int32 < INT32_MIN || int32 > INT32_MAX) {
+      throw new Error(
+        `${describe(index, integerString)} exceeds the int32 range.`
+      )
+    }
+    return int32
+  }
+  try {
+    Gfp.fromUserInput(integerString)
+  } catch (err) {
+    throw new Error(`${describe(index, integerString)}. ${err.message}`)
+  }
+  const asNumber = Number(integerString)
+  return Number.isSafeInteger(asNumber) ? asNumber : integerString
+}
+
+const convertSint = (value, spdzType, index) => {
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(
+      `${describe(index, value)} must be a safe integer for type sint, ` +
+        'use a string or BigInt for larger values.'
+    )
+  }
+  // Strings, BigInt and big-integer values are checked by their decimal representation.
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    throw new Error(`${describe(index, value)} is not a valid sint value.`)
+  }
+  return checkInteger(value.toString(), spdzType, index)
+}
+
+const convertSfix = (value, spdzType, index) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${describe(index, value)} must be a number for type sfix.`)
+  }
+  const wholeBitLength =
+    Gfp.fixedPointWholeBitLength() - Gfp.fixedPointDecBitLength()
+  if (Math.abs(Math.trunc(value)) > Math.pow(2, wholeBitLength) - 1) {
+    throw new Error(
+      `${describe(index, value)} exceeds the sfix integer part of ` +
+        `${wholeBitLength} bits.`
+    )
+  }
+  const shifted = jsNumberToShiftedInteger(
+    value,
+    Gfp.fixedPointDecBitLength(),
+    Gfp.fixedPointWholeBitLength()
+  )
+  return checkInteger(shifted.toString(), spdzType, index)
+}
+
+/**
+ * Convert a typed input descriptor into the integer sent to SPDZ.
+ */
+const convertDescriptor = (input, spdzType, index) => {
+  if (INPUT_TYPES.indexOf(input.type) === -1) {
+    throw new Error(
+      `Input ${index} has unknown type ${input.type}, expected one of ${INPUT_TYPES}.`
+    )
+  }
+  return input.type === 'sint'
+    ? convertSint(input.value, spdzType, index)
+    : convertSfix(input.value, spdzType, index)
+}
+
+/**
+ * @description Convert user inputs into the integers to send to SPDZ.
+ *
+ * Lists of plain numbers keep the original behaviour: if any numbers are non-integer treat
+ * all as fixed point and convert according to SPDZ sfix/cfix format.
+ * Lists containing typed input descriptors are converted element by element, plain numbers in
+ * these lists are treated as sint if integer, otherwise sfix.
+ *
+ * @param {Array<Number|Object>} inputList numbers or descriptors {type: 'sint'|'sfix', value}.
+ * @param {String} [spdzType=modp] - range check against 'modp' (gfp) or 'int32' (regint).
+ * @returns {Array<Number|String>} integers, as decimal strings if too large for a JS number.
+ *
+ * @example Send a client id alongside a fixed point value:
+ *
+ * convertUserInput([{type: 'sint', value: 42}, {type: 'sfix', value: 12.5}])
+ * convertUserInput([{type: 'sint', value: '123456789012345678901'}])
+ */
+const convertUserInput = (inputList, spdzType = 'modp') => {
+  if (inputList.some(isDescriptor)) {
+    return inputList.map((input, index) => {
+      if (isDescriptor(input)) {
+        return convertDescriptor(input, spdzType, index)
+      } else if (typeof input === 'number') {
+        return convertDescriptor(
+          { type: Number.isInteger(input) ? 'sint' : 'sfix', value: input },
+          spdzType,
+          index
+        )
+      } else {
+        throw new Error(
+          `${describe(index, input)} must be a number or input descriptor.`
+        )
+      }
+    })
+  }
+
+  const validNumbers = listComparison(
+    inputList,
+    (a, b) => typeof a === 'number' && typeof b === 'number'
+  )
+
+  if (!validNumbers) {
+    throw new Error(`User input values [${inputList}] must be numbers.`)
+  }
+
+  const allIntegers = listComparison(
+    inputList,
+    (a, b) => Number.isInteger(a) && Number.isInteger(b)
+  )
+
+  if (allIntegers) {
+    return spdzType === 'int32'
+      ? inputList.map((input, index) =>
+          checkInteger(input.toString(), spdzType, index)
+        )
+      : inputList
+  } else {
+    return inputList.map(a =>
+      jsNumberToShiftedInteger(
+        a,
+        Gfp.fixedPointDecBitLength(),
+        Gfp.fixedPointWholeBitLength()
+      )
+    )
+  }
+}
+
+export { convertUserInput }
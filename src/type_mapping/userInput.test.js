@@ -0,0 +1,79 @@
+import BigInt from 'big-integer'
+import { convertUserInput } from './userInput'
+import { initFixedPointParams } from '../math/Gfp'
+
+describe('Convert typed input descriptors', () => {
+  beforeAll(() => {
+    initFixedPointParams(10, 41)
+  })
+
+  afterAll(() => {
+    initFixedPointParams(20, 40)
+  })
+
+  it('converts each element on its own so integers are not bit shifted', () => {
+    const result = convertUserInput([
+      { type: 'sint', value: 17 },
+      { type: 'sfix', value: 12.5 },
+      3.4,
+      4
+    ])
+
+    expect(result).toEqual([17, 12800, 3482, 4])
+  })
+
+  it('keeps large integers lossless as decimal strings', () => {
+    const result = convertUserInput([
+      { type: 'sint', value: '123456789012345678901' },
+      { type: 'sint', value: BigInt('-123456789012345678901') },
+      { type: 'sint', value: '99' }
+    ])
+
+    expect(result).toEqual([
+      '123456789012345678901',
+      '-123456789012345678901',
+      99
+    ])
+  })
+
+  it('range checks each element', () => {
+    expect(() =>
+      convertUserInput([
+        { type: 'sint', value: 1 },
+        { type: 'sint', value: '172035116406933162231178957667602464769' }
+      ])
+    ).toThrowError(
+      /^Input 1 \(172035116406933162231178957667602464769\)\. Got an integer/
+    )
+    expect(() =>
+      convertUserInput([{ type: 'sint', value: Math.pow(2, 60) }])
+    ).toThrowError(/must be a safe integer for type sint/)
+    expect(() =>
+      convertUserInput([{ type: 'sfix', value: Math.pow(2, 31) }])
+    ).toThrowError(
+      'Input 0 (2147483648) exceeds the sfix integer part of 31 bits.'
+    )
+    expect(() =>
+      convertUserInput([{ type: 'sint', value: '12.5' }])
+    ).toThrowError('Input 0 (12.5) must be an integer for type sint.')
+    expect(() =>
+      convertUserInput([{ type: 'sint', value: Math.pow(2, 31) }], 'int32')
+    ).toThrowError('Input 0 (2147483648) exceeds the int32 range.')
+  })
+
+  it('range checks lists of plain integers sent as int32', () => {
+    expect(convertUserInput([1, -2], 'int32')).toEqual([1, -2])
+    expect(() => convertUserInput([1, 5000000000], 'int32')).toThrowError(
+      'Input 1 (5000000000) exceeds the int32 range.'
+    )
+  })
+
+  it('rejects unknown types and values which are not numbers', () => {
+    expect(() => convertUserInput([{ type: 'cint', value: 1 }])).toThrowError(
+      'Input 0 has unknown type cint, expected one of sint,sfix.'
+    )
+    expect(() =>
+      convertUserInput([{ type: 'sint', value: 1 }, 'foobar'])
+    ).toThrowError('Input 1 (foobar) must be a number or input descriptor.')
+  })
+})
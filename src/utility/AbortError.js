@@ -0,0 +1,18 @@
+/**
+ * @description Error to represent a request cancelled by the caller with an AbortSignal.
+ * 
+ * @param {String} message text
+ * 
+ * @returns {function} extended from Error.prototype
+ * 
+ * @access public
+ */
+function AbortError(message) {
+  this.name = 'AbortError'
+  this.message = message || 'The request was aborted.'
+  this.stack = new Error().stack
+}
+AbortError.prototype = Object.create(Error.prototype)
+AbortError.prototype.constructor = AbortError
+
+export default AbortError
@@ -0,0 +1,173 @@
+/**
+ * Record of the traffic between a client and the SPDZ proxies, both web socket events and REST calls,
+ * so that a misbehaving computation can be replayed offline, see replayTransport and replayRestTraffic.
+ *
+ * Entries are JSON safe, binary data is held as {bytes: base64} and key material is redacted.
+ */
+import { Buffer } from 'buffer/'
+
+/**
+ * Which way an entry went, sent by the client or received from a proxy.
+ */
+const TRAFFIC_DIRECTION = {
+  SENT: 'sent',
+  RECEIVED: 'received'
+}
+
+/**
+ * The connection an entry was recorded on.
+ */
+const TRAFFIC_CHANNEL = {
+  SOCKET: 'socket',
+  REST: 'rest'
+}
+
+const REDACTED = '[redacted]'
+
+// Object fields and socket event arguments which hold key material.
+const REDACTED_FIELDS = [
+  'clientPublicKey',
+  'clientPrivateKey',
+  'encryptionKey',
+  'privateKey',
+  'publicKey'
+]
+const REDACTED_EVENT_ARGS = {
+  connectToSpdz: [0]
+}
+
+const isBinary = value =>
+  value instanceof Uint8Array || value instanceof ArrayBuffer
+
+const encodeValue = value => {
+  if (isBinary(value)) {
+    return { bytes: Buffer.from(value).toString('base64') }
+  } else if (value instanceof Array) {
+    return value.map(encodeValue)
+  } else if (value !== null && typeof value === 'object') {
+    const encoded = {}
+    Object.keys(value).forEach(field => {
+      encoded[field] =
+        REDACTED_FIELDS.indexOf(field) === -1
+          ? encodeValue(value[field])
+          : REDACTED
+    })
+    return encoded
+  }
+  return value
+}
+
+const decodeValue = value => {
+  if (value instanceof Array) {
+    return value.map(decodeValue)
+  } else if (value !== null && typeof value === 'object') {
+    const fields = Object.keys(value)
+    if (fields.length === 1 && fields[0] === 'bytes') {
+      return new Uint8Array(Buffer.from(value.bytes, 'base64'))
+    }
+    const decoded = {}
+    fields.forEach(field => {
+      decoded[field] = decodeValue(value[field])
+    })
+    return decoded
+  }
+  return value
+}
+
+const redactArgs = (event, args) => {
+  const positions = REDACTED_EVENT_ARGS[event] || []
+  return args.map(
+    (arg, index) => (positions.indexOf(index) === -1 ? arg : REDACTED)
+  )
+}
+
+/**
+ * @description Record the traffic between a client and the SPDZ proxies, to debug a computation offline.
+ * Entries are kept in memory and, if a write function is given, passed to it as JSON lines as they happen.
+ *
+ * Each entry holds {time, channel, direction, url, event} where channel is 'socket' or 'rest' and
+ * direction is 'sent' or 'received'. Socket entries add the event args, including the raw spdz_message bytes.
+ * REST entries use the request url and method, adding the request body when sent and the
+ * {status, headers, body} of the response, or the error, when received.
+ * Public keys and encryption keys are redacted, so replaying encrypted traffic needs the original encryption keys.
+ *
+ * Record a socket session with the recorder session option of SpdzSocketSession and the REST calls with recordRestTraffic.
+ *
+ * @param {Function} [write] - called with each entry as a line of JSON, e.g. to append to a file.
+ *
+ * @example Record a session to a JSON lines file in node:
+ *
+ * const recorder = new TrafficRecorder(line => fs.appendFileSync('traffic.jsonl', line + '\n'))
+ * const session = new SpdzSocketSession(proxyList, {}, { recorder: recorder })
+ *
+ * @access public
+ */
+class TrafficRecorder {
+  constructor(write = undefined) {
+    this.write = write
+    this.entries = []
+  }
+
+  /**
+   * Add an entry, time stamped now.
+   * @param {Object} entry {channel, direction, url, event, ...}
+   */
+  record(entry) {
+    const redacted =
+      entry.channel === TRAFFIC_CHANNEL.SOCKET && entry.args !== undefined
+        ? Object.assign({}, entry, {
+            args: redactArgs(entry.event, entry.args)
+          })
+        : entry
+    const encoded = Object.assign({ time: Date.now() }, encodeValue(redacted))
+    this.entries.push(encoded)
+    if (this.write !== undefined) {
+      this.write(JSON.stringify(encoded))
+    }
+  }
+
+  /**
+   * @returns {String} the recorded entries as JSON lines.
+   */
+  toJsonLines() {
+    return this.entries.map(entry => JSON.stringify(entry) + '\n').join('')
+  }
+
+  clear() {
+    this.entries = []
+  }
+}
+
+/**
+ * @description Read recorded traffic, restoring the binary data.
+ *
+ * @param {String|Array|TrafficRecorder} log - JSON lines text, a list of entries or a TrafficRecorder.
+ * @returns {Object[]} entries in the order recorded.
+ *
+ * @access public
+ */
+const parseTrafficLog = log => {
+  if (log instanceof TrafficRecorder) {
+    return log.entries.map(decodeValue)
+  } else if (log instanceof Array) {
+    return log.map(decodeValue)
+  } else if (typeof log === 'string') {
+    return log.split('\n').reduce((entryList, line, index) => {
+      if (line.trim().length === 0) {
+        return entryList
+      }
+      try {
+        return entryList.concat([decodeValue(JSON.parse(line))])
+      } catch (err) {
+        throw new Error(
+          `Unable to parse traffic log line ${index + 1}. ${err.message}`
+        )
+      }
+    }, [])
+  }
+  throw new Error(
+    'Traffic log must be JSON lines, a list of entries or a TrafficRecorder.'
+  )
+}
+
+export { TrafficRecorder, TRAFFIC_CHANNEL, TRAFFIC_DIRECTION, parseTrafficLog }
@@ -0,0 +1,77 @@
+import { parseTrafficLog, TrafficRecorder } from './TrafficRecorder'
+
+describe('Record SPDZ proxy traffic', () => {
+  it('encodes binary data and redacts key fields', () => {
+    const recorder = new TrafficRecorder()
+    recorder.record({
+      channel: 'rest',
+      direction: 'sent',
+      url: 'http://proxy0/spdzapi/connect-to-spdz',
+      event: 'POST',
+      body: { clientId: '123', clientPublicKey: 'abcd' }
+    })
+    recorder.record({
+      channel: 'socket',
+      direction: 'received',
+      url: 'http://proxy0',
+      event: 'spdz_message',
+      args: [Uint8Array.of(1, 2, 255), 7]
+    })
+
+    expect(recorder.entries[0].body).toEqual({
+      clientId: '123',
+      clientPublicKey: '[redacted]'
+    })
+    expect(recorder.entries[1].args).toEqual([{ bytes: 'AQL/' }, 7])
+    expect(typeof recorder.entries[1].time).toEqual('number')
+  })
+
+  it('redacts the public key argument of connectToSpdz', () => {
+    const recorder = new TrafficRecorder()
+    recorder.record({
+      channel: 'socket',
+      direction: 'sent',
+      url: 'http://proxy0',
+      event: 'connectToSpdz',
+      args: ['abcd']
+    })
+    expect(recorder.entries[0].args).toEqual(['[redacted]'])
+  })
+
+  it('round trips entries through JSON lines', () => {
+    const recorder = new TrafficRecorder()
+    recorder.record({
+      channel: 'socket',
+      direction: 'received',
+      url: 'http://proxy0',
+      event: 'spdz_message',
+      args: [Uint8Array.of(3, 0, 0, 0, 9, 0, 0, 0), 1]
+    })
+    recorder.record({
+      channel: 'socket',
+      direction: 'received',
+      url: 'http://proxy0',
+      event: 'sendData_result',
+      args: [{ status: 0 }]
+    })
+
+    const entryList = parseTrafficLog(recorder.toJsonLines())
+    expect(entryList.length).toEqual(2)
+    expect(entryList[0].args[0]).toEqual(Uint8Array.of(3, 0, 0, 0, 9, 0, 0, 0))
+    expect(entryList[0].args[1]).toEqual(1)
+    expect(entryList[1].args).toEqual([{ status: 0 }])
+    expect(parseTrafficLog(recorder)).toEqual(entryList)
+  })
+
+  it('reports the line which can not be parsed', () => {
+    expect(() => parseTrafficLog('{"event":"connect"}\n\nnot json\n')).toThrow(
+      /^Unable to parse traffic log line 3\./
+    )
+  })
+
+  it('rejects an unknown log format', () => {
+    expect(() => parseTrafficLog(42)).toThrowError(
+      'Traffic log must be JSON lines, a list of entries or a TrafficRecorder.'
+    )
+  })
+})
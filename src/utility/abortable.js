@@ -0,0 +1,117 @@
+/**
+ * Run a promise based request which can be cancelled with an AbortSignal.
+ * The signal is optional, so that functions can pass through an undefined signal.
+ */
+
+/* global AbortController */
+import AbortError from './AbortError'
+
+/**
+ * Create a promise which rejects with an AbortError if the signal is aborted before it settles.
+ *
+ * @param {AbortSignal} [signal] to listen to, if undefined the promise cannot be aborted.
+ * @param {String} description of the request, used in the AbortError message.
+ * @param {Function} executor given (resolve, reject), may return a cleanup function to run on abort,
+ *                   e.g. to unsubscribe from streams.
+ * @returns {Promise} resolved or rejected by the executor, or rejected with an AbortError.
+ */
+const abortable = (signal, description, executor) => {
+  return new Promise((resolve, reject) => {
+    if (signal === undefined || signal === null) {
+      executor(resolve, reject)
+      return
+    }
+
+    const abortError = () => new AbortError(`${description} aborted.`)
+    if (signal.aborted) {
+      reject(abortError())
+      return
+    }
+
+    let cleanup = undefined
+    const onAbort = () => {
+      signal.removeEventListener('abort', onAbort)
+      if (typeof cleanup === 'function') {
+        cleanup()
+      }
+      reject(abortError())
+    }
+    const settle = settleFunction => value => {
+      signal.removeEventListener('abort', onAbort)
+      settleFunction(value)
+    }
+
+    signal.addEventListener('abort', onAbort)
+    cleanup = executor(settle(resolve), settle(reject))
+    // Executor may have aborted the signal or settled synchronously.
+    if (signal.aborted && typeof cleanup === 'function') {
+      cleanup()
+    }
+  })
+}
+
+/**
+ * Wrap an existing promise so that it rejects with an AbortError when the signal is aborted.
+ *
+ * @param {AbortSignal} [signal] to listen to, if undefined return the promise unchanged.
+ * @param {String} description of the request, used in the AbortError message.
+ * @param {Promise} promise to wrap.
+ * @returns {Promise}
+ */
+const abortablePromise = (signal, description, promise) => {
+  if (signal === undefined || signal === null) {
+    return promise
+  }
+  return abortable(signal, description, (resolve, reject) => {
+    promise.then(resolve, reject)
+  })
+}
+
+/**
+ * Wait for a time, rejecting with an AbortError and clearing the timer if the signal is aborted first.
+ *
+ * @param {AbortSignal} [signal] to listen to, if undefined the wait cannot be aborted.
+ * @param {String} description of the wait, used in the AbortError message.
+ * @param {Number} delayMs time to wait in millisecs.
+ * @returns {Promise} resolves once the time has passed.
+ */
+const abortableDelay = (signal, description, delayMs) =>
+  abortable(signal, description, resolve => {
+    const timer = setTimeout(resolve, delayMs)
+    return () => clearTimeout(timer)
+  })
+
+/**
+ * Create an AbortController which is also aborted when the parent signal is aborted,
+ * so that one part of a request, such as a single attempt, can be cancelled on its own.
+ *
+ * @param {AbortSignal} [parentSignal] to follow, if undefined the controller is only aborted directly.
+ * @returns {Object} {signal, abort, release}, call release once done to stop listening to the parent.
+ *          Undefined if the platform has no AbortController.
+ */
+const linkedAbortController = parentSignal => {
+  if (typeof AbortController === 'undefined') {
+    return undefined
+  }
+  const controller = new AbortController()
+  const onParentAbort = () => controller.abort()
+  const hasParent = parentSignal !== undefined && parentSignal !== null
+  if (hasParent) {
+    if (parentSignal.aborted) {
+      controller.abort()
+    } else {
+      parentSignal.addEventListener('abort', onParentAbort)
+    }
+  }
+  return {
+    signal: controller.signal,
+    abort: () => controller.abort(),
+    release: () => {
+      if (hasParent) {
+        parentSignal.removeEventListener('abort', onParentAbort)
+      }
+    }
+  }
+}
+
+export { abortable, abortableDelay, abortablePromise, linkedAbortController }
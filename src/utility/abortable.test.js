@@ -0,0 +1,147 @@
+/* global window */
+import {
+  abortable,
+  abortableDelay,
+  abortablePromise,
+  linkedAbortController
+} from './abortable'
+import AbortError from './AbortError'
+import mockAbortController from './test_support/MockAbortController'
+
+describe('Run a request which can be aborted', () => {
+  it('runs the executor unchanged when no signal is given', done => {
+    abortable(undefined, 'Test request', resolve => resolve(42))
+      .then(value => {
+        expect(value).toEqual(42)
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('rejects immediately if the signal is already aborted', done => {
+    const controller = mockAbortController()
+    const executor = jest.fn()
+    controller.abort()
+
+    abortable(controller.signal, 'Test request', executor)
+      .then(() => done.fail('Expected abortable to reject.'))
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(err.name).toEqual('AbortError')
+        expect(err.message).toEqual('Test request aborted.')
+        expect(executor).not.toHaveBeenCalled()
+        done()
+      })
+  })
+
+  it('runs cleanup and rejects when aborted', done => {
+    const controller = mockAbortController()
+    const cleanup = jest.fn()
+
+    abortable(controller.signal, 'Test request', () => cleanup)
+      .then(() => done.fail('Expected abortable to reject.'))
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(cleanup).toHaveBeenCalledTimes(1)
+        expect(controller.signal.listenerCount()).toEqual(0)
+        done()
+      })
+
+    controller.abort()
+  })
+
+  it('stops listening to the signal once settled', done => {
+    const controller = mockAbortController()
+
+    abortable(controller.signal, 'Test request', resolve => resolve('ok'))
+      .then(value => {
+        expect(value).toEqual('ok')
+        expect(controller.signal.listenerCount()).toEqual(0)
+        done()
+      })
+      .catch(err => done.fail(err))
+  })
+
+  it('wraps an existing promise', done => {
+    const controller = mockAbortController()
+
+    abortablePromise(controller.signal, 'Fetch', new Promise(() => {}))
+      .then(() => done.fail('Expected abortablePromise to reject.'))
+      .catch(err => {
+        expect(err.message).toEqual('Fetch aborted.')
+        done()
+      })
+
+    controller.abort()
+  })
+
+  it('waits for a delay unless aborted', done => {
+    const controller = mockAbortController()
+
+    abortableDelay(controller.signal, 'Wait', 1)
+      .then(() => {
+        const waitForever = abortableDelay(controller.signal, 'Wait', 100000)
+        controller.abort()
+        return waitForever
+      })
+      .then(() => done.fail('Expected abortableDelay to reject.'))
+      .catch(err => {
+        expect(err).toBeInstanceOf(AbortError)
+        expect(err.message).toEqual('Wait aborted.')
+        expect(controller.signal.listenerCount()).toEqual(0)
+        done()
+      })
+  })
+})
+
+describe('Link an AbortController to a parent signal', () => {
+  // The jest environment has no AbortController, use the test one.
+  beforeEach(() => {
+    window.AbortController = function() {
+      return mockAbortController()
+    }
+  })
+
+  afterEach(() => {
+    delete window.AbortController
+  })
+
+  it('is aborted when the parent signal is aborted', () => {
+    const parent = mockAbortController()
+    const linked = linkedAbortController(parent.signal)
+
+    parent.abort()
+    expect(linked.signal.aborted).toEqual(true)
+  })
+
+  it('is aborted on its own without aborting the parent', () => {
+    const parent = mockAbortController()
+    const linked = linkedAbortController(parent.signal)
+
+    linked.abort()
+    expect(linked.signal.aborted).toEqual(true)
+    expect(parent.signal.aborted).toEqual(false)
+  })
+
+  it('stops following the parent once released', () => {
+    const parent = mockAbortController()
+    const linked = linkedAbortController(parent.signal)
+
+    linked.release()
+    expect(parent.signal.listenerCount()).toEqual(0)
+    parent.abort()
+    expect(linked.signal.aborted).toEqual(false)
+  })
+
+  it('starts aborted if the parent already is', () => {
+    const parent = mockAbortController()
+    parent.abort()
+
+    expect(linkedAbortController(parent.signal).signal.aborted).toEqual(true)
+  })
+
+  it('is undefined without an AbortController', () => {
+    delete window.AbortController
+    expect(linkedAbortController(undefined)).toBeUndefined()
+  })
+})
@@ -31,4 +31,11 @@ const base64Encode = hexString => {
   return buf.toString('base64')
 }
 
-export { binaryToHex, base64Encode }
+/**
+ * Convert binary into a base64 encoded string.
+ * @param {binaryArray} Uint8Array or equivalent such as node Buffer.
+ */
+const binaryToBase64 = binaryArray =>
+  Buffer.from(binaryArray).toString('base64')
+
+export { binaryToHex, base64Encode, binaryToBase64 }
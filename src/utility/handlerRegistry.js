@@ -0,0 +1,24 @@
+/**
+ * Minimal event handler registry with the on/off interface expected by Bacon.fromEvent.
+ * @returns {Object} {on(name, handler), off(name, handler), dispatch(name, argList)}
+ */
+const handlerRegistry = () => {
+  const handlers = {}
+
+  const on = (name, handler) => {
+    handlers[name] = (handlers[name] || []).concat([handler])
+  }
+
+  const off = (name, handler) => {
+    handlers[name] = (handlers[name] || []).filter(h => h !== handler)
+  }
+
+  const dispatch = (name, argList = []) => {
+    const listeners = handlers[name] || []
+    listeners.forEach(handler => handler(...argList))
+  }
+
+  return { on, off, dispatch }
+}
+
+export default handlerRegistry
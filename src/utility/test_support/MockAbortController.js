@@ -0,0 +1,24 @@
+/**
+ * Minimal AbortController for tests, the jest jsdom environment does not provide one.
+ */
+export default () => {
+  const listeners = []
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) => {
+      const index = listeners.indexOf(listener)
+      if (index >= 0) {
+        listeners.splice(index, 1)
+      }
+    },
+    listenerCount: () => listeners.length
+  }
+  return {
+    signal: signal,
+    abort: () => {
+      signal.aborted = true
+      listeners.slice().forEach(listener => listener())
+    }
+  }
+}
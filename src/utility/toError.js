@@ -0,0 +1,9 @@
+/**
+ * Errors in this library's streams are usually message strings, wrap them so that
+ * promise and observable consumers always receive an Error.
+ * @param {Error|String} error stream error value
+ * @returns {Error} the error unchanged, or a new Error with the message.
+ */
+const toError = error => (error instanceof Error ? error : new Error(error))
+
+export default toError
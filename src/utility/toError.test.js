@@ -0,0 +1,15 @@
+import toError from './toError'
+import AbortError from './AbortError'
+
+describe('Convert stream errors to Error objects', () => {
+  it('Wraps a message string in an Error', () => {
+    const err = toError('Something failed.')
+    expect(err).toBeInstanceOf(Error)
+    expect(err.message).toEqual('Something failed.')
+  })
+
+  it('Returns an Error unchanged', () => {
+    const original = new AbortError('Aborted.')
+    expect(toError(original)).toBe(original)
+  })
+})